@@ -1,6 +1,8 @@
 document.addEventListener('DOMContentLoaded', () => {
     // Elements
     const keywordInput = document.getElementById('keyword-input');
+    const secondaryKeywordsInput = document.getElementById('secondary-keywords-input');
+    const brandVoiceInput = document.getElementById('brand-voice-input');
     const briefInput = document.getElementById('client-brief');
 
     const structureInput = document.getElementById('structure-input');
@@ -8,9 +10,18 @@ document.addEventListener('DOMContentLoaded', () => {
     const limitationsInput = document.getElementById('limitations-input');
 
     const finalOutput = document.getElementById('final-output');
+    const validateBtn = document.getElementById('validate-btn');
+    const validationSummary = document.getElementById('validation-summary');
+    const validationReport = document.getElementById('validation-report');
+    const autofixBtn = document.getElementById('autofix-btn');
+    const autofixToggle = document.getElementById('autofix-toggle');
+    const autofixRoundsInput = document.getElementById('autofix-rounds');
+    const autofixLog = document.getElementById('autofix-log');
 
     const viewQueryBtn = document.getElementById('view-query-btn');
     const generateBtn = document.getElementById('generate-btn');
+    const stopBtn = document.getElementById('stop-btn');
+    const generationStatus = document.getElementById('generation-status');
     const copyBtn = document.getElementById('copy-btn');
     const downloadBtn = document.getElementById('download-btn');
 
@@ -31,22 +42,52 @@ document.addEventListener('DOMContentLoaded', () => {
     const saveSystemPromptBtn = document.getElementById('save-system-prompt-btn');
     const cancelSystemPromptBtn = document.getElementById('cancel-system-prompt-btn');
 
+    // LLM settings (per template) and per-run model override
+    const llmProviderSelect = document.getElementById('llm-provider');
+    const llmModelInput = document.getElementById('llm-model');
+    const llmTemperatureInput = document.getElementById('llm-temperature');
+    const llmMaxTokensInput = document.getElementById('llm-max-tokens');
+    const llmModelOptions = document.getElementById('llm-model-options');
+    const runModelSelect = document.getElementById('run-model-select');
+
+    // Per-template system prompt and knowledge overrides
+    const overrideSystemMode = document.getElementById('override-system-mode');
+    const overrideSystemText = document.getElementById('override-system-text');
+    const overrideKnowledgeMode = document.getElementById('override-knowledge-mode');
+    const overrideKnowledgeText = document.getElementById('override-knowledge-text');
+
     // State
     let systemPrompt = "";
-    let knowledgeBase = "";
+    let userMessageTemplate = "";
     let templates = [];
     let currentTemplateName = "";
+    let currentGenerationId = null;
+    // AbortController of the stream in progress (generation, auto-fix or section), stopped by the Stop button
+    let activeStream = null;
+    let llmProviders = [];
+    let llmDefaults = {};
+    // { id, username, role } of the logged-in user
+    let currentUser = null;
+    // CSRF token of the session, sent with every state-changing request
+    let csrfToken = null;
 
     // Initialization
+    fetchCurrentUser();
     fetchDefaults();
     fetchTemplates();
+    fetchProviders();
+    fetchKnowledgeDocs();
+    fetchPromptVariables();
+    fetchClients();
+    fetchLanguages();
 
     const renameTemplateBtn = document.getElementById('rename-template-btn');
     const newTemplateBtn = document.getElementById('new-template-btn');
+    const templateHistoryBtn = document.getElementById('template-history-btn');
 
     async function fetchDefaults() {
         try {
-            const res = await fetch('/api/defaults');
+            const res = await apiFetch('/api/defaults');
             const data = await res.json();
 
             structureInput.value = data.structure || "";
@@ -54,15 +95,119 @@ document.addEventListener('DOMContentLoaded', () => {
             limitationsInput.value = data.limitations || "";
 
             systemPrompt = data.systemPrompt || "";
-            knowledgeBase = data.knowledge || "";
+            userMessageTemplate = data.userMessageTemplate || "";
+            setTemplateLlm({});
+            setTemplateKnowledgeDocs(undefined);
+            setTemplateVariables([]);
+            setTemplateLayout(null);
+            setTemplateOverrides(null);
         } catch (e) {
             console.error("Error fetching defaults", e);
         }
     }
 
+    async function fetchProviders() {
+        try {
+            const res = await apiFetch('/api/llm/providers');
+            const data = await res.json();
+            llmProviders = data.providers;
+            llmDefaults = data.defaults;
+            renderProviderOptions();
+        } catch (e) {
+            console.error("Error loading LLM providers", e);
+        }
+    }
+
+    function renderProviderOptions() {
+        const selectedProvider = llmProviderSelect.value;
+        llmProviderSelect.innerHTML = '<option value="">Por defecto</option>';
+        runModelSelect.innerHTML = '<option value="">Modelo de la plantilla</option>';
+
+        llmProviders.forEach(provider => {
+            const label = provider.configured ? provider.label : `${provider.label} (sin API key)`;
+            llmProviderSelect.add(new Option(label, provider.id));
+
+            const group = document.createElement('optgroup');
+            group.label = label;
+            provider.models.forEach(model => group.appendChild(new Option(model, `${provider.id}::${model}`)));
+            runModelSelect.appendChild(group);
+        });
+
+        llmProviderSelect.value = selectedProvider;
+        updateLlmPlaceholders();
+    }
+
+    // Empty fields fall back to the server defaults, shown as placeholders
+    function updateLlmPlaceholders() {
+        const provider = llmProviders.find(p => p.id === (llmProviderSelect.value || llmDefaults.provider));
+        llmModelOptions.innerHTML = '';
+        if (provider) provider.models.forEach(model => llmModelOptions.appendChild(new Option(model)));
+
+        llmModelInput.placeholder = llmProviderSelect.value && provider
+            ? provider.defaultModel
+            : (llmDefaults.model || "");
+        llmTemperatureInput.placeholder = llmDefaults.temperature ?? "";
+        llmMaxTokensInput.placeholder = llmDefaults.maxTokens ?? "";
+    }
+
+    function getTemplateLlm() {
+        const llm = {};
+        if (llmProviderSelect.value) llm.provider = llmProviderSelect.value;
+        if (llmModelInput.value.trim()) llm.model = llmModelInput.value.trim();
+        if (llmTemperatureInput.value !== "") llm.temperature = parseFloat(llmTemperatureInput.value);
+        if (llmMaxTokensInput.value !== "") llm.maxTokens = parseInt(llmMaxTokensInput.value, 10);
+        return llm;
+    }
+
+    function setTemplateLlm(llm) {
+        const settings = llm || {};
+        llmProviderSelect.value = settings.provider || "";
+        llmModelInput.value = settings.model || "";
+        llmTemperatureInput.value = settings.temperature ?? "";
+        llmMaxTokensInput.value = settings.maxTokens ?? "";
+        updateLlmPlaceholders();
+    }
+
+    // { systemPrompt, knowledge }, each { mode: 'replace' | 'append', text }. Empty overrides aren't stored.
+    function getTemplateOverrides() {
+        const overrides = {};
+        const read = (key, mode, text) => {
+            if (mode.value && text.value.trim()) overrides[key] = { mode: mode.value, text: text.value };
+        };
+        read('systemPrompt', overrideSystemMode, overrideSystemText);
+        read('knowledge', overrideKnowledgeMode, overrideKnowledgeText);
+        return Object.keys(overrides).length ? overrides : undefined;
+    }
+
+    function setTemplateOverrides(overrides) {
+        const values = overrides || {};
+        const write = (override, mode, text) => {
+            mode.value = override ? override.mode : "";
+            text.value = override ? override.text : "";
+            text.hidden = !mode.value;
+        };
+        write(values.systemPrompt, overrideSystemMode, overrideSystemText);
+        write(values.knowledge, overrideKnowledgeMode, overrideKnowledgeText);
+    }
+
+    [[overrideSystemMode, overrideSystemText], [overrideKnowledgeMode, overrideKnowledgeText]].forEach(([mode, text]) => {
+        mode.addEventListener('change', () => { text.hidden = !mode.value; });
+    });
+
+    function getModelOverride() {
+        if (!runModelSelect.value) return null;
+        const [provider, model] = runModelSelect.value.split('::');
+        return { provider, model };
+    }
+
+    llmProviderSelect.addEventListener('change', () => {
+        llmModelInput.value = "";
+        updateLlmPlaceholders();
+    });
+
     async function fetchTemplates() {
         try {
-            const res = await fetch('/api/templates');
+            const res = await apiFetch('/api/templates');
             templates = await res.json();
             renderTemplateSelect();
         } catch (e) {
@@ -91,45 +236,171 @@ document.addEventListener('DOMContentLoaded', () => {
     function updateButtonStates() {
         const hasSelection = !!currentTemplateName;
         renameTemplateBtn.disabled = !hasSelection;
-        deleteTemplateBtn.disabled = !hasSelection;
+        deleteTemplateBtn.disabled = !hasSelection || !isAdmin();
+        templateHistoryBtn.disabled = !hasSelection;
+    }
+
+    // --- Knowledge Selection ---
+    // Only the sections relevant to the keyword, brief and structure are sent; pins and exclusions are manual overrides
+    const knowledgeTopNInput = document.getElementById('knowledge-top-n');
+    const knowledgeSummary = document.getElementById('knowledge-summary');
+    const knowledgeSectionsList = document.getElementById('knowledge-sections');
+    const knowledgePinned = new Set();
+    const knowledgeExcluded = new Set();
+
+    async function selectKnowledgeSections() {
+        const res = await apiFetch('/api/knowledge/select', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                keyword: keywordInput.value.trim(),
+                brief: briefInput.value,
+                structure: structureInput.value,
+                topN: parseInt(knowledgeTopNInput.value, 10),
+                pinned: [...knowledgePinned],
+                excluded: [...knowledgeExcluded],
+                docs: getTemplateKnowledgeDocs(),
+                templateName: currentTemplateName || null
+            })
+        });
+
+        if (!res.ok) {
+            const err = await res.json();
+            throw new Error(err.error || "Error");
+        }
+        return res.json();
     }
 
-    function constructUserMessage() {
-        const structure = structureInput.value;
-        const brief = briefInput.value;
-        const output = outputInput.value;
-        const limitations = limitationsInput.value;
+    function renderKnowledgeSections(selection) {
+        const selected = selection.sections.filter(section => section.selected);
+        knowledgeSummary.textContent = `${selected.length} de ${selection.sections.length} secciones · ${selection.text.length.toLocaleString('es-ES')} de ${selection.totalLength.toLocaleString('es-ES')} caracteres`;
+        knowledgeSectionsList.innerHTML = '';
 
-        // Construct based on user requirements
-        return `## PDF con explicacion de estructuras
-${knowledgeBase}
+        selection.sections.forEach(section => {
+            const row = document.createElement('div');
+            row.className = 'knowledge-row'
+                + (section.selected ? ' selected' : '')
+                + (section.excluded ? ' excluded' : '');
+            row.title = [...section.path, section.title].join(' › ');
 
-## Estructura/layout/Sitemap del wireframe
-${structure}
+            const info = document.createElement('div');
+            info.className = 'knowledge-info';
+            const title = document.createElement('div');
+            title.className = 'knowledge-title';
+            title.textContent = section.title;
+            const meta = document.createElement('div');
+            meta.className = 'knowledge-meta';
+            meta.textContent = `Relevancia ${section.score} · ${section.length} caracteres`;
+            info.append(title, meta);
+
+            const pinBtn = document.createElement('button');
+            pinBtn.className = 'btn-secondary knowledge-toggle' + (section.pinned ? ' active' : '');
+            pinBtn.textContent = "Fijar";
+            pinBtn.addEventListener('click', () => toggleKnowledgeSection(knowledgePinned, knowledgeExcluded, section.id));
+
+            const excludeBtn = document.createElement('button');
+            excludeBtn.className = 'btn-secondary knowledge-toggle' + (section.excluded ? ' active' : '');
+            excludeBtn.textContent = "Excluir";
+            excludeBtn.addEventListener('click', () => toggleKnowledgeSection(knowledgeExcluded, knowledgePinned, section.id));
+
+            row.append(info, pinBtn, excludeBtn);
+            knowledgeSectionsList.appendChild(row);
+        });
+    }
+
+    // Pinning and excluding are mutually exclusive
+    function toggleKnowledgeSection(target, opposite, id) {
+        if (target.has(id)) {
+            target.delete(id);
+        } else {
+            target.add(id);
+            opposite.delete(id);
+        }
+        refreshQueryPreview();
+    }
 
-## Brief del servicio
-${brief}
+    function getSecondaryKeywords() {
+        return secondaryKeywordsInput.value.split(',').map(keyword => keyword.trim()).filter(Boolean);
+    }
 
-## Output y wireframes
-${output}
+    // Values for the server-side user message template: built-in fields plus the template's own variables
+    function getPromptInputs(knowledgeText) {
+        const values = {
+            ...getPromptVariableValues(),
+            knowledge: knowledgeText,
+            structure: structureInput.value,
+            brief: briefInput.value,
+            brandVoice: brandVoiceInput.value,
+            keyword: keywordInput.value.trim(),
+            secondaryKeywords: getSecondaryKeywords(),
+            output: outputInput.value,
+            limitations: limitationsInput.value
+        };
+        return { values, variables: getTemplateVariables() };
+    }
 
-## Limitaciones de caracteres
-${limitations}`;
+    async function renderUserMessage(knowledgeText) {
+        const res = await apiFetch('/api/prompt/render', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...getPromptInputs(knowledgeText), templateName: currentTemplateName || null })
+        });
+        if (!res.ok) throw new Error("Error rendering the user message");
+        return res.json();
     }
 
     // Handlers
 
     // --- System Prompt Handlers ---
+    // The modal edits one prompt config key at a time: the system prompt or the user message template
+    const promptKeySelect = document.getElementById('prompt-key-select');
+    const promptTemplateHelp = document.getElementById('prompt-template-help');
+    const PROMPT_CONFIG_LABELS = {
+        systemPrompt: "System Prompt",
+        userMessageTemplate: "Plantilla del mensaje"
+    };
+    let editingConfigKey = 'systemPrompt';
+
+    function getPromptConfigValue(key) {
+        return key === 'userMessageTemplate' ? userMessageTemplate : systemPrompt;
+    }
+
+    function setPromptConfigValue(key, value) {
+        if (key === 'userMessageTemplate') userMessageTemplate = value;
+        else systemPrompt = value;
+    }
+
     const closePromptModalFunc = () => {
         systemPromptModal.classList.remove('active');
     };
 
-    editSystemPromptBtn.addEventListener('click', () => {
+    function openPromptEditor(key) {
+        editingConfigKey = key;
+        promptKeySelect.value = key;
         // Use current memory value
-        systemPromptEditor.value = systemPrompt;
+        systemPromptEditor.value = getPromptConfigValue(key);
+        systemPromptNote.value = "";
+        selectedRevisionId = null;
+        promptTemplateHelp.hidden = key !== 'userMessageTemplate';
+        renderPromptTemplateHelp();
+        setPromptView('editor');
+        loadConfigRevisions();
+    }
+
+    editSystemPromptBtn.addEventListener('click', () => {
+        openPromptEditor(editingConfigKey);
         systemPromptModal.classList.add('active');
     });
 
+    promptKeySelect.addEventListener('change', () => {
+        if (systemPromptEditor.value !== getPromptConfigValue(editingConfigKey)
+            && !confirm("Hay cambios sin guardar. ¿Descartarlos?")) {
+            promptKeySelect.value = editingConfigKey;
+            return;
+        }
+        openPromptEditor(promptKeySelect.value);
+    });
+
     closeSystemPromptModal.addEventListener('click', closePromptModalFunc);
     cancelSystemPromptBtn.addEventListener('click', closePromptModalFunc);
 
@@ -141,26 +412,204 @@ ${limitations}`;
             saveSystemPromptBtn.disabled = true;
             saveSystemPromptBtn.textContent = "Guardando...";
 
-            const res = await fetch('/api/config', {
+            const res = await apiFetch('/api/config', {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ key: 'systemPrompt', value: newVal })
+                body: JSON.stringify({ key: editingConfigKey, value: newVal, note: systemPromptNote.value.trim() })
             });
 
             if (!res.ok) throw new Error("Error saving config");
 
-            systemPrompt = newVal;
-            showNotification("System Prompt guardado y actualizado online", "success");
+            setPromptConfigValue(editingConfigKey, newVal);
+            systemPromptNote.value = "";
+            showNotification(`${PROMPT_CONFIG_LABELS[editingConfigKey]} guardado y actualizado online`, "success");
             closePromptModalFunc();
         } catch (e) {
             console.error(e);
-            showNotification("Error al guardar System Prompt", "error");
+            showNotification(`Error al guardar ${PROMPT_CONFIG_LABELS[editingConfigKey]}`, "error");
         } finally {
             saveSystemPromptBtn.disabled = false;
             saveSystemPromptBtn.textContent = "Guardar Prompt";
         }
     });
 
+    // --- System Prompt History ---
+    const systemPromptNote = document.getElementById('system-prompt-note');
+    const systemPromptDiff = document.getElementById('system-prompt-diff');
+    const systemPromptRevisions = document.getElementById('system-prompt-revisions');
+    const revisionCompareSelect = document.getElementById('revision-compare-select');
+    const restoreRevisionBtn = document.getElementById('restore-revision-btn');
+    const promptViewTabs = systemPromptModal.querySelectorAll('.view-tab');
+    let configRevisions = [];
+    let selectedRevisionId = null;
+
+    function formatDate(value) {
+        return new Date(value).toLocaleString('es-ES');
+    }
+
+    function formatCost(value) {
+        return `${Number(value || 0).toLocaleString('es-ES', { minimumFractionDigits: 2, maximumFractionDigits: 4 })} USD`;
+    }
+
+    // Builds a line diff view from the { lines, stats } payload returned by the diff endpoints
+    function buildLineDiff(diff) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'diff-block';
+
+        const stats = document.createElement('div');
+        stats.className = 'diff-stats';
+        stats.textContent = diff.stats.added || diff.stats.removed
+            ? `+${diff.stats.added} líneas · −${diff.stats.removed} líneas`
+            : "Sin cambios";
+        wrapper.appendChild(stats);
+
+        diff.lines.forEach(line => {
+            const row = document.createElement('div');
+            row.className = `diff-line ${line.type}`;
+
+            const oldNo = document.createElement('span');
+            oldNo.className = 'diff-gutter';
+            oldNo.textContent = line.oldLine || '';
+            const newNo = document.createElement('span');
+            newNo.className = 'diff-gutter';
+            newNo.textContent = line.newLine || '';
+
+            const text = document.createElement('span');
+            text.className = 'diff-text';
+            const marker = line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  ';
+            text.textContent = marker + line.text;
+
+            row.append(oldNo, newNo, text);
+            wrapper.appendChild(row);
+        });
+
+        return wrapper;
+    }
+
+    function setPromptView(view) {
+        promptViewTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.view === view));
+        systemPromptEditor.hidden = view !== 'editor';
+        systemPromptDiff.hidden = view !== 'diff';
+    }
+
+    async function loadConfigRevisions() {
+        try {
+            const res = await apiFetch(`/api/config/${editingConfigKey}/revisions`);
+            if (!res.ok) throw new Error("Error loading revisions");
+            configRevisions = await res.json();
+            renderConfigRevisions();
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al cargar el historial del prompt", "error");
+        }
+    }
+
+    function renderConfigRevisions() {
+        systemPromptRevisions.innerHTML = '';
+        revisionCompareSelect.innerHTML = '';
+
+        if (configRevisions.length === 0) {
+            systemPromptRevisions.innerHTML = '<div class="empty-state">Sin revisiones todavía.</div>';
+        }
+
+        configRevisions.forEach((revision, index) => {
+            const item = document.createElement('div');
+            item.className = 'revision-item' + (revision.id === selectedRevisionId ? ' selected' : '');
+
+            const title = document.createElement('div');
+            title.className = 'revision-title';
+            title.textContent = `#${revision.id}${index === 0 ? ' · Actual' : ''}`;
+
+            const meta = document.createElement('div');
+            meta.className = 'revision-meta';
+            meta.textContent = `${formatDate(revision.created_at)} · ${revision.author || 'desconocido'}`;
+
+            item.append(title, meta);
+            if (revision.note) {
+                const note = document.createElement('div');
+                note.className = 'revision-note';
+                note.textContent = revision.note;
+                item.appendChild(note);
+            }
+
+            item.addEventListener('click', () => selectRevision(revision.id));
+            systemPromptRevisions.appendChild(item);
+
+            const option = document.createElement('option');
+            option.value = revision.id;
+            option.textContent = `#${revision.id} · ${formatDate(revision.created_at)}${index === 0 ? ' (actual)' : ''}`;
+            revisionCompareSelect.appendChild(option);
+        });
+
+        restoreRevisionBtn.disabled = !isAdmin() || !selectedRevisionId || selectedRevisionId === (configRevisions[0] || {}).id;
+    }
+
+    function selectRevision(id) {
+        selectedRevisionId = id;
+        renderConfigRevisions();
+        showPromptDiff();
+    }
+
+    async function showPromptDiff() {
+        setPromptView('diff');
+        systemPromptDiff.innerHTML = '';
+
+        if (!selectedRevisionId) {
+            systemPromptDiff.innerHTML = '<div class="empty-state">Selecciona una versión del historial para compararla.</div>';
+            return;
+        }
+
+        try {
+            const params = new URLSearchParams({ from: selectedRevisionId, to: revisionCompareSelect.value });
+            const res = await apiFetch(`/api/config/${editingConfigKey}/diff?${params}`);
+            if (!res.ok) throw new Error("Error loading diff");
+            const diff = await res.json();
+
+            const header = document.createElement('div');
+            header.className = 'diff-header';
+            header.textContent = `Comparando #${diff.from.id} → #${diff.to.id}`;
+            systemPromptDiff.append(header, buildLineDiff(diff));
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al comparar revisiones", "error");
+        }
+    }
+
+    promptViewTabs.forEach(tab => {
+        tab.addEventListener('click', () => {
+            if (tab.dataset.view === 'diff') return showPromptDiff();
+            setPromptView(tab.dataset.view);
+        });
+    });
+
+    revisionCompareSelect.addEventListener('change', showPromptDiff);
+
+    restoreRevisionBtn.addEventListener('click', async () => {
+        if (!selectedRevisionId) return;
+        if (!confirm(`¿Restaurar la revisión #${selectedRevisionId} como ${PROMPT_CONFIG_LABELS[editingConfigKey]} actual?`)) return;
+
+        try {
+            const res = await apiFetch(`/api/config/${editingConfigKey}/revisions/${selectedRevisionId}/restore`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ note: systemPromptNote.value.trim() || undefined })
+            });
+            if (!res.ok) throw new Error("Error restoring revision");
+
+            const data = await res.json();
+            setPromptConfigValue(editingConfigKey, data.value);
+            systemPromptEditor.value = data.value;
+            systemPromptNote.value = "";
+            selectedRevisionId = null;
+            setPromptView('editor');
+            await loadConfigRevisions();
+            showNotification("Revisión restaurada", "success");
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al restaurar la revisión", "error");
+        }
+    });
+
     // --- Helper for Notifications ---
     function showNotification(message, type = 'info') {
         const container = document.getElementById('notification-container');
@@ -173,10 +622,14 @@ ${limitations}`;
         if (type === 'success') icon = '✅';
         if (type === 'error') icon = '⛔';
 
-        toast.innerHTML = `
-            <div class="icon">${icon}</div>
-            <div class="message">${message}</div>
-        `;
+        // Messages carry names from the DB (templates, projects, users, documents): always render them as text
+        const iconEl = document.createElement('div');
+        iconEl.className = 'icon';
+        iconEl.textContent = icon;
+        const messageEl = document.createElement('div');
+        messageEl.className = 'message';
+        messageEl.textContent = message;
+        toast.append(iconEl, messageEl);
 
         container.appendChild(toast);
 
@@ -219,11 +672,16 @@ ${limitations}`;
         const data = {
             structure: structureInput.value,
             output: outputInput.value,
-            limitations: limitationsInput.value
+            limitations: limitationsInput.value,
+            llm: getTemplateLlm(),
+            knowledgeDocs: getTemplateKnowledgeDocs(),
+            variables: getTemplateVariables(),
+            layout: getTemplateLayout(),
+            overrides: getTemplateOverrides()
         };
 
         try {
-            const res = await fetch('/api/templates', {
+            const res = await apiFetch('/api/templates', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ name: nameToSave, data })
@@ -266,11 +724,16 @@ ${limitations}`;
         const data = {
             structure: structureInput.value,
             output: outputInput.value,
-            limitations: limitationsInput.value
+            limitations: limitationsInput.value,
+            llm: getTemplateLlm(),
+            knowledgeDocs: getTemplateKnowledgeDocs(),
+            variables: getTemplateVariables(),
+            layout: getTemplateLayout(),
+            overrides: getTemplateOverrides()
         };
 
         try {
-            const res = await fetch(`/api/templates/${encodeURIComponent(currentTemplateName)}`, {
+            const res = await apiFetch(`/api/templates/${encodeURIComponent(currentTemplateName)}`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({ newName: newName, data })
@@ -301,7 +764,7 @@ ${limitations}`;
         if (!confirm(`¿Eliminar la plantilla "${currentTemplateName}" permanentemente?`)) return;
 
         try {
-            const res = await fetch(`/api/templates/${encodeURIComponent(currentTemplateName)}`, {
+            const res = await apiFetch(`/api/templates/${encodeURIComponent(currentTemplateName)}`, {
                 method: 'DELETE'
             });
 
@@ -331,127 +794,3325 @@ ${limitations}`;
         }
 
         const t = templates.find(temp => temp.name === selectedName);
-        if (t) {
-            currentTemplateName = t.name;
-            templateNameInput.value = t.name;
-
-            structureInput.value = t.data.structure || "";
-            outputInput.value = t.data.output || "";
-            limitationsInput.value = t.data.limitations || "";
-        }
+        if (t) applyTemplate(t);
         updateButtonStates();
     });
 
-    // View Query Modal
-    viewQueryBtn.addEventListener('click', () => {
-        const userMsg = constructUserMessage();
-        const fullQuery = `--- SYSTEM PROMPT ---\n${systemPrompt}\n\n--- USER MESSAGE ---\n${userMsg}`;
-        queryPreviewContent.textContent = fullQuery;
-        modal.classList.add('active');
-    });
+    function applyTemplate(t) {
+        currentTemplateName = t.name;
+        templateNameInput.value = t.name;
 
-    closeModal.addEventListener('click', () => {
-        modal.classList.remove('active');
-    });
+        structureInput.value = t.data.structure || "";
+        outputInput.value = t.data.output || "";
+        limitationsInput.value = t.data.limitations || "";
+        setTemplateLlm(t.data.llm);
+        setTemplateKnowledgeDocs(t.data.knowledgeDocs);
+        setTemplateVariables(t.data.variables);
+        setTemplateLayout(t.data.layout);
+        setTemplateOverrides(t.data.overrides);
+    }
 
-    window.addEventListener('click', (e) => {
-        if (e.target === modal) modal.classList.remove('active');
-        if (e.target === systemPromptModal) systemPromptModal.classList.remove('active');
-    });
+    // --- Template Revisions ---
+    const templateHistoryModal = document.getElementById('template-history-modal');
+    const closeTemplateHistoryModal = document.getElementById('close-template-history-modal');
+    const templateHistoryTitle = document.getElementById('template-history-title');
+    const templateRevFrom = document.getElementById('template-rev-from');
+    const templateRevTo = document.getElementById('template-rev-to');
+    const templateCompareBtn = document.getElementById('template-compare-btn');
+    const templateRestoreBtn = document.getElementById('template-restore-btn');
+    const templateDiff = document.getElementById('template-diff');
 
-    // Generate
-    generateBtn.addEventListener('click', async () => {
-        if (!briefInput.value.trim()) {
-            return alert("Por favor ingresa primero el brief del cliente.");
+    const TEMPLATE_FIELD_LABELS = {
+        structure: "Estructura",
+        output: "Output",
+        limitations: "Limitaciones",
+        llm: "Modelo",
+        knowledgeDocs: "Documentos de conocimiento",
+        variables: "Variables del mensaje",
+        layout: "Secciones",
+        overrides: "System prompt y conocimiento propios"
+    };
+
+    function revisionLabel(revision) {
+        const parts = [`#${revision.id}`, formatDate(revision.created_at)];
+        if (revision.author) parts.push(revision.author);
+        if (revision.note) parts.push(revision.note);
+        return parts.join(' · ');
+    }
+
+    async function openTemplateHistory() {
+        if (!currentTemplateName) return;
+
+        templateHistoryTitle.textContent = `Historial de "${currentTemplateName}"`;
+        templateDiff.innerHTML = '';
+        templateHistoryModal.classList.add('active');
+
+        try {
+            const res = await apiFetch(`/api/templates/${encodeURIComponent(currentTemplateName)}/revisions`);
+            if (!res.ok) throw new Error("Error loading revisions");
+            const revisions = await res.json();
+
+            templateRevFrom.innerHTML = '';
+            templateRevTo.innerHTML = '<option value="">Versión actual</option>';
+            revisions.forEach(revision => {
+                templateRevFrom.add(new Option(revisionLabel(revision), revision.id));
+                templateRevTo.add(new Option(revisionLabel(revision), revision.id));
+            });
+
+            // Default: previous revision against the current version
+            if (revisions.length > 1) templateRevFrom.value = revisions[1].id;
+            templateRestoreBtn.disabled = revisions.length === 0;
+
+            if (revisions.length) compareTemplateRevisions();
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al cargar el historial de la plantilla", "error");
         }
+    }
 
-        const userMessage = constructUserMessage();
+    async function compareTemplateRevisions() {
+        if (!templateRevFrom.value) return;
+        templateDiff.innerHTML = '';
 
-        generateBtn.disabled = true;
-        generateBtn.textContent = "Generando...";
-        finalOutput.value = ""; // Clear previous output
+        try {
+            const params = new URLSearchParams({ from: templateRevFrom.value });
+            if (templateRevTo.value) params.set('to', templateRevTo.value);
+
+            const res = await apiFetch(`/api/templates/${encodeURIComponent(currentTemplateName)}/diff?${params}`);
+            if (!res.ok) throw new Error("Error loading diff");
+            const diff = await res.json();
+
+            diff.fields.forEach(field => {
+                const block = document.createElement('div');
+                block.className = 'template-diff-field';
+
+                const title = document.createElement('div');
+                title.className = 'section-title';
+                title.textContent = TEMPLATE_FIELD_LABELS[field.field] || field.field;
+
+                const view = document.createElement('div');
+                view.className = 'diff-view';
+                view.appendChild(buildLineDiff(field));
+
+                block.append(title, view);
+                templateDiff.appendChild(block);
+            });
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al comparar versiones", "error");
+        }
+    }
+
+    templateHistoryBtn.addEventListener('click', openTemplateHistory);
+    templateCompareBtn.addEventListener('click', compareTemplateRevisions);
+    closeTemplateHistoryModal.addEventListener('click', () => templateHistoryModal.classList.remove('active'));
+
+    templateRestoreBtn.addEventListener('click', async () => {
+        const revisionId = templateRevFrom.value;
+        if (!revisionId) return;
+        if (!confirm(`¿Restaurar la versión #${revisionId} como versión actual de "${currentTemplateName}"?`)) return;
 
         try {
-            const response = await fetch('/api/generate', {
+            const res = await apiFetch(`/api/templates/${encodeURIComponent(currentTemplateName)}/revisions/${revisionId}/restore`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    systemPrompt: systemPrompt,
-                    userMessage: userMessage
-                })
+                body: JSON.stringify({})
             });
 
-            if (!response.ok) {
-                // Try to parse error if json, else strings
-                let errorMessage = response.statusText;
-                try {
-                    const errorData = await response.json();
-                    if (errorData.error) errorMessage = errorData.error;
-                } catch (e) { }
-                throw new Error(errorMessage);
+            if (!res.ok) {
+                const err = await res.json();
+                throw new Error(err.error || "Error");
             }
 
-            // Read the stream
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
+            const resData = await res.json();
+            templates = resData.templates;
+            applyTemplate(resData.template);
+            renderTemplateSelect();
+
+            showNotification("Versión restaurada", "success");
+            openTemplateHistory();
+        } catch (e) {
+            showNotification("Error al restaurar: " + e.message, "error");
+        }
+    });
+
+    // --- Bundles ---
+    const bundleExportBtn = document.getElementById('bundle-export-btn');
+    const bundleImportBtn = document.getElementById('bundle-import-btn');
+    const bundleImportInput = document.getElementById('bundle-import-input');
+    const bundleExportModal = document.getElementById('bundle-export-modal');
+    const closeBundleExportModal = document.getElementById('close-bundle-export-modal');
+    const bundleTemplates = document.getElementById('bundle-templates');
+    const bundleConfigKeys = document.getElementById('bundle-config-keys');
+    const bundleDownloadBtn = document.getElementById('bundle-download-btn');
+    const bundleImportModal = document.getElementById('bundle-import-modal');
+    const closeBundleImportModal = document.getElementById('close-bundle-import-modal');
+    const bundleImportMeta = document.getElementById('bundle-import-meta');
+    const bundleImportRows = document.getElementById('bundle-import-rows');
+    const bundleApplyBtn = document.getElementById('bundle-apply-btn');
 
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-                const text = decoder.decode(value, { stream: true });
-                finalOutput.value += text;
-                // Auto-scroll to bottom
-                finalOutput.scrollTop = finalOutput.scrollHeight;
-            }
+    const CONFIG_KEY_LABELS = {
+        ...PROMPT_CONFIG_LABELS,
+        structure: "Estructura",
+        output: "Output",
+        limitations: "Limitaciones",
+        knowledge: "Conocimiento",
+        pricing: "Precios",
+        budgets: "Presupuestos"
+    };
+    const BUNDLE_STATUS_LABELS = { new: "Nuevo", conflict: "Conflicto", unchanged: "Sin cambios", invalid: "No válido" };
+    const BUNDLE_ACTION_LABELS = { create: "Crear", skip: "Omitir", overwrite: "Sobrescribir", rename: "Renombrar" };
+
+    let pendingBundle = null;
+    let bundleResolutions = { templates: {}, config: {} };
+
+    function bundleCheckbox(value, label, checked) {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'checkbox-label';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = value;
+        checkbox.checked = checked;
+        wrapper.append(checkbox, label);
+        return wrapper;
+    }
+
+    function checkedValues(container) {
+        return [...container.querySelectorAll('input:checked')].map(input => input.value);
+    }
+
+    async function openBundleExport() {
+        bundleTemplates.innerHTML = '';
+        bundleConfigKeys.innerHTML = '';
+        bundleExportModal.classList.add('active');
+
+        // The current template is preselected; the rest are opt-in
+        templates.forEach(t => bundleTemplates.appendChild(bundleCheckbox(t.name, t.name, t.name === currentTemplateName)));
+        if (templates.length === 0) bundleTemplates.textContent = "No hay plantillas guardadas.";
 
+        try {
+            const res = await apiFetch('/api/defaults');
+            if (!res.ok) throw new Error("Error loading config");
+            const config = await res.json();
+            Object.keys(config).sort().forEach(key => {
+                const label = CONFIG_KEY_LABELS[key] ? `${CONFIG_KEY_LABELS[key]} (${key})` : key;
+                bundleConfigKeys.appendChild(bundleCheckbox(key, label, false));
+            });
         } catch (e) {
             console.error(e);
-            finalOutput.value += "\n\n[Error interrumpió la generación: " + e.message + "]";
-            alert("Error al generar: " + e.message);
-        } finally {
-            generateBtn.disabled = false;
-            generateBtn.textContent = "Generar texto";
+            showNotification("Error al cargar la configuración", "error");
         }
-    });
+    }
 
-    // Copy
-    copyBtn.addEventListener('click', () => {
-        if (!finalOutput.value) return;
-        navigator.clipboard.writeText(finalOutput.value)
-            .then(() => {
-                const originalText = copyBtn.textContent;
-                copyBtn.textContent = "¡Copiado!";
-                setTimeout(() => copyBtn.textContent = originalText, 2000);
-            })
-            .catch(err => console.error('Error copying text: ', err));
-    });
+    bundleDownloadBtn.addEventListener('click', async () => {
+        const body = { templates: checkedValues(bundleTemplates), configKeys: checkedValues(bundleConfigKeys) };
+        if (body.templates.length === 0 && body.configKeys.length === 0) {
+            return showNotification("Selecciona al menos una plantilla o clave", "error");
+        }
 
-    // Download
-    downloadBtn.addEventListener('click', () => {
-        const text = finalOutput.value;
-        if (!text) return alert("No hay texto para descargar.");
+        try {
+            const res = await apiFetch('/api/bundles/export', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            if (!res.ok) {
+                const err = await res.json().catch(() => ({}));
+                throw new Error(err.error || "Error");
+            }
 
-        const keyword = keywordInput.value.trim() || "landing_page";
-        const filename = keyword.replace(/\s+/g, '_').toLowerCase() + ".txt";
+            const disposition = res.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="?([^";]+)"?/);
+            const url = window.URL.createObjectURL(await res.blob());
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = match ? match[1] : 'skyling_bundle.json';
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
 
-        const blob = new Blob([text], { type: 'text/plain' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        window.URL.revokeObjectURL(url);
-        document.body.removeChild(a);
+            bundleExportModal.classList.remove('active');
+        } catch (e) {
+            showNotification("Error al exportar: " + e.message, "error");
+        }
     });
 
+    // Dry run: the server answers with what each item would do under the current resolutions
+    async function previewBundle() {
+        try {
+            const res = await apiFetch('/api/bundles/import', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ bundle: pendingBundle, resolutions: bundleResolutions, dryRun: true })
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || "Error");
+            renderBundlePreview(data);
+            bundleImportModal.classList.add('active');
+        } catch (e) {
+            showNotification("Error al leer el bundle: " + e.message, "error");
+        }
+    }
+
+    function bundleActionSelect(item, actions, onChange) {
+        const select = document.createElement('select');
+        actions.forEach(action => select.add(new Option(BUNDLE_ACTION_LABELS[action], action)));
+        select.value = item.action;
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
+
+    function renderBundlePreview(data) {
+        const meta = [`Bundle v${data.version}`];
+        if (data.exportedAt) meta.push(`exportado ${formatDate(data.exportedAt)}`);
+        if (data.exportedBy) meta.push(`por ${data.exportedBy}`);
+        bundleImportMeta.textContent = meta.join(' · ');
+
+        bundleImportRows.innerHTML = '';
+        const addRow = (label, item, actionCell) => {
+            const row = document.createElement('tr');
+            if (item.status === 'conflict') row.className = 'bundle-conflict';
+            const cells = [label, BUNDLE_STATUS_LABELS[item.status] || item.status, '', item.warnings.join(' · ')];
+            cells.forEach((text, i) => {
+                const cell = document.createElement('td');
+                if (i === 2) cell.appendChild(actionCell);
+                else cell.textContent = text;
+                row.appendChild(cell);
+            });
+            bundleImportRows.appendChild(row);
+        };
+
+        data.items.templates.forEach(item => {
+            const cell = document.createElement('div');
+            cell.className = 'bundle-action';
+            if (item.status === 'conflict' || item.status === 'unchanged') {
+                cell.appendChild(bundleActionSelect(item, ['skip', 'overwrite', 'rename'], action => {
+                    bundleResolutions.templates[item.name] = { ...bundleResolutions.templates[item.name], action };
+                    previewBundle();
+                }));
+                if (item.action === 'rename') {
+                    const input = document.createElement('input');
+                    input.type = 'text';
+                    input.value = item.targetName || item.suggestedName;
+                    input.addEventListener('change', () => {
+                        bundleResolutions.templates[item.name] = { action: 'rename', newName: input.value.trim() };
+                        previewBundle();
+                    });
+                    cell.appendChild(input);
+                }
+            } else {
+                cell.textContent = BUNDLE_ACTION_LABELS[item.action];
+            }
+            addRow(`Plantilla: ${item.name}`, item, cell);
+        });
+
+        data.items.config.forEach(item => {
+            const cell = document.createElement('div');
+            cell.className = 'bundle-action';
+            if (item.status === 'conflict' || item.status === 'unchanged') {
+                cell.appendChild(bundleActionSelect(item, ['skip', 'overwrite'], action => {
+                    bundleResolutions.config[item.key] = { action };
+                    previewBundle();
+                }));
+            } else {
+                cell.textContent = BUNDLE_ACTION_LABELS[item.action];
+            }
+            if (!data.canImportConfig) cell.querySelectorAll('select').forEach(select => { select.disabled = true; });
+            addRow(`Configuración: ${CONFIG_KEY_LABELS[item.key] || item.key}`, item, cell);
+        });
+
+        const adminWrites = data.items.config.some(item => item.action !== 'skip')
+            || data.items.templates.some(item => item.changesSystemPrompt);
+        bundleApplyBtn.disabled = adminWrites && !data.canImportConfig;
+        bundleApplyBtn.title = bundleApplyBtn.disabled ? "Solo un administrador puede importar configuración o el System Prompt de una plantilla" : '';
+    }
+
+    bundleImportBtn.addEventListener('click', () => bundleImportInput.click());
+
+    bundleImportInput.addEventListener('change', async () => {
+        const file = bundleImportInput.files[0];
+        bundleImportInput.value = '';
+        if (!file) return;
+
+        try {
+            pendingBundle = JSON.parse(await file.text());
+        } catch (e) {
+            return showNotification("El archivo no es un JSON válido", "error");
+        }
+        bundleResolutions = { templates: {}, config: {} };
+        previewBundle();
+    });
+
+    bundleApplyBtn.addEventListener('click', async () => {
+        if (!pendingBundle) return;
+
+        try {
+            const res = await apiFetch('/api/bundles/import', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ bundle: pendingBundle, resolutions: bundleResolutions })
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || "Error");
+
+            templates = data.templates;
+            renderTemplateSelect();
+
+            // New config values only reach the editor after a reload of the defaults
+            const imported = [...data.items.templates, ...data.items.config].filter(item => item.action !== 'skip').length;
+            if (data.items.config.some(item => item.action !== 'skip')) {
+                const config = await (await apiFetch('/api/defaults')).json();
+                systemPrompt = config.systemPrompt || "";
+                userMessageTemplate = config.userMessageTemplate || "";
+            }
+
+            pendingBundle = null;
+            bundleImportModal.classList.remove('active');
+            showNotification(`Bundle importado: ${imported} elemento(s)`, "success");
+        } catch (e) {
+            showNotification("Error al importar: " + e.message, "error");
+        }
+    });
+
+    bundleExportBtn.addEventListener('click', openBundleExport);
+    closeBundleExportModal.addEventListener('click', () => bundleExportModal.classList.remove('active'));
+    closeBundleImportModal.addEventListener('click', () => bundleImportModal.classList.remove('active'));
+
+    // --- Knowledge Library ---
+    const knowledgeBtn = document.getElementById('knowledge-btn');
+    const knowledgeModal = document.getElementById('knowledge-modal');
+    const closeKnowledgeModal = document.getElementById('close-knowledge-modal');
+    const knowledgeDocList = document.getElementById('knowledge-doc-list');
+    const knowledgeUploadInput = document.getElementById('knowledge-upload-input');
+    const knowledgeUploadBtn = document.getElementById('knowledge-upload-btn');
+    const knowledgeNewBtn = document.getElementById('knowledge-new-btn');
+    const knowledgeDocName = document.getElementById('knowledge-doc-name');
+    const knowledgeDocEditor = document.getElementById('knowledge-doc-editor');
+    const knowledgeDocEnabled = document.getElementById('knowledge-doc-enabled');
+    const knowledgeDocMeta = document.getElementById('knowledge-doc-meta');
+    const knowledgeDeleteBtn = document.getElementById('knowledge-delete-btn');
+    const knowledgeSaveBtn = document.getElementById('knowledge-save-btn');
+    const knowledgeDocsAll = document.getElementById('knowledge-docs-all');
+    const templateKnowledgeDocsList = document.getElementById('template-knowledge-docs');
+    let knowledgeDocs = [];
+    let selectedKnowledgeDocId = null;
+    // Document ids used by the current template; null means every enabled document
+    let templateDocSelection = null;
+
+    async function fetchKnowledgeDocs() {
+        try {
+            const res = await apiFetch('/api/knowledge/docs');
+            if (!res.ok) throw new Error("Error loading documents");
+            knowledgeDocs = await res.json();
+            renderKnowledgeDocList();
+            renderTemplateKnowledgeDocs();
+        } catch (e) {
+            console.error("Error loading knowledge documents", e);
+        }
+    }
+
+    function renderKnowledgeDocList() {
+        knowledgeDocList.innerHTML = '';
+        if (knowledgeDocs.length === 0) {
+            knowledgeDocList.innerHTML = '<div class="empty-state">No hay documentos.</div>';
+            return;
+        }
+
+        knowledgeDocs.forEach(doc => {
+            const item = document.createElement('div');
+            item.className = 'revision-item' + (doc.id === selectedKnowledgeDocId ? ' selected' : '');
+
+            const title = document.createElement('div');
+            title.className = 'revision-title';
+            title.textContent = doc.enabled ? doc.name : `${doc.name} (inactivo)`;
+
+            const meta = document.createElement('div');
+            meta.className = 'revision-meta';
+            meta.textContent = `${doc.length.toLocaleString('es-ES')} caracteres · ${formatDate(doc.updated_at)}`;
+
+            item.append(title, meta);
+            item.addEventListener('click', () => openKnowledgeDoc(doc.id));
+            knowledgeDocList.appendChild(item);
+        });
+    }
+
+    async function openKnowledgeDoc(id) {
+        try {
+            const res = await apiFetch(`/api/knowledge/docs/${id}`);
+            if (!res.ok) throw new Error("Error loading document");
+            const doc = await res.json();
+
+            selectedKnowledgeDocId = doc.id;
+            knowledgeDocName.value = doc.name;
+            knowledgeDocEditor.value = doc.content;
+            knowledgeDocEnabled.checked = doc.enabled;
+            knowledgeDocMeta.textContent = [doc.filename, doc.created_by, formatDate(doc.created_at)].filter(Boolean).join(' · ');
+            knowledgeDeleteBtn.disabled = false;
+            renderKnowledgeDocList();
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al cargar el documento", "error");
+        }
+    }
+
+    function clearKnowledgeEditor() {
+        selectedKnowledgeDocId = null;
+        knowledgeDocName.value = "";
+        knowledgeDocEditor.value = "";
+        knowledgeDocEnabled.checked = true;
+        knowledgeDocMeta.textContent = "";
+        knowledgeDeleteBtn.disabled = true;
+        renderKnowledgeDocList();
+    }
+
+    async function sendKnowledgeDoc(url, method, body) {
+        const res = await apiFetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        if (!res.ok) {
+            const err = await res.json();
+            throw new Error(err.error || "Error");
+        }
+
+        const data = await res.json();
+        knowledgeDocs = data.documents;
+        renderTemplateKnowledgeDocs();
+        return data;
+    }
+
+    function readFileAsBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result.split(',')[1] || "");
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    knowledgeBtn.addEventListener('click', () => {
+        knowledgeModal.classList.add('active');
+        fetchKnowledgeDocs();
+    });
+
+    closeKnowledgeModal.addEventListener('click', () => knowledgeModal.classList.remove('active'));
+    knowledgeNewBtn.addEventListener('click', clearKnowledgeEditor);
+    knowledgeUploadBtn.addEventListener('click', () => knowledgeUploadInput.click());
+
+    knowledgeUploadInput.addEventListener('change', async () => {
+        const file = knowledgeUploadInput.files[0];
+        knowledgeUploadInput.value = "";
+        if (!file) return;
+
+        try {
+            knowledgeUploadBtn.disabled = true;
+            knowledgeUploadBtn.textContent = "Subiendo...";
+
+            const data = await sendKnowledgeDoc('/api/knowledge/docs', 'POST', {
+                filename: file.name,
+                data: await readFileAsBase64(file)
+            });
+            await openKnowledgeDoc(data.document.id);
+            showNotification(`Documento "${data.document.name}" añadido`, "success");
+        } catch (e) {
+            showNotification("Error al subir: " + e.message, "error");
+        } finally {
+            knowledgeUploadBtn.disabled = false;
+            knowledgeUploadBtn.textContent = "Subir PDF / TXT";
+        }
+    });
+
+    knowledgeSaveBtn.addEventListener('click', async () => {
+        const name = knowledgeDocName.value.trim();
+        if (!name) return showNotification("Escribe un nombre para el documento", "error");
+
+        const body = { name, content: knowledgeDocEditor.value, enabled: knowledgeDocEnabled.checked };
+
+        try {
+            const data = selectedKnowledgeDocId
+                ? await sendKnowledgeDoc(`/api/knowledge/docs/${selectedKnowledgeDocId}`, 'PUT', body)
+                : await sendKnowledgeDoc('/api/knowledge/docs', 'POST', body);
+            selectedKnowledgeDocId = data.document.id;
+            knowledgeDeleteBtn.disabled = false;
+            renderKnowledgeDocList();
+            showNotification("Documento guardado", "success");
+        } catch (e) {
+            showNotification("Error al guardar: " + e.message, "error");
+        }
+    });
+
+    // Enabling/disabling an existing document applies right away
+    knowledgeDocEnabled.addEventListener('change', async () => {
+        if (!selectedKnowledgeDocId) return;
+
+        try {
+            await sendKnowledgeDoc(`/api/knowledge/docs/${selectedKnowledgeDocId}`, 'PUT', { enabled: knowledgeDocEnabled.checked });
+            renderKnowledgeDocList();
+        } catch (e) {
+            knowledgeDocEnabled.checked = !knowledgeDocEnabled.checked;
+            showNotification("Error: " + e.message, "error");
+        }
+    });
+
+    knowledgeDeleteBtn.addEventListener('click', async () => {
+        if (!selectedKnowledgeDocId) return;
+        if (!confirm(`¿Eliminar el documento "${knowledgeDocName.value}" permanentemente?`)) return;
+
+        try {
+            const res = await apiFetch(`/api/knowledge/docs/${selectedKnowledgeDocId}`, { method: 'DELETE' });
+            if (!res.ok) throw new Error("Error deleting document");
+
+            knowledgeDocs = (await res.json()).documents;
+            clearKnowledgeEditor();
+            renderTemplateKnowledgeDocs();
+            showNotification("Documento eliminado", "success");
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al eliminar el documento", "error");
+        }
+    });
+
+    // Per-template document selection
+    function renderTemplateKnowledgeDocs() {
+        const useAll = templateDocSelection === null;
+        knowledgeDocsAll.checked = useAll;
+        templateKnowledgeDocsList.innerHTML = '';
+
+        knowledgeDocs.forEach(doc => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = doc.enabled && (useAll || templateDocSelection.includes(doc.id));
+            checkbox.disabled = useAll || !doc.enabled;
+            checkbox.addEventListener('change', () => {
+                templateDocSelection = checkbox.checked
+                    ? [...templateDocSelection, doc.id]
+                    : templateDocSelection.filter(id => id !== doc.id);
+            });
+
+            label.append(checkbox, doc.enabled ? doc.name : `${doc.name} (inactivo)`);
+            templateKnowledgeDocsList.appendChild(label);
+        });
+    }
+
+    function getTemplateKnowledgeDocs() {
+        return templateDocSelection === null ? undefined : [...templateDocSelection];
+    }
+
+    function setTemplateKnowledgeDocs(ids) {
+        templateDocSelection = Array.isArray(ids) ? [...ids] : null;
+        renderTemplateKnowledgeDocs();
+    }
+
+    // Unticking "all" starts from the documents currently in use
+    knowledgeDocsAll.addEventListener('change', () => {
+        templateDocSelection = knowledgeDocsAll.checked
+            ? null
+            : knowledgeDocs.filter(doc => doc.enabled).map(doc => doc.id);
+        renderTemplateKnowledgeDocs();
+    });
+
+    // --- Brief Upload ---
+    const briefUploadBtn = document.getElementById('brief-upload-btn');
+    const briefUploadInput = document.getElementById('brief-upload-input');
+    const briefFilesList = document.getElementById('brief-files');
+    const briefModal = document.getElementById('brief-modal');
+    const closeBriefModal = document.getElementById('close-brief-modal');
+    const briefReviewTitle = document.getElementById('brief-review-title');
+    const briefReviewMeta = document.getElementById('brief-review-meta');
+    const briefReviewText = document.getElementById('brief-review-text');
+    const briefReplaceBtn = document.getElementById('brief-replace-btn');
+    const briefAppendBtn = document.getElementById('brief-append-btn');
+
+    let briefFiles = []; // Original files attached to the next generation
+    let pendingBriefFile = null;
+
+    function setBriefFiles(files) {
+        briefFiles = Array.isArray(files) ? files : [];
+        renderBriefFiles();
+    }
+
+    function renderBriefFiles() {
+        briefFilesList.innerHTML = '';
+        briefFiles.forEach(file => {
+            const chip = document.createElement('span');
+            chip.className = 'brief-file';
+
+            const link = document.createElement('a');
+            link.href = `/api/briefs/files/${file.id}`;
+            link.textContent = file.filename;
+            link.title = `${Math.ceil(file.size / 1024).toLocaleString('es-ES')} KB · descargar original`;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = '×';
+            removeBtn.title = "No adjuntar a la generación";
+            removeBtn.addEventListener('click', () => setBriefFiles(briefFiles.filter(f => f.id !== file.id)));
+
+            chip.append(link, removeBtn);
+            briefFilesList.appendChild(chip);
+        });
+    }
+
+    function useExtractedBrief(append) {
+        const text = briefReviewText.value.trim();
+        if (!text) return showNotification("El texto extraído está vacío", "error");
+
+        briefInput.value = append && briefInput.value.trim()
+            ? `${briefInput.value.trimEnd()}\n\n${text}`
+            : text;
+        if (pendingBriefFile && !briefFiles.some(f => f.id === pendingBriefFile.id)) {
+            setBriefFiles(append ? [...briefFiles, pendingBriefFile] : [pendingBriefFile]);
+        }
+        pendingBriefFile = null;
+        briefModal.classList.remove('active');
+        showNotification(append ? "Texto añadido al brief" : "Brief reemplazado", "success");
+    }
+
+    briefUploadBtn.addEventListener('click', () => briefUploadInput.click());
+
+    briefUploadInput.addEventListener('change', async () => {
+        const file = briefUploadInput.files[0];
+        briefUploadInput.value = "";
+        if (!file) return;
+
+        try {
+            briefUploadBtn.disabled = true;
+            briefUploadBtn.textContent = "Extrayendo...";
+
+            const res = await apiFetch('/api/briefs/upload', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ filename: file.name, data: await readFileAsBase64(file) })
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || "Error");
+
+            pendingBriefFile = data.file;
+            briefReviewTitle.textContent = `Revisar brief extraído: ${data.file.filename}`;
+            briefReviewMeta.textContent = `${data.text.length.toLocaleString('es-ES')} caracteres · `
+                + (data.removedLines
+                    ? `${data.removedLines} líneas de ruido eliminadas (números de página, cabeceras y pies)`
+                    : "sin ruido detectado");
+            briefReviewText.value = data.text;
+            briefAppendBtn.disabled = !briefInput.value.trim();
+            briefModal.classList.add('active');
+        } catch (e) {
+            showNotification("Error al subir: " + e.message, "error");
+        } finally {
+            briefUploadBtn.disabled = false;
+            briefUploadBtn.textContent = "Subir archivo";
+        }
+    });
+
+    briefReplaceBtn.addEventListener('click', () => useExtractedBrief(false));
+    briefAppendBtn.addEventListener('click', () => useExtractedBrief(true));
+    closeBriefModal.addEventListener('click', () => briefModal.classList.remove('active'));
+
+    // --- Clients & Projects ---
+    const projectSelect = document.getElementById('project-select');
+    const saveProjectBtn = document.getElementById('save-project-btn');
+    const projectsBtn = document.getElementById('projects-btn');
+    const projectsModal = document.getElementById('projects-modal');
+    const closeProjectsModal = document.getElementById('close-projects-modal');
+    const clientSelect = document.getElementById('client-select');
+    const deleteClientBtn = document.getElementById('delete-client-btn');
+    const newClientName = document.getElementById('new-client-name');
+    const createClientBtn = document.getElementById('create-client-btn');
+    const projectsList = document.getElementById('projects-list');
+    const projectFormTitle = document.getElementById('project-form-title');
+    const projectName = document.getElementById('project-name');
+    const projectTemplate = document.getElementById('project-template');
+    const projectKeywords = document.getElementById('project-keywords');
+    const projectBrief = document.getElementById('project-brief');
+    const projectBrandVoice = document.getElementById('project-brand-voice');
+    const projectSaveBtn = document.getElementById('project-save-btn');
+    const projectCopyEditorBtn = document.getElementById('project-copy-editor-btn');
+    const projectNewBtn = document.getElementById('project-new-btn');
+
+    let clients = [];
+    let currentProjectId = null; // Project the editor is working on; new generations are filed under it
+    let editingProjectId = null; // Project open in the form of the projects modal
+
+    async function fetchClients() {
+        try {
+            const res = await apiFetch('/api/clients');
+            if (!res.ok) throw new Error("Error loading clients");
+            setClients(await res.json());
+        } catch (e) {
+            console.error("Error loading clients", e);
+        }
+    }
+
+    function setClients(list) {
+        clients = list;
+        if (currentProjectId && !findProject(currentProjectId)) currentProjectId = null;
+        renderProjectSelect();
+        renderClientSelect();
+    }
+
+    function findProject(id) {
+        for (const client of clients) {
+            const project = client.projects.find(p => p.id === id);
+            if (project) return project;
+        }
+        return null;
+    }
+
+    function renderProjectSelect() {
+        projectSelect.innerHTML = '<option value="">-- Sin proyecto --</option>';
+        clients.forEach(client => {
+            if (client.projects.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = client.name;
+            client.projects.forEach(project => {
+                const option = document.createElement('option');
+                option.value = project.id;
+                option.textContent = project.name;
+                group.appendChild(option);
+            });
+            projectSelect.appendChild(group);
+        });
+        projectSelect.value = currentProjectId || "";
+        saveProjectBtn.disabled = !currentProjectId;
+        historyProjectOnly.disabled = !currentProjectId;
+        if (!currentProjectId) historyProjectOnly.checked = false;
+    }
+
+    function renderClientSelect() {
+        const selected = clientSelect.value;
+        clientSelect.innerHTML = '';
+        clients.forEach(client => {
+            const option = document.createElement('option');
+            option.value = client.id;
+            option.textContent = client.name;
+            clientSelect.appendChild(option);
+        });
+        if (clients.some(c => String(c.id) === selected)) clientSelect.value = selected;
+        deleteClientBtn.disabled = !isAdmin() || clients.length === 0;
+        projectSaveBtn.disabled = clients.length === 0;
+        renderProjectsList();
+    }
+
+    function selectedClient() {
+        return clients.find(c => String(c.id) === clientSelect.value) || null;
+    }
+
+    function renderProjectsList() {
+        const client = selectedClient();
+        projectsList.innerHTML = '';
+        if (!client || client.projects.length === 0) {
+            projectsList.innerHTML = `<div class="empty-state">${client ? "Este cliente no tiene proyectos." : "Crea un cliente para empezar."}</div>`;
+            return;
+        }
+
+        client.projects.forEach(project => {
+            const row = document.createElement('div');
+            row.className = 'history-item';
+            if (project.id === editingProjectId) row.classList.add('active');
+
+            const info = document.createElement('div');
+            info.className = 'history-info';
+
+            const title = document.createElement('div');
+            title.className = 'history-title';
+            title.textContent = project.name;
+
+            const meta = document.createElement('div');
+            meta.className = 'history-meta';
+            meta.textContent = [
+                project.template_name || "Sin plantilla",
+                `${project.generations} generaciones`,
+                `Actualizado ${formatDate(project.updated_at)}`
+            ].join(' · ');
+
+            info.append(title, meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'history-actions';
+
+            const openBtn = document.createElement('button');
+            openBtn.className = 'btn-primary';
+            openBtn.textContent = "Abrir";
+            openBtn.addEventListener('click', async () => {
+                await openProject(project.id);
+                projectsModal.classList.remove('active');
+            });
+
+            const editBtn = document.createElement('button');
+            editBtn.className = 'btn-secondary';
+            editBtn.textContent = "Editar";
+            editBtn.addEventListener('click', () => editProject(project.id));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn-danger';
+            deleteBtn.textContent = "Eliminar";
+            deleteBtn.disabled = !isAdmin();
+            deleteBtn.addEventListener('click', () => deleteProject(project));
+
+            actions.append(openBtn, editBtn, deleteBtn);
+            row.append(info, actions);
+            projectsList.appendChild(row);
+        });
+    }
+
+    function renderProjectTemplateOptions(selected) {
+        projectTemplate.innerHTML = '<option value="">-- Ninguna --</option>';
+        templates.forEach(t => {
+            const option = document.createElement('option');
+            option.value = t.name;
+            option.textContent = t.name;
+            projectTemplate.appendChild(option);
+        });
+        projectTemplate.value = templates.some(t => t.name === selected) ? selected : "";
+    }
+
+    function resetProjectForm() {
+        editingProjectId = null;
+        projectFormTitle.textContent = "Nuevo proyecto";
+        projectName.value = "";
+        projectKeywords.value = "";
+        projectBrief.value = "";
+        projectBrandVoice.value = "";
+        renderProjectTemplateOptions("");
+        renderProjectsList();
+    }
+
+    async function fetchProject(id) {
+        const res = await apiFetch(`/api/projects/${id}`);
+        if (!res.ok) throw new Error("Project not found");
+        return res.json();
+    }
+
+    async function editProject(id) {
+        try {
+            const project = await fetchProject(id);
+            editingProjectId = project.id;
+            clientSelect.value = project.client_id;
+            projectFormTitle.textContent = `Editar "${project.name}"`;
+            projectName.value = project.name;
+            projectKeywords.value = project.keywords.join(', ');
+            projectBrief.value = project.brief;
+            projectBrandVoice.value = project.brand_voice;
+            renderProjectTemplateOptions(project.template_name);
+            renderProjectsList();
+        } catch (e) {
+            showNotification("Error al cargar el proyecto", "error");
+        }
+    }
+
+    // Keyword list stored in a project: the main keyword first, then the secondary ones
+    function getEditorKeywords() {
+        return [keywordInput.value.trim(), ...getSecondaryKeywords()].filter(Boolean);
+    }
+
+    // Loads the project into the editor: brief, brand voice, keywords and its default template
+    async function openProject(id) {
+        if (!id) {
+            currentProjectId = null;
+            renderProjectSelect();
+            return;
+        }
+
+        try {
+            const project = await fetchProject(id);
+            currentProjectId = project.id;
+            briefInput.value = project.brief;
+            brandVoiceInput.value = project.brand_voice;
+            keywordInput.value = project.keywords[0] || "";
+            secondaryKeywordsInput.value = project.keywords.slice(1).join(', ');
+            setBriefFiles([]);
+
+            if (project.template_name) {
+                const t = templates.find(temp => temp.name === project.template_name);
+                if (t) {
+                    applyTemplate(t);
+                    templateSelect.value = t.name;
+                    updateButtonStates();
+                } else {
+                    showNotification(`La plantilla "${project.template_name}" ya no existe`, "error");
+                }
+            }
+
+            renderProjectSelect();
+            showNotification(`Proyecto "${project.name}" cargado`, "success");
+        } catch (e) {
+            console.error(e);
+            renderProjectSelect();
+            showNotification("Error al cargar el proyecto", "error");
+        }
+    }
+
+    async function sendProjectRequest(url, method, body) {
+        const res = await apiFetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body || {})
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Error");
+        setClients(data.clients);
+        return data;
+    }
+
+    async function deleteProject(project) {
+        if (!confirm(`¿Eliminar el proyecto "${project.name}"? Sus generaciones se conservan en el historial.`)) return;
+
+        try {
+            await sendProjectRequest(`/api/projects/${project.id}`, 'DELETE');
+            if (editingProjectId === project.id) resetProjectForm();
+            showNotification("Proyecto eliminado", "success");
+        } catch (e) {
+            showNotification("Error al eliminar: " + e.message, "error");
+        }
+    }
+
+    projectSelect.addEventListener('change', () => openProject(parseInt(projectSelect.value, 10) || null));
+
+    saveProjectBtn.addEventListener('click', async () => {
+        if (!currentProjectId) return;
+
+        try {
+            const data = await sendProjectRequest(`/api/projects/${currentProjectId}`, 'PUT', {
+                brief: briefInput.value,
+                brandVoice: brandVoiceInput.value,
+                keywords: getEditorKeywords(),
+                templateName: currentTemplateName || null
+            });
+            showNotification(`Proyecto "${data.project.name}" guardado`, "success");
+        } catch (e) {
+            showNotification("Error al guardar: " + e.message, "error");
+        }
+    });
+
+    projectsBtn.addEventListener('click', () => {
+        projectsModal.classList.add('active');
+        if (currentProjectId) {
+            editProject(currentProjectId);
+        } else {
+            resetProjectForm();
+        }
+    });
+
+    closeProjectsModal.addEventListener('click', () => projectsModal.classList.remove('active'));
+    clientSelect.addEventListener('change', resetProjectForm);
+    projectNewBtn.addEventListener('click', resetProjectForm);
+
+    projectCopyEditorBtn.addEventListener('click', () => {
+        projectKeywords.value = getEditorKeywords().join(', ');
+        projectBrief.value = briefInput.value;
+        projectBrandVoice.value = brandVoiceInput.value;
+        renderProjectTemplateOptions(currentTemplateName);
+    });
+
+    createClientBtn.addEventListener('click', async () => {
+        const name = newClientName.value.trim();
+        if (!name) return showNotification("Escribe el nombre del cliente", "error");
+
+        try {
+            const data = await sendProjectRequest('/api/clients', 'POST', { name });
+            newClientName.value = "";
+            clientSelect.value = data.client.id;
+            resetProjectForm();
+            showNotification(`Cliente "${data.client.name}" creado`, "success");
+        } catch (e) {
+            showNotification("Error al crear: " + e.message, "error");
+        }
+    });
+
+    deleteClientBtn.addEventListener('click', async () => {
+        const client = selectedClient();
+        if (!client) return;
+        if (!confirm(`¿Eliminar el cliente "${client.name}" y sus ${client.projects.length} proyectos? Las generaciones se conservan en el historial.`)) return;
+
+        try {
+            await sendProjectRequest(`/api/clients/${client.id}`, 'DELETE');
+            resetProjectForm();
+            showNotification("Cliente eliminado", "success");
+        } catch (e) {
+            showNotification("Error al eliminar: " + e.message, "error");
+        }
+    });
+
+    projectSaveBtn.addEventListener('click', async () => {
+        const client = selectedClient();
+        const name = projectName.value.trim();
+        if (!client) return showNotification("Crea primero un cliente", "error");
+        if (!name) return showNotification("Escribe el nombre del proyecto", "error");
+
+        const body = {
+            clientId: client.id,
+            name,
+            brief: projectBrief.value,
+            brandVoice: projectBrandVoice.value,
+            keywords: projectKeywords.value,
+            templateName: projectTemplate.value || null
+        };
+
+        try {
+            const data = editingProjectId
+                ? await sendProjectRequest(`/api/projects/${editingProjectId}`, 'PUT', body)
+                : await sendProjectRequest('/api/projects', 'POST', body);
+            await editProject(data.project.id);
+            showNotification(`Proyecto "${data.project.name}" guardado`, "success");
+        } catch (e) {
+            showNotification("Error al guardar: " + e.message, "error");
+        }
+    });
+
+    // --- Section Builder ---
+    const builderBtn = document.getElementById('builder-btn');
+    const builderModal = document.getElementById('builder-modal');
+    const closeBuilderModal = document.getElementById('close-builder-modal');
+    const builderPage = document.getElementById('builder-page');
+    const builderCatalogue = document.getElementById('builder-catalogue');
+    const builderSummary = document.getElementById('builder-summary');
+    const builderDetectBtn = document.getElementById('builder-detect-btn');
+    const builderApplyBtn = document.getElementById('builder-apply-btn');
+    let sectionCatalogue = [];
+    // Structured page of the current template: [{ type, title, items }]; null when the texts are free-form
+    let templateLayout = null;
+    // Working copy edited in the modal until it is applied
+    let builderLayout = [];
+    // Drag payload: { index } to move a page block or { type } to add one from the catalogue
+    let builderDrag = null;
+
+    function getTemplateLayout() {
+        return templateLayout ? templateLayout.map(block => ({ ...block })) : undefined;
+    }
+
+    function setTemplateLayout(layout) {
+        templateLayout = Array.isArray(layout) ? layout.map(block => ({ ...block })) : null;
+    }
+
+    async function fetchSectionCatalogue() {
+        if (sectionCatalogue.length) return;
+        const res = await apiFetch('/api/sections/catalogue');
+        if (!res.ok) throw new Error("Error loading the section catalogue");
+        sectionCatalogue = await res.json();
+    }
+
+    function formatFieldLimit(field) {
+        if (field.exact) return "copia textual";
+        if (field.min && field.max) return `${field.min}–${field.max}`;
+        if (field.max) return `≤ ${field.max}`;
+        if (field.min) return `≥ ${field.min}`;
+        return "";
+    }
+
+    function describeFields(fields) {
+        return fields.map(field => {
+            const limit = formatFieldLimit(field);
+            return limit ? `${field.tag} (${limit})` : field.tag;
+        }).join(' · ');
+    }
+
+    function renderBuilderCatalogue() {
+        builderCatalogue.innerHTML = '';
+        sectionCatalogue.forEach(definition => {
+            const item = document.createElement('div');
+            item.className = 'revision-item';
+            item.draggable = true;
+            item.title = "Arrastra a la página o haz clic para añadir al final";
+
+            const title = document.createElement('div');
+            title.className = 'revision-title';
+            title.textContent = definition.title;
+
+            const meta = document.createElement('div');
+            meta.className = 'revision-meta';
+            meta.textContent = definition.items
+                ? `${definition.fields.map(f => f.tag).join(' · ')} + ${definition.items.fields.map(f => f.tag).join('/')} ×${definition.items.count}`
+                : definition.fields.map(f => f.tag).join(' · ');
+
+            item.append(title, meta);
+            item.addEventListener('click', () => addBuilderBlock(definition.type, builderLayout.length));
+            item.addEventListener('dragstart', (e) => {
+                builderDrag = { type: definition.type };
+                e.dataTransfer.setData('text/plain', definition.title);
+            });
+            builderCatalogue.appendChild(item);
+        });
+    }
+
+    function addBuilderBlock(type, index) {
+        const definition = sectionCatalogue.find(d => d.type === type);
+        const block = { type, title: definition.title };
+        if (definition.items) block.items = definition.items.count;
+        builderLayout.splice(index, 0, block);
+        renderBuilderPage();
+    }
+
+    // Drops land before the block under the cursor, or at the end of the page
+    function dropOnBuilder(index) {
+        if (!builderDrag) return;
+        if (builderDrag.type) {
+            addBuilderBlock(builderDrag.type, index);
+        } else if (builderDrag.index !== index) {
+            const [moved] = builderLayout.splice(builderDrag.index, 1);
+            builderLayout.splice(builderDrag.index < index ? index - 1 : index, 0, moved);
+            renderBuilderPage();
+        }
+        builderDrag = null;
+    }
+
+    function renderBuilderPage() {
+        builderPage.innerHTML = '';
+        if (builderLayout.length === 0) {
+            builderPage.innerHTML = '<div class="empty-state">Arrastra secciones desde el catálogo o detecta la estructura desde el Output actual.</div>';
+        }
+
+        let fieldCount = 0;
+        builderLayout.forEach((block, index) => {
+            const definition = sectionCatalogue.find(d => d.type === block.type);
+            if (!definition) return;
+
+            const card = document.createElement('div');
+            card.className = 'builder-block';
+            card.draggable = true;
+            card.addEventListener('dragstart', (e) => {
+                if (e.target !== card) return;
+                builderDrag = { index };
+                e.dataTransfer.setData('text/plain', block.title);
+            });
+            card.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                card.classList.add('drop-target');
+            });
+            card.addEventListener('dragleave', () => card.classList.remove('drop-target'));
+            card.addEventListener('drop', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                dropOnBuilder(index);
+            });
+
+            const header = document.createElement('div');
+            header.className = 'builder-block-header';
+
+            const handle = document.createElement('span');
+            handle.className = 'builder-handle';
+            handle.textContent = '⋮⋮';
+
+            const titleInput = document.createElement('input');
+            titleInput.type = 'text';
+            titleInput.value = block.title;
+            titleInput.placeholder = definition.title;
+            titleInput.addEventListener('input', () => { block.title = titleInput.value; });
+
+            header.append(handle, titleInput);
+
+            if (definition.items) {
+                const itemsLabel = document.createElement('label');
+                itemsLabel.className = 'checkbox-label';
+                const itemsInput = document.createElement('input');
+                itemsInput.type = 'number';
+                itemsInput.min = definition.items.min;
+                itemsInput.max = definition.items.max;
+                itemsInput.value = block.items;
+                itemsInput.addEventListener('change', () => {
+                    block.items = Math.min(Math.max(parseInt(itemsInput.value, 10) || 0, definition.items.min), definition.items.max);
+                    renderBuilderPage();
+                });
+                itemsLabel.append("Elementos", itemsInput);
+                header.appendChild(itemsLabel);
+            }
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn-secondary';
+            removeBtn.textContent = "×";
+            removeBtn.title = "Quitar sección";
+            removeBtn.addEventListener('click', () => {
+                builderLayout.splice(index, 1);
+                renderBuilderPage();
+            });
+            header.appendChild(removeBtn);
+
+            const fields = document.createElement('div');
+            fields.className = 'builder-fields';
+            fields.textContent = describeFields(definition.fields);
+            if (definition.items && block.items) {
+                fields.textContent += ` · ${block.items} × [${describeFields(definition.items.fields)}]`;
+            }
+
+            fieldCount += definition.fields.length
+                + (block.items || 0) * (definition.items.fields.length + (definition.items.numbered ? 1 : 0));
+            card.append(header, fields);
+            builderPage.appendChild(card);
+        });
+
+        builderSummary.textContent = `${builderLayout.length} secciones · ${fieldCount} campos`;
+    }
+
+    builderPage.addEventListener('dragover', (e) => e.preventDefault());
+    builderPage.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropOnBuilder(builderLayout.length);
+    });
+    builderPage.addEventListener('dragend', () => {
+        builderDrag = null;
+        builderPage.querySelectorAll('.drop-target').forEach(card => card.classList.remove('drop-target'));
+    });
+
+    builderBtn.addEventListener('click', async () => {
+        try {
+            await fetchSectionCatalogue();
+            builderLayout = getTemplateLayout() || [];
+            renderBuilderCatalogue();
+            renderBuilderPage();
+            builderModal.classList.add('active');
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al cargar el catálogo de secciones", "error");
+        }
+    });
+
+    closeBuilderModal.addEventListener('click', () => builderModal.classList.remove('active'));
+
+    builderDetectBtn.addEventListener('click', async () => {
+        if (builderLayout.length && !confirm("¿Reemplazar las secciones actuales por las detectadas en el Output?")) return;
+
+        try {
+            const res = await apiFetch('/api/sections/detect', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ output: outputInput.value })
+            });
+            if (!res.ok) throw new Error("Error detecting sections");
+            const data = await res.json();
+
+            builderLayout = data.layout;
+            renderBuilderPage();
+            if (data.unmatched.length) {
+                showNotification(`Sin tipo en el catálogo: ${data.unmatched.join(', ')}`, "info");
+            }
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al detectar las secciones", "error");
+        }
+    });
+
+    // Writes the three texts from the layout so they can't drift apart
+    builderApplyBtn.addEventListener('click', async () => {
+        if (builderLayout.length === 0) return showNotification("Añade al menos una sección", "error");
+        if (!confirm("Se reemplazarán Estructura, Output y Limitaciones. ¿Continuar?")) return;
+
+        try {
+            const res = await apiFetch('/api/sections/compose', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ layout: builderLayout })
+            });
+            if (!res.ok) throw new Error("Error composing layout");
+            const data = await res.json();
+
+            structureInput.value = data.structure;
+            outputInput.value = data.output;
+            limitationsInput.value = data.limitations;
+            setTemplateLayout(data.layout);
+            builderModal.classList.remove('active');
+            showNotification("Secciones aplicadas. Guarda la plantilla para conservarlas.", "success");
+            if (finalOutput.value.trim()) analyzeOutput();
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al aplicar las secciones", "error");
+        }
+    });
+
+    // --- Prompt Variables ---
+    const templateVariablesList = document.getElementById('template-variables');
+    const addTemplateVariableBtn = document.getElementById('add-template-variable-btn');
+    const promptVariablesGroup = document.getElementById('prompt-variables-group');
+    const promptVariablesContainer = document.getElementById('prompt-variables');
+    const PROMPT_VARIABLE_NAME_REGEX = /^[A-Za-z][\w-]*$/;
+    // Variables defined by the current template: [{ name, label, required }]
+    let templateVariables = [];
+    // Values typed for each variable name, kept when switching templates
+    const promptVariableValues = {};
+    let builtinPromptVariables = [];
+
+    async function fetchPromptVariables() {
+        try {
+            const res = await apiFetch('/api/prompt/variables');
+            if (!res.ok) throw new Error("Error loading prompt variables");
+            builtinPromptVariables = (await res.json()).builtin;
+            renderTemplateVariables();
+        } catch (e) {
+            console.error("Error loading prompt variables", e);
+        }
+    }
+
+    function isValidVariableName(name) {
+        return PROMPT_VARIABLE_NAME_REGEX.test(name) && !builtinPromptVariables.some(v => v.name === name);
+    }
+
+    function getTemplateVariables() {
+        return templateVariables
+            .filter(v => isValidVariableName(v.name))
+            .map(v => ({ name: v.name, label: v.label.trim() || v.name, required: v.required }));
+    }
+
+    function setTemplateVariables(variables) {
+        templateVariables = (Array.isArray(variables) ? variables : []).map(v => ({
+            name: v.name || "",
+            label: v.label || "",
+            required: !!v.required
+        }));
+        renderTemplateVariables();
+        renderPromptVariableInputs();
+    }
+
+    function getPromptVariableValues() {
+        const values = {};
+        getTemplateVariables().forEach(v => { values[v.name] = promptVariableValues[v.name] || ""; });
+        return values;
+    }
+
+    function setPromptVariableValues(values) {
+        Object.assign(promptVariableValues, values || {});
+        renderPromptVariableInputs();
+    }
+
+    function renderTemplateVariables() {
+        templateVariablesList.innerHTML = '';
+        templateVariables.forEach((variable, index) => {
+            const row = document.createElement('div');
+            row.className = 'template-variable-row';
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.placeholder = "nombre (ej. city)";
+            nameInput.value = variable.name;
+            nameInput.classList.toggle('missing', !!variable.name && !isValidVariableName(variable.name));
+            nameInput.addEventListener('input', () => {
+                variable.name = nameInput.value.trim();
+                nameInput.classList.toggle('missing', !!variable.name && !isValidVariableName(variable.name));
+                renderPromptVariableInputs();
+            });
+
+            const labelInput = document.createElement('input');
+            labelInput.type = 'text';
+            labelInput.placeholder = "Etiqueta (ej. Ciudad)";
+            labelInput.value = variable.label;
+            labelInput.addEventListener('input', () => {
+                variable.label = labelInput.value;
+                renderPromptVariableInputs();
+            });
+
+            const requiredLabel = document.createElement('label');
+            requiredLabel.className = 'checkbox-label';
+            const requiredInput = document.createElement('input');
+            requiredInput.type = 'checkbox';
+            requiredInput.checked = variable.required;
+            requiredInput.addEventListener('change', () => {
+                variable.required = requiredInput.checked;
+                renderPromptVariableInputs();
+            });
+            requiredLabel.append(requiredInput, "Obligatoria");
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn-secondary';
+            removeBtn.textContent = "×";
+            removeBtn.title = "Quitar variable";
+            removeBtn.addEventListener('click', () => {
+                templateVariables.splice(index, 1);
+                renderTemplateVariables();
+                renderPromptVariableInputs();
+            });
+
+            row.append(nameInput, labelInput, requiredLabel, removeBtn);
+            templateVariablesList.appendChild(row);
+        });
+    }
+
+    function renderPromptVariableInputs() {
+        const variables = getTemplateVariables();
+        promptVariablesGroup.hidden = variables.length === 0;
+        promptVariablesContainer.innerHTML = '';
+
+        variables.forEach(variable => {
+            const label = document.createElement('label');
+            label.textContent = variable.required ? `${variable.label} *` : variable.label;
+            label.title = `{{${variable.name}}}`;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.dataset.variable = variable.name;
+            input.value = promptVariableValues[variable.name] || "";
+            input.addEventListener('input', () => {
+                promptVariableValues[variable.name] = input.value;
+                input.classList.remove('missing');
+            });
+
+            label.appendChild(input);
+            promptVariablesContainer.appendChild(label);
+        });
+    }
+
+    // Highlights the inputs of the required variables the server reported as empty
+    function markMissingVariables(missing) {
+        const names = new Set(missing.map(v => v.name));
+        briefInput.classList.toggle('missing', names.has('brief'));
+        promptVariablesContainer.querySelectorAll('input').forEach(input => {
+            input.classList.toggle('missing', names.has(input.dataset.variable));
+        });
+    }
+
+    function renderPromptTemplateHelp() {
+        const names = [...builtinPromptVariables, ...getTemplateVariables()].map(v => `{{${v.name}}}`);
+        promptTemplateHelp.textContent = `Variables: ${names.join(' ')} · Bloque opcional: {{#if keyword}}...{{/if}}`;
+    }
+
+    addTemplateVariableBtn.addEventListener('click', () => {
+        templateVariables.push({ name: "", label: "", required: false });
+        renderTemplateVariables();
+    });
+
+    briefInput.addEventListener('input', () => briefInput.classList.remove('missing'));
+
+    // --- Usage & Budgets ---
+    const usageBtn = document.getElementById('usage-btn');
+    const usageModal = document.getElementById('usage-modal');
+    const closeUsageModal = document.getElementById('close-usage-modal');
+    const usageBudget = document.getElementById('usage-budget');
+    const usageGroupSelect = document.getElementById('usage-group');
+    const usageFromInput = document.getElementById('usage-from');
+    const usageToInput = document.getElementById('usage-to');
+    const usageKeyHeader = document.getElementById('usage-key-header');
+    const usageRows = document.getElementById('usage-rows');
+    const usageTotals = document.getElementById('usage-totals');
+    const usagePricingInput = document.getElementById('usage-pricing');
+    const usageBudgetsInput = document.getElementById('usage-budgets');
+    const usageSettingsSaveBtn = document.getElementById('usage-settings-save-btn');
+
+    function describeUsage(usage) {
+        const tokens = `${usage.promptTokens} + ${usage.completionTokens} tokens${usage.estimated ? " (estimados)" : ""}`;
+        return typeof usage.cost === 'number' ? `${tokens} · ${formatCost(usage.cost)}` : tokens;
+    }
+
+    // Dates for <input type="date"> in local time
+    function toDateInput(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    function appendUsageRow(target, cells) {
+        const row = document.createElement('tr');
+        cells.forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        target.appendChild(row);
+    }
+
+    async function loadUsage() {
+        const params = new URLSearchParams({ groupBy: usageGroupSelect.value });
+        if (usageFromInput.value) params.set('from', usageFromInput.value);
+        if (usageToInput.value) params.set('to', usageToInput.value);
+
+        try {
+            const res = await apiFetch(`/api/usage?${params}`);
+            if (!res.ok) throw new Error("Error loading usage");
+            const data = await res.json();
+
+            usageKeyHeader.textContent = usageGroupSelect.options[usageGroupSelect.selectedIndex].text;
+            usageRows.innerHTML = '';
+            usageTotals.innerHTML = '';
+            if (data.rows.length === 0) {
+                appendUsageRow(usageRows, ["Sin consumo en este periodo", "", "", "", ""]);
+                return;
+            }
+
+            data.rows.forEach(row => appendUsageRow(usageRows, [
+                row.key,
+                row.requests.toLocaleString('es-ES'),
+                row.prompt_tokens.toLocaleString('es-ES'),
+                row.completion_tokens.toLocaleString('es-ES'),
+                formatCost(row.cost) + (row.estimated ? " *" : "")
+            ]));
+            appendUsageRow(usageTotals, [
+                "Total",
+                data.totals.requests.toLocaleString('es-ES'),
+                data.totals.prompt_tokens.toLocaleString('es-ES'),
+                data.totals.completion_tokens.toLocaleString('es-ES'),
+                formatCost(data.totals.cost)
+            ]);
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al cargar el consumo", "error");
+        }
+    }
+
+    async function loadBudget() {
+        try {
+            const res = await apiFetch('/api/usage/budget');
+            if (!res.ok) throw new Error("Error loading budget");
+            const { spent, limits } = await res.json();
+
+            const describe = (label, value, limit) => limit
+                ? `${label}: ${formatCost(value)} de ${formatCost(limit)}`
+                : `${label}: ${formatCost(value)} (sin límite)`;
+            usageBudget.textContent = `Este mes · ${describe("Equipo", spent.total, limits.total)} · ${describe("Tú", spent.user, limits.user)}`;
+
+            const exceeded = (limits.total && spent.total >= limits.total) || (limits.user && spent.user >= limits.user);
+            usageBudget.className = 'report-summary ' + (exceeded ? 'has-errors' : 'ok');
+        } catch (e) {
+            console.error(e);
+        }
+    }
+
+    async function loadUsageSettings() {
+        try {
+            const res = await apiFetch('/api/usage/settings');
+            if (!res.ok) throw new Error("Error loading usage settings");
+            const data = await res.json();
+            usagePricingInput.value = JSON.stringify(data.pricing, null, 2);
+            usageBudgetsInput.value = JSON.stringify(data.budgets, null, 2);
+        } catch (e) {
+            console.error(e);
+        }
+    }
+
+    usageBtn.addEventListener('click', () => {
+        if (!usageFromInput.value && !usageToInput.value) {
+            const now = new Date();
+            usageFromInput.value = toDateInput(new Date(now.getFullYear(), now.getMonth(), 1));
+            usageToInput.value = toDateInput(now);
+        }
+        usageModal.classList.add('active');
+        loadBudget();
+        loadUsage();
+        loadUsageSettings();
+    });
+
+    closeUsageModal.addEventListener('click', () => usageModal.classList.remove('active'));
+    [usageGroupSelect, usageFromInput, usageToInput].forEach(input => input.addEventListener('change', loadUsage));
+
+    usageSettingsSaveBtn.addEventListener('click', async () => {
+        const values = { pricing: usagePricingInput.value.trim() || '{}', budgets: usageBudgetsInput.value.trim() || '{}' };
+        for (const [key, value] of Object.entries(values)) {
+            try {
+                JSON.parse(value);
+            } catch (e) {
+                return showNotification(`"${key}" no es un JSON válido: ${e.message}`, "error");
+            }
+        }
+
+        try {
+            for (const [key, value] of Object.entries(values)) {
+                const res = await apiFetch('/api/config', {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ key, value })
+                });
+                if (!res.ok) {
+                    const err = await res.json();
+                    throw new Error(err.error || "Error");
+                }
+            }
+            showNotification("Precios y presupuestos guardados", "success");
+            loadBudget();
+        } catch (e) {
+            showNotification("Error al guardar: " + e.message, "error");
+        }
+    });
+
+    // View Query Modal
+    const querySources = document.getElementById('query-sources');
+    const VALUE_SOURCE_LABELS = {
+        global: "global",
+        template: "de la plantilla (reemplaza el global)",
+        'global+template': "global + texto añadido por la plantilla"
+    };
+
+    // Sources come from the server, which only applies the overrides of the saved template
+    function renderQuerySources(systemSource, knowledgeSource) {
+        const templateLabel = currentTemplateName ? ` · Plantilla guardada: "${currentTemplateName}"` : "";
+        querySources.textContent = `System prompt: ${VALUE_SOURCE_LABELS[systemSource || 'global']} · Conocimiento: ${VALUE_SOURCE_LABELS[knowledgeSource || 'global']}${templateLabel}`;
+    }
+
+    async function refreshQueryPreview() {
+        try {
+            const selection = await selectKnowledgeSections();
+            renderKnowledgeSections(selection);
+
+            const rendered = await renderUserMessage(selection.text);
+            const warnings = [];
+            if (rendered.missing.length) warnings.push(`--- FALTAN VARIABLES: ${rendered.missing.map(v => v.label).join(', ')} ---`);
+            if (rendered.unknown.length) warnings.push(`--- VARIABLES SIN DEFINIR (quedan vacías): ${rendered.unknown.join(', ')} ---`);
+            markMissingVariables(rendered.missing);
+
+            renderQuerySources(rendered.systemPromptSource, selection.source);
+            const fullQuery = `--- SYSTEM PROMPT ---\n${rendered.systemPrompt}\n\n--- USER MESSAGE ---\n${rendered.userMessage}`;
+            queryPreviewContent.textContent = [...warnings, fullQuery].join('\n');
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al seleccionar el conocimiento: " + e.message, "error");
+        }
+    }
+
+    viewQueryBtn.addEventListener('click', () => {
+        modal.classList.add('active');
+        refreshQueryPreview();
+    });
+
+    knowledgeTopNInput.addEventListener('change', refreshQueryPreview);
+
+    closeModal.addEventListener('click', () => {
+        modal.classList.remove('active');
+    });
+
+    window.addEventListener('click', (e) => {
+        if (e.target === modal) modal.classList.remove('active');
+        if (e.target === systemPromptModal) systemPromptModal.classList.remove('active');
+        if (e.target === historyModal) historyModal.classList.remove('active');
+        if (e.target === templateHistoryModal) templateHistoryModal.classList.remove('active');
+        if (e.target === knowledgeModal) knowledgeModal.classList.remove('active');
+        if (e.target === usageModal) usageModal.classList.remove('active');
+        if (e.target === accountModal) accountModal.classList.remove('active');
+        if (e.target === builderModal) builderModal.classList.remove('active');
+        if (e.target === briefModal) briefModal.classList.remove('active');
+        if (e.target === projectsModal) projectsModal.classList.remove('active');
+        if (e.target === variantsModal) variantsModal.classList.remove('active');
+        if (e.target === bundleExportModal) bundleExportModal.classList.remove('active');
+        if (e.target === bundleImportModal) bundleImportModal.classList.remove('active');
+        if (e.target === seedModal) seedModal.classList.remove('active');
+    });
+
+    // --- Streaming ---
+    function beginStream() {
+        activeStream = new AbortController();
+        stopBtn.hidden = false;
+        return activeStream.signal;
+    }
+
+    function endStream() {
+        activeStream = null;
+        stopBtn.hidden = true;
+    }
+
+    function setGenerationStatus(message, type) {
+        generationStatus.textContent = message;
+        generationStatus.className = 'generation-status' + (type ? ` ${type}` : '');
+    }
+
+    stopBtn.addEventListener('click', () => {
+        if (activeStream) activeStream.abort();
+    });
+
+    // Reads a Server-Sent Events stream and calls onEvent with the JSON payload of every event
+    async function readEventStream(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = "";
+
+        const dispatch = (frame) => {
+            const data = frame.split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trimStart())
+                .join('\n');
+            if (data) onEvent(JSON.parse(data));
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+                const frame = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                dispatch(frame);
+            }
+        }
+
+        if (buffer.trim()) dispatch(buffer);
+    }
+
+    // Body shared by /api/generate and /api/generate/variants
+    function getGenerateRequest(selection) {
+        return {
+            prompt: getPromptInputs(selection.text),
+            llm: getTemplateLlm(),
+            modelOverride: getModelOverride(),
+            targetLanguage: targetLanguageSelect.value,
+            generation: {
+                keyword: keywordInput.value.trim(),
+                secondaryKeywords: getSecondaryKeywords(),
+                brief: briefInput.value,
+                structure: structureInput.value,
+                output: outputInput.value,
+                limitations: limitationsInput.value,
+                variables: getPromptVariableValues(),
+                templateName: currentTemplateName || null,
+                briefFileIds: briefFiles.map(file => file.id),
+                projectId: currentProjectId
+            }
+        };
+    }
+
+    // Generate
+    generateBtn.addEventListener('click', async () => {
+        if (!briefInput.value.trim()) {
+            return alert("Por favor ingresa primero el brief del cliente.");
+        }
+
+        generateBtn.disabled = true;
+        generateBtn.textContent = "Generando...";
+        continueBtn.hidden = true;
+        finalOutput.value = ""; // Clear previous output
+        currentGenerationId = null;
+        setGenerationStatus("Generando...");
+        const signal = beginStream();
+        let result = null;
+        let usage = null;
+
+        try {
+            const selection = await selectKnowledgeSections();
+
+            const response = await apiFetch('/api/generate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                signal,
+                body: JSON.stringify(getGenerateRequest(selection))
+            });
+
+            if (!response.ok) {
+                // Try to parse error if json, else strings
+                let errorMessage = response.statusText;
+                try {
+                    const errorData = await response.json();
+                    if (errorData.error) errorMessage = errorData.error;
+                    if (errorData.missing) markMissingVariables(errorData.missing);
+                } catch (e) { }
+                throw new Error(errorMessage);
+            }
+
+            let streamError = null;
+            await readEventStream(response, event => {
+                if (event.type === 'start') {
+                    currentGenerationId = event.generationId;
+                    currentLanguage = event.language;
+                    setGenerationStatus(`Generando con ${event.model}...`);
+                } else if (event.type === 'delta') {
+                    finalOutput.value += event.text;
+                    // Auto-scroll to bottom
+                    finalOutput.scrollTop = finalOutput.scrollHeight;
+                } else if (event.type === 'usage') {
+                    usage = event;
+                } else if (event.type === 'error') {
+                    streamError = event.message;
+                } else if (event.type === 'done') {
+                    result = event;
+                }
+            });
+
+            if (streamError) throw new Error(streamError);
+            if (!result) throw new Error("La conexión se cortó antes de terminar");
+
+            const tokens = usage ? ` · ${describeUsage(usage)}` : "";
+            if (result.status === 'truncated') {
+                setGenerationStatus(`Texto cortado: se alcanzó el límite de tokens (${result.length} caracteres${tokens})`, 'error');
+                showNotification("La generación se cortó al alcanzar el límite de tokens", "error");
+            } else {
+                setGenerationStatus(`Completado · ${result.length} caracteres${tokens}`, 'ok');
+            }
+
+            refreshLanguageVersions();
+            const report = await analyzeOutput();
+            if (autofixToggle.checked && result.status === 'completed' && report && report.summary.failed > 0) {
+                generateBtn.textContent = "Corrigiendo límites...";
+                await runAutofix();
+            }
+
+        } catch (e) {
+            if (signal.aborted) {
+                setGenerationStatus("Generación detenida", 'error');
+                showNotification("Generación detenida", "info");
+            } else {
+                console.error(e);
+                setGenerationStatus("Error: " + e.message, 'error');
+                showNotification("Error al generar: " + e.message, "error");
+            }
+            if (finalOutput.value) analyzeOutput();
+        } finally {
+            endStream();
+            generateBtn.disabled = false;
+            generateBtn.textContent = "Generar texto";
+        }
+    });
+
+    // --- Continue ---
+    const continueBtn = document.getElementById('continue-btn');
+
+    // Shows "Continue" when the page lacks sections of the output format or its last section was cut short
+    function showCompleteness(completeness) {
+        const incomplete = !!completeness && !completeness.complete && !!finalOutput.value.trim();
+        continueBtn.hidden = !incomplete;
+        if (!incomplete) return;
+
+        const parts = [];
+        if (completeness.partial) parts.push(`"${completeness.partial}" está incompleta`);
+        if (completeness.missing.length) parts.push(`faltan: ${completeness.missing.join(', ')}`);
+        continueBtn.title = parts.join(' · ');
+        continueBtn.textContent = `Continuar generación (${completeness.found}/${completeness.expected} secciones)`;
+    }
+
+    async function refreshCompleteness() {
+        if (!finalOutput.value.trim()) return showCompleteness(null);
+
+        try {
+            const res = await apiFetch('/api/generate/completeness', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ output: finalOutput.value, format: outputInput.value })
+            });
+            if (res.ok) showCompleteness(await res.json());
+        } catch (e) {
+            console.error("Error checking completeness", e);
+        }
+    }
+
+    continueBtn.addEventListener('click', async () => {
+        const partial = finalOutput.value.replace(/\s+$/, '');
+        if (!partial) return;
+
+        let result = null;
+        continueBtn.hidden = true;
+        generateBtn.disabled = true;
+        generateBtn.textContent = "Continuando...";
+        setGenerationStatus("Continuando la generación...");
+        const signal = beginStream();
+
+        try {
+            const selection = await selectKnowledgeSections();
+            const request = getGenerateRequest(selection);
+            const response = await apiFetch('/api/generate/continue', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                signal,
+                body: JSON.stringify({
+                    prompt: request.prompt,
+                    llm: request.llm,
+                    modelOverride: request.modelOverride,
+                    targetLanguage: request.targetLanguage,
+                    output: partial,
+                    format: outputInput.value,
+                    generationId: currentGenerationId,
+                    templateName: currentTemplateName || null
+                })
+            });
+
+            if (!response.ok) {
+                const err = await response.json();
+                if (err.missing) markMissingVariables(err.missing);
+                throw new Error(err.error || "Error");
+            }
+
+            finalOutput.value = partial;
+            await readEventStream(response, event => {
+                if (event.type === 'delta') {
+                    finalOutput.value += event.text;
+                    finalOutput.scrollTop = finalOutput.scrollHeight;
+                } else if (event.type === 'error') {
+                    throw new Error(event.message);
+                } else if (event.type === 'done') {
+                    result = event;
+                }
+            });
+            if (!result) throw new Error("La conexión se cortó antes de terminar");
+
+            finalOutput.value = result.output;
+            if (result.status === 'truncated') {
+                setGenerationStatus(`Continuación cortada de nuevo por el límite de tokens (+${result.length} caracteres)`, 'error');
+            } else {
+                setGenerationStatus(`Continuación completada · +${result.length} caracteres`, 'ok');
+            }
+        } catch (e) {
+            if (signal.aborted) {
+                setGenerationStatus("Continuación detenida", 'error');
+                showNotification("Continuación detenida", "info");
+            } else {
+                console.error(e);
+                setGenerationStatus("Error: " + e.message, 'error');
+                showNotification("Error al continuar: " + e.message, "error");
+            }
+        } finally {
+            endStream();
+            generateBtn.disabled = false;
+            generateBtn.textContent = "Generar texto";
+            analyzeOutput();
+        }
+    });
+
+    // --- Variants ---
+    const variantsBtn = document.getElementById('variants-btn');
+    const variantsModal = document.getElementById('variants-modal');
+    const closeVariantsModal = document.getElementById('close-variants-modal');
+    const variantCount = document.getElementById('variant-count');
+    const variantOptions = document.getElementById('variant-options');
+    const variantsRunBtn = document.getElementById('variants-run-btn');
+    const variantsStopBtn = document.getElementById('variants-stop-btn');
+    const variantsStatus = document.getElementById('variants-status');
+    const variantsGrid = document.getElementById('variants-grid');
+    const variantsCombineBtn = document.getElementById('variants-combine-btn');
+
+    const VARIANT_LABELS = ['A', 'B', 'C', 'D'];
+    let variantsStream = null;
+    let variantGroup = null; // { group, variants, sections } of the comparison on screen
+    let variantPicks = [];
+
+    function renderVariantOptions() {
+        const previous = [...variantOptions.querySelectorAll('.variant-option')].map(row => ({
+            temperature: row.querySelector('input[type="number"]').value,
+            angle: row.querySelector('input[type="text"]').value
+        }));
+
+        variantOptions.innerHTML = '';
+        for (let i = 0; i < parseInt(variantCount.value, 10); i++) {
+            const row = document.createElement('div');
+            row.className = 'variant-option';
+
+            const label = document.createElement('strong');
+            label.textContent = VARIANT_LABELS[i];
+
+            const temperature = document.createElement('input');
+            temperature.type = 'number';
+            temperature.min = '0';
+            temperature.max = '1';
+            temperature.step = '0.1';
+            temperature.placeholder = "Temp.";
+            temperature.title = "Temperatura de esta variante (vacío: la de la plantilla)";
+            temperature.value = previous[i] ? previous[i].temperature : "";
+
+            const angle = document.createElement('input');
+            angle.type = 'text';
+            angle.placeholder = "Ángulo opcional, p. ej. \"Enfatiza el ahorro de tiempo\"";
+            angle.value = previous[i] ? previous[i].angle : "";
+
+            row.append(label, temperature, angle);
+            variantOptions.appendChild(row);
+        }
+    }
+
+    function getVariantOptions() {
+        return [...variantOptions.querySelectorAll('.variant-option')].map(row => ({
+            temperature: row.querySelector('input[type="number"]').value,
+            angle: row.querySelector('input[type="text"]').value.trim()
+        }));
+    }
+
+    function describeVariant(variant) {
+        const parts = [`Variante ${variant.label}`];
+        if (variant.temperature !== null && variant.temperature !== undefined) parts.push(`temp. ${variant.temperature}`);
+        if (variant.angle) parts.push(variant.angle);
+        return parts.join(' · ');
+    }
+
+    // Live view while the variants stream: one growing column per variant
+    function renderVariantStreams(variants) {
+        variantsGrid.style.gridTemplateColumns = `repeat(${variants.length}, minmax(0, 1fr))`;
+        variantsGrid.innerHTML = '';
+        variants.forEach(variant => {
+            const header = document.createElement('div');
+            header.className = 'variant-header';
+            header.textContent = describeVariant(variant);
+            variantsGrid.appendChild(header);
+        });
+        return variants.map(() => {
+            const cell = document.createElement('pre');
+            cell.className = 'variant-cell';
+            variantsGrid.appendChild(cell);
+            return cell;
+        });
+    }
+
+    // Aligned view: one row per section with a pick per variant
+    function renderVariantComparison() {
+        const { variants, sections } = variantGroup;
+        variantsGrid.style.gridTemplateColumns = `repeat(${variants.length}, minmax(0, 1fr))`;
+        variantsGrid.innerHTML = '';
+
+        variants.forEach(variant => {
+            const header = document.createElement('div');
+            header.className = 'variant-header';
+            header.textContent = `${describeVariant(variant)} · ${GENERATION_STATUS_LABELS[variant.status] || variant.status}`;
+            variantsGrid.appendChild(header);
+        });
+
+        sections.forEach((section, row) => {
+            const title = document.createElement('div');
+            title.className = 'variant-section-title';
+            title.textContent = section.title;
+            variantsGrid.appendChild(title);
+
+            section.blocks.forEach((block, index) => {
+                const cell = document.createElement('label');
+                cell.className = 'variant-cell';
+                if (block === null) {
+                    cell.classList.add('missing');
+                    cell.textContent = "Sin esta sección";
+                } else {
+                    const pick = document.createElement('input');
+                    pick.type = 'radio';
+                    pick.name = `variant-pick-${row}`;
+                    pick.checked = variantPicks[row] === index;
+                    pick.addEventListener('change', () => {
+                        variantPicks[row] = index;
+                        renderVariantComparison();
+                    });
+
+                    const text = document.createElement('pre');
+                    text.textContent = block.split('\n').slice(1).join('\n');
+                    cell.append(pick, text);
+                }
+                if (variantPicks[row] === index) cell.classList.add('picked');
+                variantsGrid.appendChild(cell);
+            });
+        });
+
+        variantsCombineBtn.disabled = sections.length === 0;
+    }
+
+    async function loadVariantGroup(group) {
+        const res = await apiFetch(`/api/variants/${group}`);
+        if (!res.ok) throw new Error("Variants not found");
+        variantGroup = await res.json();
+        // Default pick: the first variant that has the section
+        variantPicks = variantGroup.sections.map(section => section.blocks.findIndex(block => block !== null));
+        renderVariantComparison();
+    }
+
+    async function openVariantGroup(group) {
+        try {
+            variantsModal.classList.add('active');
+            variantsStatus.textContent = "";
+            await loadVariantGroup(group);
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al cargar las variantes", "error");
+        }
+    }
+
+    variantsBtn.addEventListener('click', () => {
+        variantsModal.classList.add('active');
+        if (!variantOptions.children.length) renderVariantOptions();
+    });
+
+    closeVariantsModal.addEventListener('click', () => variantsModal.classList.remove('active'));
+    variantCount.addEventListener('change', renderVariantOptions);
+
+    variantsStopBtn.addEventListener('click', () => {
+        if (variantsStream) variantsStream.abort();
+    });
+
+    variantsRunBtn.addEventListener('click', async () => {
+        if (!briefInput.value.trim()) {
+            return alert("Por favor ingresa primero el brief del cliente.");
+        }
+
+        variantsRunBtn.disabled = true;
+        variantsCombineBtn.disabled = true;
+        variantsStopBtn.hidden = false;
+        variantsStatus.textContent = "Generando variantes...";
+        variantsStream = new AbortController();
+        const signal = variantsStream.signal;
+        let group = null;
+        let cells = [];
+        let finished = 0;
+        const failures = [];
+
+        try {
+            const selection = await selectKnowledgeSections();
+            const response = await apiFetch('/api/generate/variants', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                signal,
+                body: JSON.stringify({ ...getGenerateRequest(selection), variants: getVariantOptions() })
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                if (errorData.missing) markMissingVariables(errorData.missing);
+                throw new Error(errorData.error || response.statusText);
+            }
+
+            await readEventStream(response, event => {
+                if (event.type === 'start') {
+                    group = event.group;
+                    cells = renderVariantStreams(event.variants);
+                    variantsStatus.textContent = `Generando ${event.variants.length} variantes con ${event.model}...`;
+                } else if (event.type === 'delta') {
+                    cells[event.variant].textContent += event.text;
+                } else if (event.type === 'error') {
+                    if (event.variant === undefined) throw new Error(event.message);
+                    failures.push(`${VARIANT_LABELS[event.variant]}: ${event.message}`);
+                } else if (event.type === 'done') {
+                    finished++;
+                    variantsStatus.textContent = `${finished} de ${cells.length} variantes terminadas`;
+                }
+            });
+
+            if (!group) throw new Error("La conexión se cortó antes de empezar");
+            await loadVariantGroup(group);
+            variantsStatus.textContent = failures.length
+                ? `Algunas variantes fallaron (${failures.join('; ')})`
+                : "Elige la mejor versión de cada sección y combínalas.";
+        } catch (e) {
+            if (signal.aborted) {
+                variantsStatus.textContent = "Variantes detenidas";
+                if (group) await loadVariantGroup(group).catch(() => {});
+            } else {
+                console.error(e);
+                variantsStatus.textContent = "Error: " + e.message;
+                showNotification("Error al generar variantes: " + e.message, "error");
+            }
+        } finally {
+            variantsStream = null;
+            variantsStopBtn.hidden = true;
+            variantsRunBtn.disabled = false;
+        }
+    });
+
+    variantsCombineBtn.addEventListener('click', async () => {
+        if (!variantGroup) return;
+
+        try {
+            const res = await apiFetch(`/api/variants/${variantGroup.group}/combine`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ picks: variantPicks })
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || "Error");
+
+            finalOutput.value = data.output;
+            currentGenerationId = data.generationId;
+            refreshLanguageVersions();
+            variantsModal.classList.remove('active');
+            setGenerationStatus(`Página combinada a partir de ${variantGroup.variants.length} variantes`, 'ok');
+            analyzeOutput();
+            showNotification("Variantes combinadas en el texto final", "success");
+        } catch (e) {
+            showNotification("Error al combinar: " + e.message, "error");
+        }
+    });
+
+    // --- Character Validation ---
+    async function runValidation() {
+        if (!finalOutput.value.trim()) {
+            validationSummary.textContent = "Genera un texto para validar sus límites.";
+            validationSummary.className = 'report-summary';
+            validationReport.innerHTML = '';
+            autofixBtn.disabled = true;
+            return null;
+        }
+
+        try {
+            const res = await apiFetch('/api/validate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    output: finalOutput.value,
+                    limitations: limitationsInput.value
+                })
+            });
+
+            if (!res.ok) {
+                const err = await res.json();
+                throw new Error(err.error || "Error");
+            }
+
+            const report = await res.json();
+            renderValidationReport(report);
+            return report;
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al validar: " + e.message, "error");
+            return null;
+        }
+    }
+
+    function formatRange(min, max) {
+        if (min !== null && max !== null) return `${min}–${max}`;
+        if (max !== null) return `máx. ${max}`;
+        if (min !== null) return `mín. ${min}`;
+        return "sin regla";
+    }
+
+    function renderValidationReport(report) {
+        const { summary } = report;
+        validationSummary.textContent = `${summary.passed} correctos · ${summary.failed} fuera de rango · ${summary.unchecked} sin regla`;
+        validationSummary.className = 'report-summary ' + (summary.failed ? 'has-errors' : 'ok');
+        autofixBtn.disabled = summary.failed === 0;
+        validationReport.innerHTML = '';
+
+        let lastSection = null;
+        report.fields.forEach(field => {
+            if (field.section !== lastSection) {
+                lastSection = field.section;
+                const heading = document.createElement('div');
+                heading.className = 'report-section';
+                heading.textContent = field.section || "(Sin sección)";
+                validationReport.appendChild(heading);
+            }
+
+            const row = document.createElement('div');
+            row.className = `report-row ${field.status}`;
+            row.title = field.rule || "Sin regla de caracteres para este campo";
+
+            const tag = document.createElement('span');
+            tag.className = 'report-tag';
+            tag.textContent = field.tag;
+
+            const text = document.createElement('span');
+            text.className = 'report-text';
+            text.textContent = field.text;
+
+            const count = document.createElement('span');
+            count.className = 'report-count';
+            count.textContent = `${field.length} / ${formatRange(field.min, field.max)}`;
+
+            row.append(tag, text, count);
+            row.addEventListener('click', () => highlightOutputLine(field.line));
+            validationReport.appendChild(row);
+        });
+    }
+
+    // Selects a line of the final output so the offending field is visible
+    function highlightOutputLine(lineIndex) {
+        const lines = finalOutput.value.split('\n');
+        let start = 0;
+        for (let i = 0; i < lineIndex; i++) start += lines[i].length + 1;
+        const end = start + (lines[lineIndex] || '').length;
+
+        finalOutput.focus();
+        finalOutput.setSelectionRange(start, end);
+        const lineHeight = parseFloat(getComputedStyle(finalOutput).lineHeight) || 20;
+        finalOutput.scrollTop = Math.max(0, lineIndex * lineHeight - finalOutput.clientHeight / 3);
+    }
+
+    validateBtn.addEventListener('click', runValidation);
+
+    // Refreshes everything derived from the output; returns the validation report
+    async function analyzeOutput() {
+        refreshSectionOptions();
+        refreshCompleteness();
+        runSeoReport();
+        return runValidation();
+    }
+
+    // --- SEO Report ---
+    const seoBtn = document.getElementById('seo-btn');
+    const seoSummary = document.getElementById('seo-summary');
+    const seoReport = document.getElementById('seo-report');
+    const SEO_STATUS_ICONS = { pass: '✓', warn: '!', fail: '✗' };
+
+    async function runSeoReport() {
+        const keyword = keywordInput.value.trim();
+        if (!finalOutput.value.trim() || !keyword) {
+            seoSummary.textContent = "Escribe la palabra clave y genera un texto para analizarlo.";
+            seoSummary.className = 'report-summary';
+            seoReport.innerHTML = '';
+            return null;
+        }
+
+        try {
+            const res = await apiFetch('/api/seo-report', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    output: finalOutput.value,
+                    keyword,
+                    secondaryKeywords: getSecondaryKeywords()
+                })
+            });
+
+            if (!res.ok) {
+                const err = await res.json();
+                throw new Error(err.error || "Error");
+            }
+
+            const report = await res.json();
+            renderSeoReport(report);
+            return report;
+        } catch (e) {
+            console.error(e);
+            showNotification("Error en el informe SEO: " + e.message, "error");
+            return null;
+        }
+    }
+
+    function appendSeoRow(status, label, detail, lines) {
+        const row = document.createElement('div');
+        row.className = `report-row seo-row ${status}`;
+        row.title = detail;
+
+        const icon = document.createElement('span');
+        icon.className = 'report-tag';
+        icon.textContent = SEO_STATUS_ICONS[status] || '';
+
+        const text = document.createElement('span');
+        text.className = 'report-text';
+        text.textContent = `${label}: ${detail}`;
+
+        row.append(icon, text);
+        if (lines && lines.length) row.addEventListener('click', () => highlightOutputLine(lines[0]));
+        seoReport.appendChild(row);
+    }
+
+    function appendSeoHeading(title) {
+        const heading = document.createElement('div');
+        heading.className = 'report-section';
+        heading.textContent = title;
+        seoReport.appendChild(heading);
+    }
+
+    function renderSeoReport(report) {
+        const { summary } = report;
+        seoSummary.textContent = `${summary.passed} correctos · ${summary.warnings} avisos · ${summary.failed} errores · densidad ${report.density.percent}%`;
+        seoSummary.className = 'report-summary ' + (summary.failed ? 'has-errors' : 'ok');
+        seoReport.innerHTML = '';
+
+        report.checks.forEach(check => appendSeoRow(check.status, check.label, check.detail, check.lines));
+
+        if (report.secondary.length) {
+            appendSeoHeading("Palabras clave secundarias");
+            report.secondary.forEach(item => {
+                const detail = item.occurrences
+                    ? `${item.occurrences} apariciones · ${item.percent}%`
+                    : "No aparece en el texto";
+                appendSeoRow(item.status, item.keyword, detail, item.lines);
+            });
+        }
+
+        if (report.warnings.length) {
+            appendSeoHeading("Posible relleno de palabras clave");
+            report.warnings.forEach(warning => {
+                const where = `${warning.tag} · ${warning.section || "(Sin sección)"}`;
+                appendSeoRow('warn', where, `"${warning.keyword}" aparece ${warning.count} veces en el mismo campo`, [warning.line]);
+            });
+        }
+    }
+
+    seoBtn.addEventListener('click', runSeoReport);
+    keywordInput.addEventListener('change', runSeoReport);
+    secondaryKeywordsInput.addEventListener('change', runSeoReport);
+
+    // --- Auto-fix ---
+
+    function appendAutofixLog(summaryText, status, before, after) {
+        const entry = document.createElement(before !== undefined ? 'details' : 'div');
+        entry.className = `autofix-entry ${status || ''}`;
+
+        if (before !== undefined) {
+            const summary = document.createElement('summary');
+            summary.textContent = summaryText;
+            const beforeEl = document.createElement('div');
+            beforeEl.className = 'autofix-before';
+            beforeEl.textContent = before;
+            const afterEl = document.createElement('div');
+            afterEl.className = 'autofix-after';
+            afterEl.textContent = after;
+            entry.append(summary, beforeEl, afterEl);
+        } else {
+            entry.textContent = summaryText;
+        }
+
+        autofixLog.appendChild(entry);
+        autofixLog.scrollTop = autofixLog.scrollHeight;
+    }
+
+    async function runAutofix() {
+        if (!finalOutput.value.trim()) return;
+
+        autofixBtn.disabled = true;
+        autofixBtn.textContent = "Corrigiendo...";
+        autofixLog.innerHTML = '';
+        autofixLog.classList.add('active');
+        // Auto-fix started from a generation runs under its Stop button
+        const ownStream = !activeStream;
+        const signal = ownStream ? beginStream() : activeStream.signal;
+
+        try {
+            const response = await apiFetch('/api/autofix', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                signal,
+                body: JSON.stringify({
+                    output: finalOutput.value,
+                    limitations: limitationsInput.value,
+                    maxRounds: parseInt(autofixRoundsInput.value, 10) || 2,
+                    targetLanguage: currentLanguage,
+                    generationId: currentGenerationId,
+                    templateName: currentTemplateName || null,
+                    llm: getTemplateLlm(),
+                    modelOverride: getModelOverride()
+                })
+            });
+
+            if (!response.ok) {
+                const err = await response.json();
+                throw new Error(err.error || "Error");
+            }
+
+            await readEventStream(response, event => {
+                if (event.type === 'round') {
+                    appendAutofixLog(`Ronda ${event.round}/${event.maxRounds}: ${event.failing} campos fuera de rango`, 'round');
+                } else if (event.type === 'fix') {
+                    const section = event.section || "(Sin sección)";
+                    appendAutofixLog(`${event.tag} · ${section}: ${event.beforeLength} → ${event.afterLength} caracteres`, event.status, event.before, event.after);
+                } else if (event.type === 'usage') {
+                    appendAutofixLog(`Ronda ${event.round}: ${describeUsage(event)}`, 'round');
+                } else if (event.type === 'output') {
+                    finalOutput.value = event.text;
+                } else if (event.type === 'done') {
+                    finalOutput.value = event.output;
+                    const message = event.remaining
+                        ? `Auto-corrección terminada: quedan ${event.remaining} campos fuera de rango`
+                        : "Auto-corrección terminada: todos los campos cumplen los límites";
+                    appendAutofixLog(message, event.remaining ? 'fail' : 'pass');
+                } else if (event.type === 'error') {
+                    if (event.output) finalOutput.value = event.output;
+                    throw new Error(event.message);
+                }
+            });
+        } catch (e) {
+            if (signal.aborted) {
+                appendAutofixLog("Auto-corrección detenida", 'fail');
+            } else {
+                console.error(e);
+                appendAutofixLog("Error: " + e.message, 'fail');
+                showNotification("Error en la auto-corrección: " + e.message, "error");
+            }
+        } finally {
+            if (ownStream) endStream();
+            autofixBtn.textContent = "Auto-corregir";
+            await analyzeOutput();
+        }
+    }
+
+    autofixBtn.addEventListener('click', runAutofix);
+
+    // --- Section Regeneration ---
+    const sectionSelect = document.getElementById('section-select');
+    const sectionInstructionInput = document.getElementById('section-instruction');
+    const regenerateSectionBtn = document.getElementById('regenerate-section-btn');
+    // Same "### Section" headings the server parses
+    const SECTION_HEADING_REGEX = /^\s*#{1,4}\s+(.+?)\s*$/;
+
+    function refreshSectionOptions() {
+        const selectedLine = sectionSelect.value;
+        sectionSelect.innerHTML = '<option value="">-- Sección --</option>';
+
+        finalOutput.value.split(/\r?\n/).forEach((line, index) => {
+            const heading = line.match(SECTION_HEADING_REGEX);
+            if (heading) sectionSelect.add(new Option(heading[1].replace(/\*\*/g, ''), String(index)));
+        });
+
+        if ([...sectionSelect.options].some(option => option.value === selectedLine)) {
+            sectionSelect.value = selectedLine;
+        }
+        sectionSelect.disabled = sectionSelect.options.length === 1;
+        regenerateSectionBtn.disabled = !sectionSelect.value;
+        translateBtn.disabled = !finalOutput.value.trim();
+    }
+
+    sectionSelect.addEventListener('change', () => {
+        regenerateSectionBtn.disabled = !sectionSelect.value;
+    });
+
+    regenerateSectionBtn.addEventListener('click', async () => {
+        if (!sectionSelect.value) return;
+
+        const original = finalOutput.value;
+        const lines = original.split('\n');
+        let before = "";
+        let after = "";
+        let sectionText = "";
+
+        regenerateSectionBtn.disabled = true;
+        regenerateSectionBtn.textContent = "Regenerando...";
+        sectionSelect.disabled = true;
+        const signal = beginStream();
+
+        try {
+            const selection = await selectKnowledgeSections();
+            const response = await apiFetch('/api/generate/section', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                signal,
+                body: JSON.stringify({
+                    prompt: getPromptInputs(selection.text),
+                    output: original,
+                    line: parseInt(sectionSelect.value, 10),
+                    instruction: sectionInstructionInput.value.trim(),
+                    targetLanguage: currentLanguage,
+                    generationId: currentGenerationId,
+                    templateName: currentTemplateName || null,
+                    llm: getTemplateLlm(),
+                    modelOverride: getModelOverride()
+                })
+            });
+
+            if (!response.ok) {
+                const err = await response.json();
+                throw new Error(err.error || "Error");
+            }
+
+            // The block is rewritten in place while the rest of the page stays as it was
+            await readEventStream(response, event => {
+                if (event.type === 'start') {
+                    before = lines.slice(0, event.start).join('\n');
+                    after = lines.slice(event.end).join('\n');
+                } else if (event.type === 'delta') {
+                    sectionText += event.text;
+                    finalOutput.value = [before, sectionText, after].filter(Boolean).join('\n');
+                } else if (event.type === 'done') {
+                    finalOutput.value = event.output;
+                    showNotification("Sección regenerada", "success");
+                } else if (event.type === 'error') {
+                    finalOutput.value = event.output;
+                    throw new Error(event.message);
+                }
+            });
+        } catch (e) {
+            finalOutput.value = original;
+            if (signal.aborted) {
+                showNotification("Regeneración detenida", "info");
+            } else {
+                console.error(e);
+                showNotification("Error al regenerar la sección: " + e.message, "error");
+            }
+        } finally {
+            endStream();
+            regenerateSectionBtn.textContent = "Regenerar sección";
+            await analyzeOutput();
+        }
+    });
+
+    // --- Languages & Translation ---
+    const targetLanguageSelect = document.getElementById('target-language');
+    const translateLanguageSelect = document.getElementById('translate-language');
+    const translateKeywordInput = document.getElementById('translate-keyword');
+    const translateBtn = document.getElementById('translate-btn');
+    const languageVersions = document.getElementById('language-versions');
+
+    let languages = [];
+    let currentLanguage = 'es'; // Language of the page in #final-output
+
+    async function fetchLanguages() {
+        try {
+            const res = await apiFetch('/api/languages');
+            const data = await res.json();
+            languages = data.languages;
+            currentLanguage = data.default;
+
+            targetLanguageSelect.innerHTML = '';
+            translateLanguageSelect.innerHTML = '';
+            languages.forEach(language => {
+                targetLanguageSelect.add(new Option(language.label, language.code));
+                translateLanguageSelect.add(new Option(`A ${language.label}`, language.code));
+            });
+            targetLanguageSelect.value = data.default;
+            translateLanguageSelect.value = (languages.find(l => l.code !== data.default) || languages[0]).code;
+        } catch (e) {
+            console.error("Error loading languages", e);
+        }
+    }
+
+    function languageLabel(code) {
+        const language = languages.find(l => l.code === code);
+        return language ? language.label : code;
+    }
+
+    // Chips with every language version of the current page; clicking one loads it
+    async function refreshLanguageVersions() {
+        languageVersions.innerHTML = '';
+        if (!currentGenerationId) return;
+
+        try {
+            const res = await apiFetch(`/api/generations/${currentGenerationId}/languages`);
+            if (!res.ok) return;
+            const versions = await res.json();
+            if (versions.length < 2) return;
+
+            versions.forEach(version => {
+                const chip = document.createElement('button');
+                chip.className = 'btn-secondary language-version';
+                if (String(version.id) === String(currentGenerationId)) chip.classList.add('active');
+                chip.textContent = `${version.language.toUpperCase()} #${version.id}`;
+                chip.title = `${languageLabel(version.language)} · ${formatDate(version.created_at)}`
+                    + (version.translation_of ? "" : " · original");
+                chip.addEventListener('click', () => loadGeneration(version.id));
+                languageVersions.appendChild(chip);
+            });
+        } catch (e) {
+            console.error("Error loading language versions", e);
+        }
+    }
+
+    translateBtn.addEventListener('click', async () => {
+        const language = translateLanguageSelect.value;
+        if (!finalOutput.value.trim()) return;
+        if (language === currentLanguage && !confirm(`El texto ya está en ${languageLabel(language)}. ¿Traducir de todos modos?`)) return;
+
+        const original = finalOutput.value;
+        const keyword = translateKeywordInput.value.trim();
+        const request = getGenerateRequest({ text: "" });
+        let result = null;
+
+        translateBtn.disabled = true;
+        translateBtn.textContent = "Traduciendo...";
+        setGenerationStatus(`Traduciendo a ${languageLabel(language)}...`);
+        const signal = beginStream();
+
+        try {
+            const response = await apiFetch('/api/translate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                signal,
+                body: JSON.stringify({
+                    llm: request.llm,
+                    modelOverride: request.modelOverride,
+                    generation: request.generation,
+                    output: original,
+                    limitations: limitationsInput.value,
+                    targetLanguage: language,
+                    keyword,
+                    generationId: currentGenerationId
+                })
+            });
+
+            if (!response.ok) {
+                const err = await response.json();
+                throw new Error(err.error || "Error");
+            }
+
+            finalOutput.value = "";
+            await readEventStream(response, event => {
+                if (event.type === 'delta') {
+                    finalOutput.value += event.text;
+                    finalOutput.scrollTop = finalOutput.scrollHeight;
+                } else if (event.type === 'error') {
+                    throw new Error(event.message);
+                } else if (event.type === 'done') {
+                    result = event;
+                }
+            });
+            if (!result) throw new Error("La conexión se cortó antes de terminar");
+
+            finalOutput.value = result.output;
+            currentGenerationId = result.generationId;
+            currentLanguage = result.language;
+            if (keyword) keywordInput.value = keyword;
+
+            const { failed } = result.validation;
+            const issues = [];
+            if (result.status === 'truncated') issues.push("cortada por el límite de tokens");
+            if (result.structureWarnings.length) issues.push(`${result.structureWarnings.length} avisos de estructura`);
+            if (failed) issues.push(`${failed} campos fuera de límites`);
+            setGenerationStatus(
+                `Traducción a ${languageLabel(result.language)}${issues.length ? ': ' + issues.join(' · ') : ' sin incidencias'}`,
+                issues.length ? 'error' : 'ok'
+            );
+            if (result.structureWarnings.length) {
+                showNotification("Revisa la estructura: " + result.structureWarnings.join(' '), "error");
+            } else {
+                showNotification(`Traducción a ${languageLabel(result.language)} guardada`, "success");
+            }
+        } catch (e) {
+            finalOutput.value = original;
+            if (signal.aborted) {
+                setGenerationStatus("Traducción detenida", 'error');
+                showNotification("Traducción detenida", "info");
+            } else {
+                console.error(e);
+                setGenerationStatus("Error: " + e.message, 'error');
+                showNotification("Error al traducir: " + e.message, "error");
+            }
+        } finally {
+            endStream();
+            translateBtn.textContent = "Traducir";
+            refreshLanguageVersions();
+            analyzeOutput();
+        }
+    });
+
+    // --- Generation History ---
+    const historyBtn = document.getElementById('history-btn');
+    const historyModal = document.getElementById('history-modal');
+    const closeHistoryModal = document.getElementById('close-history-modal');
+    const historySearch = document.getElementById('history-search');
+    const historyList = document.getElementById('history-list');
+    const historyProjectOnly = document.getElementById('history-project-only');
+    let historySearchTimer = null;
+
+    const GENERATION_STATUS_LABELS = {
+        running: "En curso",
+        completed: "Completada",
+        truncated: "Cortada (límite de tokens)",
+        cancelled: "Detenida",
+        failed: "Interrumpida"
+    };
+
+    async function loadHistory() {
+        try {
+            const q = historySearch.value.trim();
+            const project = historyProjectOnly.checked && currentProjectId ? `&projectId=${currentProjectId}` : "";
+            const res = await apiFetch(`/api/generations?q=${encodeURIComponent(q)}${project}`);
+            if (!res.ok) throw new Error("Error loading history");
+            renderHistory(await res.json());
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al cargar el historial", "error");
+        }
+    }
+
+    function renderHistory(items) {
+        historyList.innerHTML = '';
+        if (items.length === 0) {
+            historyList.innerHTML = '<div class="empty-state">No hay generaciones guardadas.</div>';
+            return;
+        }
+
+        items.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'history-item';
+
+            const info = document.createElement('div');
+            info.className = 'history-info';
+
+            const title = document.createElement('div');
+            title.className = 'history-title';
+            title.textContent = item.keyword || "(Sin palabra clave)";
+            if (item.variant_group) {
+                title.textContent += item.variant_index === null
+                    ? " · combinada"
+                    : ` · variante ${VARIANT_LABELS[item.variant_index] || item.variant_index + 1}`;
+            }
+
+            const meta = document.createElement('div');
+            meta.className = 'history-meta';
+            const parts = [
+                new Date(item.created_at).toLocaleString('es-ES'),
+                item.project_name || "Sin proyecto",
+                item.language.toUpperCase() + (item.translation_of ? ` (traducción de #${item.translation_of})` : ""),
+                item.template_name || "Sin plantilla",
+                GENERATION_STATUS_LABELS[item.status] || item.status,
+                `${item.output_length || 0} caracteres`
+            ];
+            if (item.cost !== null) parts.push(formatCost(item.cost));
+            if (item.created_by) parts.push(item.created_by);
+            meta.textContent = parts.join(' · ');
+
+            const preview = document.createElement('div');
+            preview.className = 'history-preview';
+            preview.textContent = item.brief_preview || "";
+
+            info.append(title, meta, preview);
+
+            const actions = document.createElement('div');
+            actions.className = 'history-actions';
+
+            const loadBtn = document.createElement('button');
+            loadBtn.className = 'btn-primary';
+            loadBtn.textContent = "Cargar";
+            loadBtn.addEventListener('click', () => loadGeneration(item.id));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn-danger';
+            deleteBtn.textContent = "Eliminar";
+            deleteBtn.addEventListener('click', () => deleteGeneration(item.id));
+
+            actions.append(loadBtn);
+            if (item.variant_group) {
+                const variantsBtn = document.createElement('button');
+                variantsBtn.className = 'btn-secondary';
+                variantsBtn.textContent = "Variantes";
+                variantsBtn.addEventListener('click', () => {
+                    historyModal.classList.remove('active');
+                    openVariantGroup(item.variant_group);
+                });
+                actions.appendChild(variantsBtn);
+            }
+            actions.appendChild(deleteBtn);
+            row.append(info, actions);
+            historyList.appendChild(row);
+        });
+    }
+
+    async function loadGeneration(id) {
+        try {
+            const res = await apiFetch(`/api/generations/${id}`);
+            if (!res.ok) throw new Error("Generation not found");
+            const generation = await res.json();
+
+            keywordInput.value = generation.keyword || "";
+            secondaryKeywordsInput.value = (generation.secondary_keywords || "").split('\n').filter(Boolean).join(', ');
+            briefInput.value = generation.brief || "";
+            setBriefFiles(generation.files);
+            currentProjectId = findProject(generation.project_id) ? generation.project_id : null;
+            renderProjectSelect();
+            structureInput.value = generation.structure || "";
+            outputInput.value = generation.output_format || "";
+            limitationsInput.value = generation.limitations || "";
+            setPromptVariableValues(generation.prompt_variables);
+            finalOutput.value = generation.output || "";
+            currentGenerationId = generation.id;
+            currentLanguage = generation.language;
+            refreshLanguageVersions();
+
+            historyModal.classList.remove('active');
+            analyzeOutput();
+            showNotification("Generación cargada en el editor", "success");
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al cargar la generación", "error");
+        }
+    }
+
+    async function deleteGeneration(id) {
+        if (!confirm("¿Eliminar esta generación del historial?")) return;
+
+        try {
+            const res = await apiFetch(`/api/generations/${id}`, { method: 'DELETE' });
+            if (!res.ok) throw new Error("Error deleting generation");
+            if (String(currentGenerationId) === String(id)) currentGenerationId = null;
+            loadHistory();
+            showNotification("Generación eliminada", "success");
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al eliminar la generación", "error");
+        }
+    }
+
+    historyBtn.addEventListener('click', () => {
+        historyModal.classList.add('active');
+        loadHistory();
+    });
+
+    closeHistoryModal.addEventListener('click', () => historyModal.classList.remove('active'));
+
+    historyProjectOnly.addEventListener('change', loadHistory);
+
+    historySearch.addEventListener('input', () => {
+        clearTimeout(historySearchTimer);
+        historySearchTimer = setTimeout(loadHistory, 300);
+    });
+
+    // Copy
+    copyBtn.addEventListener('click', () => {
+        if (!finalOutput.value) return;
+        navigator.clipboard.writeText(finalOutput.value)
+            .then(() => {
+                const originalText = copyBtn.textContent;
+                copyBtn.textContent = "¡Copiado!";
+                setTimeout(() => copyBtn.textContent = originalText, 2000);
+            })
+            .catch(err => console.error('Error copying text: ', err));
+    });
+
+    // Download
+    const downloadOptions = document.getElementById('download-options');
+
+    downloadBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (!finalOutput.value) return alert("No hay texto para descargar.");
+        downloadOptions.classList.toggle('active');
+    });
+
+    document.addEventListener('click', () => downloadOptions.classList.remove('active'));
+
+    downloadOptions.querySelectorAll('button').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            downloadOptions.classList.remove('active');
+            const text = finalOutput.value;
+            if (!text) return alert("No hay texto para descargar.");
+
+            try {
+                const response = await apiFetch('/api/export', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        output: text,
+                        format: btn.dataset.format,
+                        keyword: keywordInput.value.trim(),
+                        language: currentLanguage
+                    })
+                });
+                if (!response.ok) {
+                    const data = await response.json().catch(() => ({}));
+                    return showNotification(data.error || "Error al exportar", 'error');
+                }
+
+                const disposition = response.headers.get('Content-Disposition') || '';
+                const match = disposition.match(/filename="?([^";]+)"?/);
+                const blob = await response.blob();
+                const url = window.URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = match ? match[1] : `landing_page.${btn.dataset.format}`;
+                document.body.appendChild(a);
+                a.click();
+                window.URL.revokeObjectURL(url);
+                document.body.removeChild(a);
+            } catch (e) {
+                console.error(e);
+                showNotification("Error al exportar", 'error');
+            }
+        });
+    });
+
+    // --- CSRF ---
+    async function loadCsrfToken() {
+        const res = await fetch('/api/csrf-token');
+        csrfToken = (await res.json()).token;
+        return csrfToken;
+    }
+
+    // fetch() that adds the CSRF header to non-GET requests; a rejected token is refreshed and retried once
+    async function apiFetch(url, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        if (method === 'GET' || method === 'HEAD') return fetch(url, options);
+
+        const send = token => fetch(url, { ...options, headers: { ...options.headers, 'X-CSRF-Token': token } });
+        let response = await send(csrfToken || await loadCsrfToken());
+        if (response.status === 403) {
+            const data = await response.clone().json().catch(() => ({}));
+            if (data.code === 'csrf') response = await send(await loadCsrfToken());
+        }
+        return response;
+    }
+
+    // --- Account & Users ---
+    const accountBtn = document.getElementById('account-btn');
+    const accountName = document.getElementById('account-name');
+    const accountModal = document.getElementById('account-modal');
+    const closeAccountModal = document.getElementById('close-account-modal');
+    const accountCurrentPassword = document.getElementById('account-current-password');
+    const accountNewPassword = document.getElementById('account-new-password');
+    const accountPasswordBtn = document.getElementById('account-password-btn');
+    const usersAdmin = document.getElementById('users-admin');
+    const usersList = document.getElementById('users-list');
+    const newUserName = document.getElementById('new-user-name');
+    const newUserPassword = document.getElementById('new-user-password');
+    const newUserRole = document.getElementById('new-user-role');
+    const createUserBtn = document.getElementById('create-user-btn');
+
+    const USER_ROLE_LABELS = { admin: "Administrador", editor: "Editor" };
+
+    function isAdmin() {
+        return !!currentUser && currentUser.role === 'admin';
+    }
+
+    async function fetchCurrentUser() {
+        try {
+            const res = await apiFetch('/api/me');
+            if (!res.ok) throw new Error("Error loading user");
+            currentUser = await res.json();
+            applyRolePermissions();
+        } catch (e) {
+            console.error("Error loading current user", e);
+        }
+    }
+
+    // Admin-only actions are disabled for editors; the server enforces the same rules
+    function applyRolePermissions() {
+        const admin = isAdmin();
+        accountName.textContent = currentUser ? currentUser.username : "Cuenta";
+        saveSystemPromptBtn.disabled = !admin;
+        saveSystemPromptBtn.title = admin ? "" : "Solo los administradores pueden editar el System Prompt";
+        overrideSystemMode.disabled = !admin;
+        overrideSystemText.readOnly = !admin;
+        overrideSystemMode.title = admin ? "" : "Solo los administradores pueden cambiar el System Prompt de una plantilla";
+        usageSettingsSaveBtn.disabled = !admin;
+        usersAdmin.hidden = !admin;
+        renderClientSelect();
+        updateButtonStates();
+    }
+
+    async function sendUserRequest(url, method, body) {
+        const res = await apiFetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body || {})
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Error");
+        return data;
+    }
+
+    async function loadUsers() {
+        try {
+            const res = await apiFetch('/api/users');
+            if (!res.ok) throw new Error("Error loading users");
+            renderUsers(await res.json());
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al cargar los usuarios", "error");
+        }
+    }
+
+    function renderUsers(users) {
+        usersList.innerHTML = '';
+        users.forEach(user => {
+            const row = document.createElement('div');
+            row.className = 'history-item';
+
+            const info = document.createElement('div');
+            info.className = 'history-info';
+
+            const title = document.createElement('div');
+            title.className = 'history-title';
+            title.textContent = user.active ? user.username : `${user.username} (desactivado)`;
+
+            const meta = document.createElement('div');
+            meta.className = 'history-meta';
+            meta.textContent = [
+                USER_ROLE_LABELS[user.role] || user.role,
+                user.last_login_at ? `Último acceso: ${formatDate(user.last_login_at)}` : "Sin accesos",
+                user.created_by ? `Creado por ${user.created_by}` : null
+            ].filter(Boolean).join(' · ');
+
+            info.append(title, meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'history-actions';
+
+            const roleSelect = document.createElement('select');
+            Object.entries(USER_ROLE_LABELS).forEach(([value, label]) => roleSelect.add(new Option(label, value)));
+            roleSelect.value = user.role;
+            roleSelect.addEventListener('change', () => updateUser(user.id, { role: roleSelect.value }));
+
+            const resetBtn = document.createElement('button');
+            resetBtn.className = 'btn-secondary';
+            resetBtn.textContent = "Restablecer contraseña";
+            resetBtn.addEventListener('click', () => resetUserPassword(user));
+
+            const toggleBtn = document.createElement('button');
+            toggleBtn.className = user.active ? 'btn-danger' : 'btn-primary';
+            toggleBtn.textContent = user.active ? "Desactivar" : "Activar";
+            toggleBtn.addEventListener('click', () => updateUser(user.id, { active: !user.active }));
+
+            actions.append(roleSelect, resetBtn, toggleBtn);
+            row.append(info, actions);
+            usersList.appendChild(row);
+        });
+    }
+
+    async function updateUser(id, changes) {
+        try {
+            const data = await sendUserRequest(`/api/users/${id}`, 'PUT', changes);
+            renderUsers(data.users);
+            showNotification("Usuario actualizado", "success");
+        } catch (e) {
+            showNotification("Error: " + e.message, "error");
+            loadUsers();
+        }
+    }
+
+    async function resetUserPassword(user) {
+        if (!confirm(`¿Generar una contraseña temporal para "${user.username}"?`)) return;
+
+        try {
+            const data = await sendUserRequest(`/api/users/${user.id}/reset-password`, 'POST');
+            prompt(`Contraseña temporal de "${data.username}" (cópiala, no se volverá a mostrar):`, data.password);
+        } catch (e) {
+            showNotification("Error: " + e.message, "error");
+        }
+    }
+
+    accountBtn.addEventListener('click', () => {
+        accountModal.classList.add('active');
+        if (isAdmin()) loadUsers();
+    });
+
+    closeAccountModal.addEventListener('click', () => accountModal.classList.remove('active'));
+
+    accountPasswordBtn.addEventListener('click', async () => {
+        try {
+            await sendUserRequest('/api/me/password', 'PUT', {
+                currentPassword: accountCurrentPassword.value,
+                newPassword: accountNewPassword.value
+            });
+            accountCurrentPassword.value = "";
+            accountNewPassword.value = "";
+            showNotification("Contraseña actualizada", "success");
+        } catch (e) {
+            showNotification("Error: " + e.message, "error");
+        }
+    });
+
+    createUserBtn.addEventListener('click', async () => {
+        try {
+            const data = await sendUserRequest('/api/users', 'POST', {
+                username: newUserName.value.trim(),
+                password: newUserPassword.value,
+                role: newUserRole.value
+            });
+            newUserName.value = "";
+            newUserPassword.value = "";
+            renderUsers(data.users);
+            showNotification(`Usuario "${data.user.username}" creado`, "success");
+        } catch (e) {
+            showNotification("Error: " + e.message, "error");
+        }
+    });
+
+    // --- Factory Defaults ---
+    // Admins compare config keys with their rags/ files and re-seed the ones they pick
+    const seedBtn = document.getElementById('seed-btn');
+    const seedModal = document.getElementById('seed-modal');
+    const closeSeedModal = document.getElementById('close-seed-modal');
+    const seedKeyList = document.getElementById('seed-key-list');
+    const seedDiffTitle = document.getElementById('seed-diff-title');
+    const seedDiff = document.getElementById('seed-diff');
+    const seedNote = document.getElementById('seed-note');
+    const seedApplyBtn = document.getElementById('seed-apply-btn');
+    const migrationsList = document.getElementById('migrations-list');
+
+    const SEED_STATUS_LABELS = {
+        same: "Igual que el archivo",
+        changed: "Modificada",
+        missing: "No existe en la base de datos",
+        'no-source': "Sin archivo de origen"
+    };
+
+    let seedKeys = [];
+    let selectedSeedKey = null;
+    let seedSelection = new Set();
+
+    async function openSeedModal() {
+        seedModal.classList.add('active');
+        seedSelection = new Set();
+        selectedSeedKey = null;
+        seedDiff.innerHTML = '';
+        seedDiffTitle.textContent = "Selecciona una clave para ver las diferencias";
+        await Promise.all([loadSeedKeys(), loadMigrations()]);
+    }
+
+    async function loadSeedKeys() {
+        try {
+            const res = await apiFetch('/api/config/seed');
+            if (!res.ok) throw new Error("Error loading seed data");
+            seedKeys = (await res.json()).keys;
+            renderSeedKeys();
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al comparar con los valores de fábrica", "error");
+        }
+    }
+
+    function renderSeedKeys() {
+        seedKeyList.innerHTML = '';
+        seedKeys.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'revision-item' + (item.key === selectedSeedKey ? ' selected' : '');
+
+            const title = document.createElement('label');
+            title.className = 'revision-title checkbox-label';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = seedSelection.has(item.key);
+            checkbox.disabled = item.status === 'same' || item.status === 'no-source';
+            checkbox.addEventListener('click', e => e.stopPropagation());
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) seedSelection.add(item.key);
+                else seedSelection.delete(item.key);
+                seedApplyBtn.disabled = seedSelection.size === 0;
+            });
+            title.append(checkbox, CONFIG_KEY_LABELS[item.key] || item.key);
+
+            const meta = document.createElement('div');
+            meta.className = 'revision-meta';
+            meta.textContent = `${SEED_STATUS_LABELS[item.status] || item.status} · ${item.source}`;
+
+            row.append(title, meta);
+            row.addEventListener('click', () => showSeedDiff(item.key));
+            seedKeyList.appendChild(row);
+        });
+        seedApplyBtn.disabled = seedSelection.size === 0;
+    }
+
+    async function showSeedDiff(key) {
+        selectedSeedKey = key;
+        renderSeedKeys();
+        seedDiff.innerHTML = '';
+
+        try {
+            const res = await apiFetch(`/api/config/seed/${encodeURIComponent(key)}/diff`);
+            if (!res.ok) throw new Error("Error loading diff");
+            const diff = await res.json();
+            seedDiffTitle.textContent = `${CONFIG_KEY_LABELS[key] || key}: base de datos → ${diff.source}`;
+            seedDiff.appendChild(buildLineDiff(diff));
+        } catch (e) {
+            console.error(e);
+            showNotification("Error al cargar las diferencias", "error");
+        }
+    }
+
+    async function loadMigrations() {
+        try {
+            const res = await apiFetch('/api/migrations');
+            if (!res.ok) throw new Error("Error loading migrations");
+            const migrations = await res.json();
+
+            migrationsList.innerHTML = '';
+            migrations.forEach(migration => {
+                const item = document.createElement('div');
+                item.className = 'revision-item';
+                const title = document.createElement('div');
+                title.className = 'revision-title';
+                title.textContent = `#${migration.id} ${migration.name}`;
+                const meta = document.createElement('div');
+                meta.className = 'revision-meta';
+                meta.textContent = migration.appliedAt ? `Aplicada ${formatDate(migration.appliedAt)}` : "Pendiente";
+                item.append(title, meta);
+                migrationsList.appendChild(item);
+            });
+        } catch (e) {
+            console.error(e);
+        }
+    }
+
+    seedApplyBtn.addEventListener('click', async () => {
+        const keys = [...seedSelection];
+        if (keys.length === 0) return;
+        const labels = keys.map(key => CONFIG_KEY_LABELS[key] || key).join(', ');
+        if (!confirm(`¿Restablecer ${labels} desde los valores de fábrica? La versión actual quedará en el historial.`)) return;
+
+        try {
+            await sendUserRequest('/api/config/seed', 'POST', { keys, note: seedNote.value.trim() });
+
+            // Prompt keys are cached in the editor
+            const config = await (await apiFetch('/api/defaults')).json();
+            systemPrompt = config.systemPrompt || "";
+            userMessageTemplate = config.userMessageTemplate || "";
+
+            seedNote.value = "";
+            showNotification("Valores de fábrica restablecidos", "success");
+            openSeedModal();
+        } catch (e) {
+            showNotification("Error: " + e.message, "error");
+        }
+    });
+
+    seedBtn.addEventListener('click', openSeedModal);
+    closeSeedModal.addEventListener('click', () => seedModal.classList.remove('active'));
+
     // Logout
     const logoutBtn = document.getElementById('logout-btn');
     if (logoutBtn) {
         logoutBtn.addEventListener('click', async () => {
             if (!confirm("¿Cerrar sesión?")) return;
             try {
-                await fetch('/api/logout', { method: 'POST' });
+                await apiFetch('/api/logout', { method: 'POST' });
                 window.location.reload();
             } catch (e) {
                 console.error("Logout error", e);
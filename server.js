@@ -3,8 +3,11 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const pdf = require('pdf-parse');
 const OpenAI = require('openai');
+const Anthropic = require('@anthropic-ai/sdk');
 const { Pool } = require('pg');
 const session = require('express-session');
 require('dotenv').config();
@@ -36,9 +39,108 @@ app.use((req, res, next) => {
     next();
 });
 
-app.use(cors());
+// --- SECURITY ---
+
+// Cross-origin access only for the origins in CORS_ORIGINS (comma separated); the app itself is same-origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
+app.use(cors({
+    origin: (origin, callback) => callback(null, !!origin && CORS_ORIGINS.includes(origin)),
+    credentials: true
+}));
 app.use(bodyParser.json({ limit: '50mb' }));
 
+const CSRF_HEADER = 'x-csrf-token';
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const issueCsrfToken = (req) => {
+    if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    return req.session.csrfToken;
+};
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(a || '');
+    const right = Buffer.from(b || '');
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Every state-changing API call, login included, must echo the session's token in X-CSRF-Token
+app.use((req, res, next) => {
+    if (CSRF_SAFE_METHODS.includes(req.method) || !req.path.startsWith('/api/')) return next();
+    if (req.session.csrfToken && safeEqual(req.get(CSRF_HEADER), req.session.csrfToken)) return next();
+    return res.status(403).json({ error: "Token CSRF no válido. Recarga la página e inténtalo de nuevo.", code: 'csrf' });
+});
+
+const LOGIN_MAX_FAILURES_PER_USER = parseInt(process.env.LOGIN_MAX_FAILURES_PER_USER, 10) || 5;
+const LOGIN_MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP, 10) || 20;
+const LOGIN_LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+
+// Failed logins per "ip:<addr>" and "user:<name>": { count, resetAt }
+const loginFailures = new Map();
+// Every counter map, swept for expired entries
+const rateLimitStores = [loginFailures];
+
+const loginLockRemaining = (key, max) => {
+    const entry = loginFailures.get(key);
+    if (!entry || entry.resetAt <= Date.now() || entry.count < max) return 0;
+    return entry.resetAt - Date.now();
+};
+
+// The lockout window restarts with every failure, so a locked account stays locked while attacked
+const recordLoginFailure = (key) => {
+    const entry = loginFailures.get(key);
+    const count = entry && entry.resetAt > Date.now() ? entry.count + 1 : 1;
+    loginFailures.set(key, { count, resetAt: Date.now() + LOGIN_LOCKOUT_MS });
+};
+
+const GENERATE_RATE_LIMIT = parseInt(process.env.GENERATE_RATE_LIMIT, 10) || 10;
+const GENERATE_RATE_WINDOW_MS = (parseInt(process.env.GENERATE_RATE_WINDOW_MINUTES, 10) || 1) * 60 * 1000;
+
+// Fixed-window limiter keyed by session user (or IP): { count, resetAt } per key.
+// limiter.weighted(weigh) shares the same counters but counts a request as weigh(req) hits.
+const createRateLimiter = ({ limit, windowMs, message }) => {
+    const hits = new Map();
+    rateLimitStores.push(hits);
+
+    const weighted = (weigh) => (req, res, next) => {
+        const key = req.session.user ? `user:${req.session.user.id}` : `ip:${req.ip}`;
+        const now = Date.now();
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+
+        entry.count += weigh(req);
+        if (entry.count > limit) {
+            const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: `${message} Inténtalo de nuevo en ${retryAfter} s.` });
+        }
+        next();
+    };
+
+    const limiter = weighted(() => 1);
+    limiter.weighted = weighted;
+    return limiter;
+};
+
+// Expired counters are dropped so the maps don't grow forever
+setInterval(() => {
+    const now = Date.now();
+    rateLimitStores.forEach(store => {
+        for (const [key, entry] of store) {
+            if (entry.resetAt <= now) store.delete(key);
+        }
+    });
+}, 10 * 60 * 1000).unref();
+
+const generateRateLimit = createRateLimiter({
+    limit: GENERATE_RATE_LIMIT,
+    windowMs: GENERATE_RATE_WINDOW_MS,
+    message: "Demasiadas generaciones seguidas."
+});
+
 // Auth Middleware Logic
 const requireAuth = (req, res, next) => {
     if (req.session && req.session.user) {
@@ -55,7 +157,7 @@ const requireAuth = (req, res, next) => {
     return res.sendFile(path.join(__dirname, 'public', 'login.html'));
 };
 
-const publicRoutes = ['/api/login', '/login.html', '/style.css', '/favicon.ico']; // Add basics if needed
+const publicRoutes = ['/api/login', '/api/csrf-token', '/login.html', '/style.css', '/favicon.ico']; // Add basics if needed
 
 // Intercept requests
 app.use((req, res, next) => {
@@ -88,6 +190,31 @@ app.use((req, res, next) => {
     return res.redirect('/');
 });
 
+// Reload the session user so disabled accounts and role changes apply right away
+app.use(async (req, res, next) => {
+    if (!req.session.user) return next();
+
+    try {
+        const result = await pool.query(
+            'SELECT id, username, role, active FROM web_skyling_users WHERE id = $1 OR ($1 IS NULL AND username = $2)',
+            [req.session.user.id || null, req.session.user.username]
+        );
+        const user = result.rows[0];
+        if (user && user.active) {
+            req.session.user = { id: user.id, username: user.username, role: user.role };
+            return next();
+        }
+    } catch (e) {
+        console.error("Error loading session user:", e.message);
+        return res.status(500).json({ error: "Database error" });
+    }
+
+    req.session.destroy(() => {
+        if (req.path.startsWith('/api/')) return res.status(401).json({ error: "Unauthorized" });
+        res.redirect('/');
+    });
+});
+
 
 app.use(express.static('public'));
 
@@ -110,59 +237,528 @@ const readFile = (filePath) => {
     }
 };
 
-// Initialize Database Schema and Seed Data
-const initDB = async () => {
+// --- COPY PARSING & VALIDATION ---
+
+// Matches "### Section" headings in output, limitations and knowledge texts
+const SECTION_LINE_REGEX = /^\s*#{1,4}\s+(.+?)\s*$/;
+// Matches tagged lines ("H2: ...", "**P:** ...", "H3 corto: ..."). Limitations call the link tag "CTA".
+const FIELD_LINE_REGEX = /^(\s*(?:[-*]\s+)?(?:\*\*)?(H[1-6]|P|A|SPAN|CTA)(?:\s+corto)?(?:\*\*)?\s*:\s*(?:\*\*)?\s*)(.*)$/i;
+const TITLE_STOPWORDS = new Set(['seccion', 'secciones', 'de', 'del', 'la', 'las', 'el', 'los', 'y', 'para']);
+
+const normalizeTag = (tag) => {
+    const upper = tag.toUpperCase();
+    return upper === 'CTA' ? 'A' : upper;
+};
+
+const stripAccents = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// Counts user-perceived characters (emoji and accented letters count as one)
+const countChars = (text) => [...text].length;
+
+const cleanFieldText = (text) => text
+    .replace(/\*\*\s*$/, '')
+    .trim()
+    .replace(/^["“«](.*)["”»]$/, '$1')
+    .trim();
+
+const matchFieldLine = (line) => {
+    const match = line.match(FIELD_LINE_REGEX);
+    if (!match) return null;
+    return { prefix: match[1], tag: normalizeTag(match[2]), text: cleanFieldText(match[3]) };
+};
+
+// Parses a generated page into sections and tagged fields, keeping line numbers for later edits
+const parseCopy = (text) => {
+    const lines = (text || '').split(/\r?\n/);
+    const sections = [];
+    let current = null;
+
+    lines.forEach((line, index) => {
+        const heading = line.match(SECTION_LINE_REGEX);
+        if (heading) {
+            current = { title: heading[1].replace(/\*\*/g, '').trim(), line: index, fields: [] };
+            sections.push(current);
+            return;
+        }
+
+        const field = matchFieldLine(line);
+        if (!field) return;
+        if (!current) {
+            current = { title: '', line: index, fields: [] };
+            sections.push(current);
+        }
+        current.fields.push({ ...field, line: index });
+    });
+
+    return { lines, sections };
+};
+
+// "80 caracteres como mínimo - 100 caracteres como máximo" -> { min: 80, max: 100 }
+const parseRange = (ruleText) => {
+    const normalized = stripAccents(ruleText).toLowerCase();
+    if (normalized.includes('copia textual')) {
+        return { min: null, max: null, exact: true };
+    }
+
+    const numbers = (normalized.match(/\d+/g) || []).map(Number);
+    if (numbers.length >= 2) {
+        return { min: Math.min(numbers[0], numbers[1]), max: Math.max(numbers[0], numbers[1]), exact: false };
+    }
+    if (numbers.length === 1) {
+        const onlyMin = normalized.includes('minimo') && !normalized.includes('maximo');
+        return onlyMin
+            ? { min: numbers[0], max: null, exact: false }
+            : { min: null, max: numbers[0], exact: false };
+    }
+    return { min: null, max: null, exact: false };
+};
+
+const parseLimitations = (text) => {
+    return parseCopy(text).sections.map(section => ({
+        title: section.title,
+        rules: section.fields.map(field => ({ tag: field.tag, text: field.text, ...parseRange(field.text) }))
+    }));
+};
+
+const titleTokens = (title) => stripAccents(title).toLowerCase()
+    .replace(/[^a-z0-9/ ]/g, ' ')
+    .split('/')
+    .map(part => part.split(/\s+/).filter(word => word && !TITLE_STOPWORDS.has(word)))
+    .filter(tokens => tokens.length);
+
+// Similarity between two section titles. Titles like "Portafolio/Testimonios" count as alternatives.
+const titleSimilarity = (a, b) => {
+    let best = 0;
+    titleTokens(a).forEach(tokensA => {
+        titleTokens(b).forEach(tokensB => {
+            const setB = new Set(tokensB);
+            const shared = new Set(tokensA.filter(word => setB.has(word))).size;
+            const union = new Set([...tokensA, ...tokensB]).size;
+            best = Math.max(best, union ? shared / union : 0);
+        });
+    });
+    return best;
+};
+
+const findLimitSection = (title, limitSections) => {
+    if (limitSections.length === 1 && !limitSections[0].title) return limitSections[0];
+
+    let best = null;
+    let bestScore = 0;
+    limitSections.forEach(section => {
+        const score = titleSimilarity(title, section.title);
+        if (score > bestScore) {
+            best = section;
+            bestScore = score;
+        }
+    });
+    return bestScore >= 0.5 ? best : null;
+};
+
+// Builds the per-field character report of a generated page against the limitations text.
+// The n-th field of a tag uses the n-th rule of that tag in its section (or the last one).
+const validateCopy = (copyText, limitationsText) => {
+    const limitSections = parseLimitations(limitationsText);
+    const copy = parseCopy(copyText);
+    const fields = [];
+
+    copy.sections.forEach(section => {
+        const limits = findLimitSection(section.title, limitSections);
+        const seen = {};
+
+        section.fields.forEach(field => {
+            const rules = limits ? limits.rules.filter(rule => rule.tag === field.tag) : [];
+            seen[field.tag] = (seen[field.tag] || 0) + 1;
+            const rule = rules.length ? rules[Math.min(seen[field.tag], rules.length) - 1] : null;
+            const length = countChars(field.text);
+
+            let status = 'unchecked';
+            if (rule && (rule.min !== null || rule.max !== null)) {
+                const tooShort = rule.min !== null && length < rule.min;
+                const tooLong = rule.max !== null && length > rule.max;
+                status = tooShort || tooLong ? 'fail' : 'pass';
+            }
+
+            fields.push({
+                id: fields.length,
+                section: section.title,
+                limitSection: limits ? limits.title : null,
+                tag: field.tag,
+                text: field.text,
+                line: field.line,
+                length,
+                min: rule ? rule.min : null,
+                max: rule ? rule.max : null,
+                rule: rule ? rule.text : null,
+                status
+            });
+        });
+    });
+
+    const count = (status) => fields.filter(f => f.status === status).length;
+    return {
+        fields,
+        summary: {
+            sections: copy.sections.length,
+            total: fields.length,
+            passed: count('pass'),
+            failed: count('fail'),
+            unchecked: count('unchecked')
+        }
+    };
+};
+
+// --- USERS & PASSWORDS ---
+
+const USER_ROLES = ['admin', 'editor'];
+const PASSWORD_MIN_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+const scrypt = (password, salt) => new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (err, key) => (err ? reject(err) : resolve(key)));
+});
+
+// Stored as "scrypt$<salt>$<hash>" so the scheme can change without a schema change
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(password, salt);
+    return `scrypt$${salt}$${key.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const key = await scrypt(password, salt);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+};
+
+const validatePassword = (password) => {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        return `La contraseña debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres.`;
+    }
+    return null;
+};
+
+// --- SEED DATA ---
+
+// Factory default of each config key: a file in rags/ or a value built into the code
+const RAGS_DIR = path.join(__dirname, 'rags');
+
+const SEED_SOURCES = {
+    structure: { file: 'estructura.txt' },
+    output: { file: 'output.txt' },
+    limitations: { file: 'limitaciones.txt' },
+    systemPrompt: { file: 'systemprompt.txt' },
+    knowledge: { file: 'conocimiento_unico_sections.txt', pdf: 'conocimiento_unico_sections.pdf' },
+    userMessageTemplate: { builtIn: () => DEFAULT_USER_MESSAGE_TEMPLATE }
+};
+
+const seedSourceLabel = (key) => {
+    const source = SEED_SOURCES[key];
+    return source.builtIn ? 'valor por defecto del código' : `rags/${source.file}`;
+};
+
+const readSeedValue = async (key) => {
+    const source = SEED_SOURCES[key];
+    if (source.builtIn) return source.builtIn();
+
+    const value = readFile(path.join(RAGS_DIR, source.file));
+    if (value || !source.pdf) return value;
+
+    const pdfPath = path.join(RAGS_DIR, source.pdf);
+    if (!fs.existsSync(pdfPath)) return '';
     try {
-        // Create Config Table
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS web_skyling_config (
-                key TEXT PRIMARY KEY,
-                value TEXT
-            );
-        `);
+        const data = await pdf(fs.readFileSync(pdfPath));
+        return data.text;
+    } catch (e) {
+        console.error("PDF Seed Error:", e);
+        return '';
+    }
+};
 
-        // Create Templates Table
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS web_skyling_templates (
-                id SERIAL PRIMARY KEY,
-                name TEXT UNIQUE NOT NULL,
-                data JSONB NOT NULL,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+// --- MIGRATIONS ---
+
+// Ordered schema changes. Each one runs once, inside a transaction, and is recorded in web_skyling_migrations.
+// Released migrations must not be edited: change the schema by appending a new one.
+// The first ones recreate the schema from before migrations existed, so they keep IF NOT EXISTS
+// and are no-ops on databases created by earlier versions.
+const MIGRATIONS = [
+    {
+        id: 1,
+        name: 'config and templates',
+        sql: `
+        CREATE TABLE IF NOT EXISTS web_skyling_config (
+            key TEXT PRIMARY KEY,
+            value TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS web_skyling_templates (
+            id SERIAL PRIMARY KEY,
+            name TEXT UNIQUE NOT NULL,
+            data JSONB NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        `
+    },
+    {
+        id: 2,
+        name: 'generations',
+        sql: `
+        CREATE TABLE IF NOT EXISTS web_skyling_generations (
+            id SERIAL PRIMARY KEY,
+            keyword TEXT,
+            brief TEXT,
+            structure TEXT,
+            output_format TEXT,
+            limitations TEXT,
+            system_prompt TEXT,
+            template_name TEXT,
+            model TEXT,
+            output TEXT DEFAULT '',
+            status TEXT NOT NULL DEFAULT 'running',
+            created_by TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            completed_at TIMESTAMP
+        );
+        `
+    },
+    {
+        id: 3,
+        name: 'config revisions',
+        sql: `
+        CREATE TABLE IF NOT EXISTS web_skyling_config_revisions (
+            id SERIAL PRIMARY KEY,
+            key TEXT NOT NULL,
+            value TEXT,
+            author TEXT,
+            note TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS web_skyling_config_revisions_key_idx
+            ON web_skyling_config_revisions (key, id DESC);
+        `
+    },
+    {
+        id: 4,
+        name: 'template revisions',
+        sql: `
+        CREATE TABLE IF NOT EXISTS web_skyling_template_revisions (
+            id SERIAL PRIMARY KEY,
+            template_id INTEGER NOT NULL REFERENCES web_skyling_templates(id) ON DELETE CASCADE,
+            name TEXT NOT NULL,
+            data JSONB NOT NULL,
+            author TEXT,
+            note TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS web_skyling_template_revisions_template_idx
+            ON web_skyling_template_revisions (template_id, id DESC);
+        `
+    },
+    {
+        id: 5,
+        name: 'generation provider',
+        sql: `
+        ALTER TABLE web_skyling_generations ADD COLUMN IF NOT EXISTS provider TEXT;
+        `
+    },
+    {
+        id: 6,
+        name: 'knowledge documents',
+        sql: `
+        CREATE TABLE IF NOT EXISTS web_skyling_knowledge_docs (
+            id SERIAL PRIMARY KEY,
+            name TEXT UNIQUE NOT NULL,
+            filename TEXT,
+            content TEXT NOT NULL DEFAULT '',
+            enabled BOOLEAN NOT NULL DEFAULT TRUE,
+            created_by TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        `
+    },
+    {
+        id: 7,
+        name: 'secondary keywords',
+        sql: `
+        ALTER TABLE web_skyling_generations ADD COLUMN IF NOT EXISTS secondary_keywords TEXT;
+        `
+    },
+    {
+        id: 8,
+        name: 'finish reason',
+        sql: `
+        ALTER TABLE web_skyling_generations ADD COLUMN IF NOT EXISTS finish_reason TEXT;
+        `
+    },
+    {
+        id: 9,
+        name: 'usage',
+        sql: `
+        CREATE TABLE IF NOT EXISTS web_skyling_usage (
+            id SERIAL PRIMARY KEY,
+            generation_id INTEGER REFERENCES web_skyling_generations(id) ON DELETE SET NULL,
+            kind TEXT NOT NULL,
+            provider TEXT,
+            model TEXT,
+            prompt_tokens INTEGER NOT NULL DEFAULT 0,
+            completion_tokens INTEGER NOT NULL DEFAULT 0,
+            estimated BOOLEAN NOT NULL DEFAULT FALSE,
+            cost NUMERIC(12, 6) NOT NULL DEFAULT 0,
+            username TEXT,
+            template_name TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS web_skyling_usage_created_idx ON web_skyling_usage (created_at);
+        `
+    },
+    {
+        id: 10,
+        name: 'users',
+        sql: `
+        CREATE TABLE IF NOT EXISTS web_skyling_users (
+            id SERIAL PRIMARY KEY,
+            username TEXT UNIQUE NOT NULL,
+            password_hash TEXT NOT NULL,
+            role TEXT NOT NULL DEFAULT 'editor',
+            active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_by TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_login_at TIMESTAMP
+        );
+        `
+    },
+    {
+        id: 11,
+        name: 'user message and prompt variables',
+        sql: `
+        ALTER TABLE web_skyling_generations ADD COLUMN IF NOT EXISTS user_message TEXT;
+        ALTER TABLE web_skyling_generations ADD COLUMN IF NOT EXISTS prompt_variables JSONB;
+        `
+    },
+    {
+        id: 12,
+        name: 'brief files',
+        sql: `
+        CREATE TABLE IF NOT EXISTS web_skyling_brief_files (
+            id SERIAL PRIMARY KEY,
+            filename TEXT NOT NULL,
+            mime_type TEXT,
+            size INTEGER NOT NULL DEFAULT 0,
+            data BYTEA NOT NULL,
+            text TEXT,
+            created_by TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS web_skyling_generation_files (
+            generation_id INTEGER NOT NULL REFERENCES web_skyling_generations(id) ON DELETE CASCADE,
+            file_id INTEGER NOT NULL REFERENCES web_skyling_brief_files(id) ON DELETE CASCADE,
+            PRIMARY KEY (generation_id, file_id)
+        );
+        `
+    },
+    {
+        id: 13,
+        name: 'clients and projects',
+        sql: `
+        CREATE TABLE IF NOT EXISTS web_skyling_clients (
+            id SERIAL PRIMARY KEY,
+            name TEXT UNIQUE NOT NULL,
+            notes TEXT NOT NULL DEFAULT '',
+            created_by TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS web_skyling_projects (
+            id SERIAL PRIMARY KEY,
+            client_id INTEGER NOT NULL REFERENCES web_skyling_clients(id) ON DELETE CASCADE,
+            name TEXT NOT NULL,
+            brief TEXT NOT NULL DEFAULT '',
+            brand_voice TEXT NOT NULL DEFAULT '',
+            keywords TEXT[] NOT NULL DEFAULT '{}',
+            template_name TEXT,
+            created_by TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (client_id, name)
+        );
+        ALTER TABLE web_skyling_generations ADD COLUMN IF NOT EXISTS project_id INTEGER REFERENCES web_skyling_projects(id) ON DELETE SET NULL;
+        `
+    },
+    {
+        id: 14,
+        name: 'variants',
+        sql: `
+        ALTER TABLE web_skyling_generations ADD COLUMN IF NOT EXISTS temperature REAL;
+        ALTER TABLE web_skyling_generations ADD COLUMN IF NOT EXISTS variant_group TEXT;
+        ALTER TABLE web_skyling_generations ADD COLUMN IF NOT EXISTS variant_index INTEGER;
+        ALTER TABLE web_skyling_generations ADD COLUMN IF NOT EXISTS variant_angle TEXT;
+        `
+    },
+    {
+        id: 15,
+        name: 'languages and translations',
+        sql: `
+        ALTER TABLE web_skyling_generations ADD COLUMN IF NOT EXISTS language TEXT NOT NULL DEFAULT 'es';
+        ALTER TABLE web_skyling_generations ADD COLUMN IF NOT EXISTS translation_of INTEGER REFERENCES web_skyling_generations(id) ON DELETE CASCADE;
+        `
+    }
+];
+
+// Serializes migrations between instances starting at the same time
+const MIGRATIONS_LOCK_ID = 4817203;
+
+const runMigrations = async () => {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATIONS_LOCK_ID]);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS web_skyling_migrations (
+                id INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             );
         `);
 
+        const applied = await client.query('SELECT id FROM web_skyling_migrations');
+        const appliedIds = new Set(applied.rows.map(row => row.id));
+
+        for (const migration of MIGRATIONS) {
+            if (appliedIds.has(migration.id)) continue;
+            try {
+                await client.query('BEGIN');
+                await client.query(migration.sql);
+                await client.query('INSERT INTO web_skyling_migrations (id, name) VALUES ($1, $2)', [migration.id, migration.name]);
+                await client.query('COMMIT');
+                console.log(`Applied migration ${migration.id} (${migration.name})`);
+            } catch (e) {
+                await client.query('ROLLBACK');
+                throw new Error(`Migration ${migration.id} (${migration.name}) failed: ${e.message}`);
+            }
+        }
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATIONS_LOCK_ID]).catch(() => {});
+        client.release();
+    }
+};
+
+// Initialize Database Schema and Seed Data
+const initDB = async () => {
+    try {
+        await runMigrations();
+
         // Seed Config if empty
         const configCount = await pool.query('SELECT COUNT(*) FROM web_skyling_config');
         if (parseInt(configCount.rows[0].count) === 0) {
             console.log("Seeding database configuration from files...");
-            const baseDir = path.join(__dirname, 'rags');
-
-            const seedData = {
-                'structure': readFile(path.join(baseDir, 'estructura.txt')),
-                'output': readFile(path.join(baseDir, 'output.txt')),
-                'limitations': readFile(path.join(baseDir, 'limitaciones.txt')),
-                'systemPrompt': readFile(path.join(baseDir, 'systemprompt.txt')),
-                'knowledge': ''
-            };
-
-            // Knowledge logic
-            const txtPath = path.join(baseDir, 'conocimiento_unico_sections.txt');
-            if (fs.existsSync(txtPath)) {
-                seedData['knowledge'] = fs.readFileSync(txtPath, 'utf-8');
-            } else {
-                const pdfPath = path.join(baseDir, 'conocimiento_unico_sections.pdf');
-                if (fs.existsSync(pdfPath)) {
-                    try {
-                        const dataBuffer = fs.readFileSync(pdfPath);
-                        const data = await pdf(dataBuffer);
-                        seedData['knowledge'] = data.text;
-                    } catch (e) {
-                        console.error("PDF Seed Error:", e);
-                    }
-                }
-            }
 
-            for (const [key, value] of Object.entries(seedData)) {
+            for (const key of ['structure', 'output', 'limitations', 'systemPrompt', 'knowledge']) {
+                const value = await readSeedValue(key);
                 if (value) {
                     await pool.query('INSERT INTO web_skyling_config (key, value) VALUES ($1, $2)', [key, value]);
                 }
@@ -170,6 +766,33 @@ const initDB = async () => {
             console.log("Seeding complete.");
         }
 
+        // The user message layout became a config key after the first release
+        await pool.query(
+            "INSERT INTO web_skyling_config (key, value) VALUES ('userMessageTemplate', $1) ON CONFLICT (key) DO NOTHING",
+            [await readSeedValue('userMessageTemplate')]
+        );
+
+        // Move the seeded knowledge base into the library if it is empty
+        const docCount = await pool.query('SELECT COUNT(*) FROM web_skyling_knowledge_docs');
+        if (parseInt(docCount.rows[0].count) === 0) {
+            const knowledge = await pool.query("SELECT value FROM web_skyling_config WHERE key = 'knowledge'");
+            if (knowledge.rows.length > 0 && knowledge.rows[0].value) {
+                console.log("Migrating knowledge base into the document library...");
+                await pool.query(
+                    'INSERT INTO web_skyling_knowledge_docs (name, filename, content, created_by) VALUES ($1, $2, $3, $4)',
+                    ['Conocimiento único', 'conocimiento_unico_sections.txt', knowledge.rows[0].value, 'sistema']
+                );
+            }
+        }
+
+        // Keep the current value of every key as its first revision
+        await pool.query(`
+            INSERT INTO web_skyling_config_revisions (key, value, author, note)
+            SELECT c.key, c.value, 'sistema', 'Versión inicial'
+            FROM web_skyling_config c
+            WHERE NOT EXISTS (SELECT 1 FROM web_skyling_config_revisions r WHERE r.key = c.key)
+        `);
+
         // Migrate existing JSON templates if Table is empty
         const templateCount = await pool.query('SELECT COUNT(*) FROM web_skyling_templates');
         if (parseInt(templateCount.rows[0].count) === 0) {
@@ -192,35 +815,85 @@ const initDB = async () => {
             }
         }
 
+        // Keep the current version of every template as its first revision
+        await pool.query(`
+            INSERT INTO web_skyling_template_revisions (template_id, name, data, author, note)
+            SELECT t.id, t.name, t.data, 'sistema', 'Versión inicial'
+            FROM web_skyling_templates t
+            WHERE NOT EXISTS (SELECT 1 FROM web_skyling_template_revisions r WHERE r.template_id = t.id)
+        `);
+
+        // The first admin comes from the old shared login in env
+        const userCount = await pool.query('SELECT COUNT(*) FROM web_skyling_users');
+        if (parseInt(userCount.rows[0].count) === 0) {
+            if (process.env.USER_USERNAME && process.env.USER_PASSWORD) {
+                console.log(`Creating admin user "${process.env.USER_USERNAME}" from env...`);
+                await pool.query(
+                    'INSERT INTO web_skyling_users (username, password_hash, role, created_by) VALUES ($1, $2, $3, $4)',
+                    [process.env.USER_USERNAME, await hashPassword(process.env.USER_PASSWORD), 'admin', 'sistema']
+                );
+            } else {
+                console.warn("WARNING: No users yet. Set USER_USERNAME and USER_PASSWORD to create the first admin.");
+            }
+        }
+
     } catch (e) {
         console.error("Database Initialization Error - Ensure DATABASE_URL is set in .env:", e.message);
     }
 };
 
-// Run Init
-initDB();
-
 
 // --- AUTH ENDPOINTS ---
 
-app.post('/api/login', (req, res) => {
-    const { username, password } = req.body;
-
-    // Secure comparison (simple for now, assumed env vars)
-    const validUser = process.env.USER_USERNAME;
-    const validPass = process.env.USER_PASSWORD;
+app.get('/api/csrf-token', (req, res) => {
+    res.json({ token: issueCsrfToken(req) });
+});
 
-    if (!validUser || !validPass) {
-        console.error("Server Misconfiguration: Missing USER_USERNAME or USER_PASSWORD in env");
-        return res.status(500).json({ error: "Server Auth Config Error" });
+app.post('/api/login', async (req, res) => {
+    const { username, password } = req.body;
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(401).json({ error: "Invalid credentials" });
     }
 
-    if (username === validUser && password === validPass) {
-        req.session.user = { username };
-        return res.json({ success: true });
+    const ipKey = `ip:${req.ip}`;
+    const userKey = `user:${username.trim().toLowerCase()}`;
+    const locked = Math.max(
+        loginLockRemaining(ipKey, LOGIN_MAX_FAILURES_PER_IP),
+        loginLockRemaining(userKey, LOGIN_MAX_FAILURES_PER_USER)
+    );
+    if (locked > 0) {
+        const minutes = Math.ceil(locked / 60000);
+        res.set('Retry-After', String(Math.ceil(locked / 1000)));
+        return res.status(429).json({ error: `Demasiados intentos fallidos. Inténtalo de nuevo en ${minutes} min.` });
     }
 
-    return res.status(401).json({ error: "Invalid credentials" });
+    try {
+        const result = await pool.query('SELECT * FROM web_skyling_users WHERE username = $1', [username.trim()]);
+        const user = result.rows[0];
+
+        if (!user || !user.active || !(await verifyPassword(password, user.password_hash))) {
+            recordLoginFailure(ipKey);
+            recordLoginFailure(userKey);
+            console.warn(`Failed login for "${username}" from ${req.ip}`);
+            return res.status(401).json({ error: "Invalid credentials" });
+        }
+
+        loginFailures.delete(userKey);
+        await pool.query('UPDATE web_skyling_users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+
+        // A fresh session (and CSRF token) on login prevents session fixation
+        req.session.regenerate(err => {
+            if (err) {
+                console.error("Error regenerating session:", err);
+                return res.status(500).json({ error: "Login failed" });
+            }
+            req.session.user = { id: user.id, username: user.username, role: user.role };
+            res.json({ success: true, csrfToken: issueCsrfToken(req) });
+        });
+    } catch (e) {
+        console.error("Error logging in:", e);
+        res.status(500).json({ error: "Database error" });
+    }
 });
 
 app.post('/api/logout', (req, res) => {
@@ -232,91 +905,622 @@ app.post('/api/logout', (req, res) => {
 });
 
 
-// --- API ENDPOINTS ---
+// Only lets through session users with one of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+    if (req.session.user && roles.includes(req.session.user.role)) return next();
+    return res.status(403).json({ error: "No tienes permisos para esta acción." });
+};
+
+const sessionUsername = (req) => (req.session.user ? req.session.user.username : null);
+const isAdminSession = (req) => !!req.session.user && req.session.user.role === 'admin';
+
+app.get('/api/me', (req, res) => {
+    res.json(req.session.user);
+});
+
+app.put('/api/me/password', async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const invalid = validatePassword(newPassword);
+    if (invalid) return res.status(400).json({ error: invalid });
 
-// Get Defaults (from DB)
-app.get('/api/defaults', async (req, res) => {
     try {
-        const result = await pool.query('SELECT key, value FROM web_skyling_config');
-        const config = {};
-        result.rows.forEach(row => {
-            config[row.key] = row.value;
-        });
+        const result = await pool.query('SELECT password_hash FROM web_skyling_users WHERE id = $1', [req.session.user.id]);
+        if (result.rows.length === 0 || !(await verifyPassword(currentPassword || '', result.rows[0].password_hash))) {
+            return res.status(400).json({ error: "La contraseña actual no es correcta." });
+        }
 
-        // Return config, but frontend expects keys: structure, output, limitations, systemPrompt, knowledge
-        // Our keys stored match these names (see seedData).
+        await pool.query(
+            'UPDATE web_skyling_users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [await hashPassword(newPassword), req.session.user.id]
+        );
+        res.json({ success: true });
+    } catch (e) {
+        console.error("Error changing password:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
 
-        res.json(config);
+// --- USER ADMINISTRATION ---
+
+const USER_COLUMNS = 'id, username, role, active, created_by, created_at, updated_at, last_login_at';
+
+const listUsers = async () => {
+    const result = await pool.query(`SELECT ${USER_COLUMNS} FROM web_skyling_users ORDER BY username`);
+    return result.rows;
+};
+
+// True when the change would leave no active admin to manage the others
+const removesLastAdmin = async (userId, role, active) => {
+    const current = await pool.query('SELECT role, active FROM web_skyling_users WHERE id = $1', [userId]);
+    const user = current.rows[0];
+    if (!user || user.role !== 'admin' || !user.active) return false;
+    if ((role || user.role) === 'admin' && active !== false) return false;
+
+    const admins = await pool.query("SELECT COUNT(*) FROM web_skyling_users WHERE role = 'admin' AND active AND id <> $1", [userId]);
+    return parseInt(admins.rows[0].count) === 0;
+};
+
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await listUsers());
     } catch (e) {
-        console.error("Error fetching defaults:", e);
-        res.status(500).json({ error: "Database error fetching defaults" });
+        console.error("Error fetching users:", e);
+        res.status(500).json({ error: "Database error" });
     }
 });
 
-// Update Configuration (System Prompt, etc)
-app.put('/api/config', async (req, res) => {
-    const { key, value } = req.body;
-    if (!key) return res.status(400).json({ error: "Key is required" });
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+    const username = (req.body.username || '').trim();
+    const role = req.body.role || 'editor';
+    if (!username) return res.status(400).json({ error: "El nombre de usuario es obligatorio." });
+    if (!USER_ROLES.includes(role)) return res.status(400).json({ error: "Rol no válido." });
+    const invalid = validatePassword(req.body.password);
+    if (invalid) return res.status(400).json({ error: invalid });
 
     try {
-        await pool.query(
-            'INSERT INTO web_skyling_config (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2',
-            [key, value]
+        const result = await pool.query(
+            `INSERT INTO web_skyling_users (username, password_hash, role, created_by)
+             VALUES ($1, $2, $3, $4)
+             RETURNING ${USER_COLUMNS}`,
+            [username, await hashPassword(req.body.password), role, sessionUsername(req)]
         );
-        res.json({ success: true, key, value });
+        res.json({ success: true, user: result.rows[0], users: await listUsers() });
     } catch (e) {
-        console.error("Error updating config:", e);
-        res.status(500).json({ error: "Database error updating config" });
+        if (e.code === '23505') return res.status(400).json({ error: "Ya existe un usuario con ese nombre." });
+        console.error("Error creating user:", e);
+        res.status(500).json({ error: "Database error" });
     }
 });
 
-// Templates CRUD
+// Change role and/or enable/disable an account: { role, active }
+app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
+    const { role, active } = req.body;
+    if (role !== undefined && !USER_ROLES.includes(role)) return res.status(400).json({ error: "Rol no válido." });
+    if (active !== undefined && typeof active !== 'boolean') return res.status(400).json({ error: "\"active\" debe ser booleano." });
 
-app.get('/api/templates', async (req, res) => {
     try {
-        const result = await pool.query('SELECT * FROM web_skyling_templates ORDER BY created_at DESC');
-        res.json(result.rows);
+        if (await removesLastAdmin(req.params.id, role, active)) {
+            return res.status(400).json({ error: "Debe quedar al menos un administrador activo." });
+        }
+
+        const result = await pool.query(
+            `UPDATE web_skyling_users
+             SET role = COALESCE($1, role), active = COALESCE($2, active), updated_at = CURRENT_TIMESTAMP
+             WHERE id = $3
+             RETURNING ${USER_COLUMNS}`,
+            [role || null, active === undefined ? null : active, req.params.id]
+        );
+        if (result.rows.length === 0) return res.status(404).json({ error: "User not found" });
+
+        res.json({ success: true, user: result.rows[0], users: await listUsers() });
     } catch (e) {
-        console.error("Error fetching templates:", e);
+        console.error("Error updating user:", e);
         res.status(500).json({ error: "Database error" });
     }
 });
 
-app.post('/api/templates', async (req, res) => {
-    const { name, data } = req.body;
-    if (!name) return res.status(400).json({ error: "Name is required" });
+// Sets a new password. Without one, a temporary password is generated and returned once.
+app.post('/api/users/:id/reset-password', requireRole('admin'), async (req, res) => {
+    const requested = (req.body || {}).password;
+    const password = requested || crypto.randomBytes(9).toString('base64url');
+    const invalid = validatePassword(password);
+    if (invalid) return res.status(400).json({ error: invalid });
 
     try {
-        // Upsert by name
-        await pool.query(
-            'INSERT INTO web_skyling_templates (name, data) VALUES ($1, $2) ON CONFLICT (name) DO UPDATE SET data = $2',
-            [name, data]
+        const result = await pool.query(
+            'UPDATE web_skyling_users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING username',
+            [await hashPassword(password), req.params.id]
         );
+        if (result.rows.length === 0) return res.status(404).json({ error: "User not found" });
 
-        const all = await pool.query('SELECT * FROM web_skyling_templates ORDER BY created_at DESC');
-        res.json({ success: true, templates: all.rows });
-
+        res.json({ success: true, username: result.rows[0].username, password: requested ? undefined : password });
     } catch (e) {
-        console.error("Error saving template:", e);
+        console.error("Error resetting password:", e);
         res.status(500).json({ error: "Database error" });
     }
 });
 
-app.put('/api/templates/:oldName', async (req, res) => {
-    const oldName = req.params.oldName;
-    const { newName, data } = req.body;
+// --- API ENDPOINTS ---
 
+// Get Defaults (from DB)
+app.get('/api/defaults', async (req, res) => {
     try {
-        const client = await pool.connect();
-        try {
-            await client.query('BEGIN');
+        const result = await pool.query('SELECT key, value FROM web_skyling_config');
+        const config = {};
+        result.rows.forEach(row => {
+            config[row.key] = row.value;
+        });
 
-            // Check existence
-            const check = await client.query('SELECT * FROM web_skyling_templates WHERE name = $1', [oldName]);
+        // Return config, but frontend expects keys: structure, output, limitations, systemPrompt, knowledge
+        // Our keys stored match these names (see seedData).
+
+        res.json(config);
+    } catch (e) {
+        console.error("Error fetching defaults:", e);
+        res.status(500).json({ error: "Database error fetching defaults" });
+    }
+});
+
+// Config keys holding JSON settings instead of prompt text
+const JSON_CONFIG_KEYS = ['pricing', 'budgets'];
+
+const isJsonObject = (value) => {
+    try {
+        const parsed = JSON.parse(value);
+        return !!parsed && typeof parsed === 'object' && !Array.isArray(parsed);
+    } catch (e) {
+        return false;
+    }
+};
+
+// Template override of a global text: { mode: 'replace' | 'append', text }. Empty overrides are ignored.
+const OVERRIDE_MODES = ['replace', 'append'];
+const OVERRIDE_SOURCES = { replace: 'template', append: 'global+template' };
+
+const normalizeOverride = (override) => {
+    if (!override || !OVERRIDE_MODES.includes(override.mode)) return null;
+    const text = typeof override.text === 'string' ? override.text.trim() : '';
+    return text ? { mode: override.mode, text } : null;
+};
+
+const overrideSource = (override) => (override ? OVERRIDE_SOURCES[override.mode] : 'global');
+
+// Overrides of the saved template. Unsaved changes in the editor don't count, so the preview and the run agree.
+const getTemplateOverrides = async (templateName) => {
+    if (!templateName) return { systemPrompt: null, knowledge: null };
+    const result = await pool.query('SELECT data FROM web_skyling_templates WHERE name = $1', [templateName]);
+    const overrides = (result.rows.length && result.rows[0].data && result.rows[0].data.overrides) || {};
+    return { systemPrompt: normalizeOverride(overrides.systemPrompt), knowledge: normalizeOverride(overrides.knowledge) };
+};
+
+// Generation endpoints build the system prompt from the stored config and the saved template, never from the
+// request body: changing the global one is reserved to admins through PUT /api/config.
+const resolveSystemPrompt = async (templateName) => {
+    const [config, overrides] = await Promise.all([
+        pool.query("SELECT value FROM web_skyling_config WHERE key = 'systemPrompt'"),
+        getTemplateOverrides(templateName)
+    ]);
+    const base = config.rows.length ? config.rows[0].value || '' : '';
+    const override = overrides.systemPrompt;
+    const text = !override ? base
+        : override.mode === 'replace' ? override.text : [base, override.text].filter(Boolean).join('\n\n');
+    return { text, source: overrideSource(override) };
+};
+
+const getSystemPrompt = async (templateName) => (await resolveSystemPrompt(templateName)).text;
+
+// A system prompt override replaces or extends the admin-only global prompt, so only admins may change it.
+// Compares what takes effect, so an editor can still save a template whose override they left untouched.
+const changesSystemPromptOverride = (storedData, data) => {
+    const effective = (templateData) => normalizeOverride(templateData && templateData.overrides && templateData.overrides.systemPrompt);
+    return JSON.stringify(effective(storedData)) !== JSON.stringify(effective(data));
+};
+
+const SYSTEM_PROMPT_OVERRIDE_FORBIDDEN = "Solo un administrador puede cambiar el System Prompt de una plantilla.";
+
+const getJsonConfig = async (key, fallback) => {
+    const result = await pool.query('SELECT value FROM web_skyling_config WHERE key = $1', [key]);
+    if (result.rows.length === 0 || !isJsonObject(result.rows[0].value)) return fallback;
+    return JSON.parse(result.rows[0].value);
+};
+
+// Writes a config value inside an open transaction and records it as a new revision.
+// Unchanged values don't create revisions.
+const writeConfigValue = async (client, key, value, author, note) => {
+    const current = await client.query('SELECT value FROM web_skyling_config WHERE key = $1 FOR UPDATE', [key]);
+    if (current.rows.length > 0 && current.rows[0].value === value) return null;
+
+    await client.query(
+        'INSERT INTO web_skyling_config (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2',
+        [key, value]
+    );
+    const revision = await client.query(
+        `INSERT INTO web_skyling_config_revisions (key, value, author, note)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, key, author, note, created_at`,
+        [key, value, author || null, note || null]
+    );
+    return revision.rows[0];
+};
+
+const saveConfigValue = async (key, value, author, note) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const revision = await writeConfigValue(client, key, value, author, note);
+        await client.query('COMMIT');
+        return revision;
+    } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+    } finally {
+        client.release();
+    }
+};
+
+// Update Configuration (System Prompt, etc)
+app.put('/api/config', requireRole('admin'), async (req, res) => {
+    const { key, value, note } = req.body;
+    if (!key) return res.status(400).json({ error: "Key is required" });
+    if (JSON_CONFIG_KEYS.includes(key) && !isJsonObject(value)) {
+        return res.status(400).json({ error: `"${key}" debe ser un objeto JSON válido` });
+    }
+
+    try {
+        const author = sessionUsername(req);
+        const revision = await saveConfigValue(key, value, author, note);
+        res.json({ success: true, key, value, revision });
+    } catch (e) {
+        console.error("Error updating config:", e);
+        res.status(500).json({ error: "Database error updating config" });
+    }
+});
+
+// --- CONFIG REVISIONS ---
+
+// Line diff based on the longest common subsequence. Returns one entry per line with its status.
+const DIFF_MAX_CELLS = 4000000;
+
+const diffLines = (oldText, newText) => {
+    const a = (oldText || '').split(/\r?\n/);
+    const b = (newText || '').split(/\r?\n/);
+
+    // Common prefix and suffix don't need the LCS table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const result = [];
+    for (let i = 0; i < start; i++) {
+        result.push({ type: 'same', text: a[i], oldLine: i + 1, newLine: i + 1 });
+    }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const n = midA.length;
+    const m = midB.length;
+
+    if (n * m > DIFF_MAX_CELLS) {
+        // Too big to align line by line: show it as a full replacement
+        midA.forEach((text, i) => result.push({ type: 'removed', text, oldLine: start + i + 1, newLine: null }));
+        midB.forEach((text, j) => result.push({ type: 'added', text, oldLine: null, newLine: start + j + 1 }));
+    } else {
+        const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i][j] = midA[i] === midB[j]
+                    ? table[i + 1][j + 1] + 1
+                    : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && midA[i] === midB[j]) {
+                result.push({ type: 'same', text: midA[i], oldLine: start + i + 1, newLine: start + j + 1 });
+                i++;
+                j++;
+            } else if (i < n && (j === m || table[i + 1][j] >= table[i][j + 1])) {
+                result.push({ type: 'removed', text: midA[i], oldLine: start + i + 1, newLine: null });
+                i++;
+            } else {
+                result.push({ type: 'added', text: midB[j], oldLine: null, newLine: start + j + 1 });
+                j++;
+            }
+        }
+    }
+
+    for (let k = 0; k < a.length - endA; k++) {
+        result.push({ type: 'same', text: a[endA + k], oldLine: endA + k + 1, newLine: endB + k + 1 });
+    }
+
+    return {
+        lines: result,
+        stats: {
+            added: result.filter(line => line.type === 'added').length,
+            removed: result.filter(line => line.type === 'removed').length
+        }
+    };
+};
+
+const getConfigRevision = async (key, id) => {
+    const result = await pool.query(
+        'SELECT * FROM web_skyling_config_revisions WHERE key = $1 AND id = $2',
+        [key, parseInt(id, 10) || 0]
+    );
+    return result.rows[0] || null;
+};
+
+app.get('/api/config/:key/revisions', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT id, key, author, note, created_at, LENGTH(value) AS length
+             FROM web_skyling_config_revisions
+             WHERE key = $1
+             ORDER BY id DESC`,
+            [req.params.key]
+        );
+        res.json(result.rows);
+    } catch (e) {
+        console.error("Error fetching config revisions:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+app.get('/api/config/:key/revisions/:id', async (req, res) => {
+    try {
+        const revision = await getConfigRevision(req.params.key, req.params.id);
+        if (!revision) return res.status(404).json({ error: "Revision not found" });
+        res.json(revision);
+    } catch (e) {
+        console.error("Error fetching config revision:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Diff two revisions: ?from=<id>&to=<id>. "to" defaults to the latest revision.
+app.get('/api/config/:key/diff', async (req, res) => {
+    const { key } = req.params;
+
+    try {
+        const from = await getConfigRevision(key, req.query.from);
+        let to;
+        if (req.query.to) {
+            to = await getConfigRevision(key, req.query.to);
+        } else {
+            const latest = await pool.query(
+                'SELECT * FROM web_skyling_config_revisions WHERE key = $1 ORDER BY id DESC LIMIT 1',
+                [key]
+            );
+            to = latest.rows[0] || null;
+        }
+
+        if (!from || !to) return res.status(404).json({ error: "Revision not found" });
+
+        const strip = ({ value, ...meta }) => meta;
+        res.json({ from: strip(from), to: strip(to), ...diffLines(from.value, to.value) });
+    } catch (e) {
+        console.error("Error diffing config revisions:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+app.post('/api/config/:key/revisions/:id/restore', requireRole('admin'), async (req, res) => {
+    const { key, id } = req.params;
+
+    try {
+        const revision = await getConfigRevision(key, id);
+        if (!revision) return res.status(404).json({ error: "Revision not found" });
+
+        const author = sessionUsername(req);
+        const note = req.body.note || `Restaurada la revisión #${revision.id}`;
+        const created = await saveConfigValue(key, revision.value, author, note);
+        res.json({ success: true, key, value: revision.value, revision: created });
+    } catch (e) {
+        console.error("Error restoring config revision:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// --- FACTORY DEFAULTS ---
+
+// Compares each seeded config key with its factory default. Lengths only: diffs are fetched per key.
+app.get('/api/config/seed', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT key, value FROM web_skyling_config WHERE key = ANY($1)', [Object.keys(SEED_SOURCES)]);
+        const current = new Map(result.rows.map(row => [row.key, row.value]));
+
+        const keys = await Promise.all(Object.keys(SEED_SOURCES).map(async key => {
+            const seed = await readSeedValue(key);
+            const value = current.get(key);
+            let status = 'changed';
+            if (!seed) status = 'no-source';
+            else if (value === undefined) status = 'missing';
+            else if (value === seed) status = 'same';
+
+            return {
+                key,
+                source: seedSourceLabel(key),
+                status,
+                currentLength: value === undefined ? null : (value || '').length,
+                seedLength: seed.length
+            };
+        }));
+        res.json({ keys });
+    } catch (e) {
+        console.error("Error comparing seed data:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+app.get('/api/config/seed/:key/diff', requireRole('admin'), async (req, res) => {
+    const { key } = req.params;
+    if (!SEED_SOURCES[key]) return res.status(404).json({ error: "Esta clave no tiene valor de fábrica." });
+
+    try {
+        const result = await pool.query('SELECT value FROM web_skyling_config WHERE key = $1', [key]);
+        const value = result.rows.length > 0 ? result.rows[0].value : '';
+        res.json({ key, source: seedSourceLabel(key), ...diffLines(value, await readSeedValue(key)) });
+    } catch (e) {
+        console.error("Error diffing seed data:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Re-seeds the chosen keys from their factory defaults. Each change is a normal revision, so it can be rolled back.
+app.post('/api/config/seed', requireRole('admin'), async (req, res) => {
+    const { keys, note } = req.body || {};
+    if (!Array.isArray(keys) || keys.length === 0) return res.status(400).json({ error: "Selecciona al menos una clave." });
+    const unknown = keys.filter(key => !SEED_SOURCES[key]);
+    if (unknown.length > 0) return res.status(400).json({ error: `Claves sin valor de fábrica: ${unknown.join(', ')}` });
+
+    try {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const author = sessionUsername(req);
+            const revisions = [];
+            const skipped = [];
+
+            for (const key of keys) {
+                const seed = await readSeedValue(key);
+                if (!seed) {
+                    skipped.push(key);
+                    continue;
+                }
+                const revision = await writeConfigValue(client, key, seed, author, note || `Restablecida desde ${seedSourceLabel(key)}`);
+                if (revision) revisions.push(revision);
+
+                // The library document migrated from the knowledge key follows it
+                if (key === 'knowledge') {
+                    await client.query(
+                        'UPDATE web_skyling_knowledge_docs SET content = $1, updated_at = NOW() WHERE filename = $2',
+                        [seed, SEED_SOURCES.knowledge.file]
+                    );
+                }
+            }
+
+            await client.query('COMMIT');
+            res.json({ success: true, revisions, skipped });
+        } catch (e) {
+            await client.query('ROLLBACK');
+            throw e;
+        } finally {
+            client.release();
+        }
+    } catch (e) {
+        console.error("Error reseeding config:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+app.get('/api/migrations', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query('SELECT id, applied_at FROM web_skyling_migrations');
+        const applied = new Map(result.rows.map(row => [row.id, row.applied_at]));
+        res.json(MIGRATIONS.map(({ id, name }) => ({ id, name, appliedAt: applied.get(id) || null })));
+    } catch (e) {
+        console.error("Error fetching migrations:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Templates CRUD
+
+// Appends a revision for the saved template row unless it matches the latest revision
+const recordTemplateRevision = async (client, template, author, note) => {
+    const latest = await client.query(
+        'SELECT name, data FROM web_skyling_template_revisions WHERE template_id = $1 ORDER BY id DESC LIMIT 1',
+        [template.id]
+    );
+    const previous = latest.rows[0];
+    if (previous && previous.name === template.name && JSON.stringify(previous.data) === JSON.stringify(template.data)) {
+        return null;
+    }
+
+    const revision = await client.query(
+        `INSERT INTO web_skyling_template_revisions (template_id, name, data, author, note)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, name, author, note, created_at`,
+        [template.id, template.name, template.data, author || null, note || null]
+    );
+    return revision.rows[0];
+};
+
+app.get('/api/templates', async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM web_skyling_templates ORDER BY created_at DESC');
+        res.json(result.rows);
+    } catch (e) {
+        console.error("Error fetching templates:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+app.post('/api/templates', async (req, res) => {
+    const { name, data } = req.body;
+    if (!name) return res.status(400).json({ error: "Name is required" });
+
+    try {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const stored = await client.query('SELECT data FROM web_skyling_templates WHERE name = $1 FOR UPDATE', [name]);
+            if (!isAdminSession(req) && changesSystemPromptOverride(stored.rows.length ? stored.rows[0].data : null, data)) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ error: SYSTEM_PROMPT_OVERRIDE_FORBIDDEN });
+            }
+
+            // Upsert by name
+            const saved = await client.query(
+                'INSERT INTO web_skyling_templates (name, data) VALUES ($1, $2) ON CONFLICT (name) DO UPDATE SET data = $2 RETURNING *',
+                [name, data]
+            );
+            await recordTemplateRevision(client, saved.rows[0], sessionUsername(req), req.body.note);
+
+            await client.query('COMMIT');
+
+            const all = await client.query('SELECT * FROM web_skyling_templates ORDER BY created_at DESC');
+            res.json({ success: true, templates: all.rows });
+
+        } catch (e) {
+            await client.query('ROLLBACK');
+            throw e;
+        } finally {
+            client.release();
+        }
+    } catch (e) {
+        console.error("Error saving template:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+app.put('/api/templates/:oldName', async (req, res) => {
+    const oldName = req.params.oldName;
+    const { newName, data } = req.body;
+
+    try {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            // Check existence
+            const check = await client.query('SELECT * FROM web_skyling_templates WHERE name = $1', [oldName]);
             if (check.rows.length === 0) {
                 await client.query('ROLLBACK');
                 return res.status(404).json({ error: "Template not found" });
             }
+            if (!isAdminSession(req) && changesSystemPromptOverride(check.rows[0].data, data)) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ error: SYSTEM_PROMPT_OVERRIDE_FORBIDDEN });
+            }
 
             // If renaming, check content collision
             if (newName && newName !== oldName) {
@@ -329,10 +1533,12 @@ app.put('/api/templates/:oldName', async (req, res) => {
 
             // Update
             const finalName = newName || oldName;
-            await client.query(
-                'UPDATE web_skyling_templates SET name = $1, data = $2 WHERE name = $3',
+            const updated = await client.query(
+                'UPDATE web_skyling_templates SET name = $1, data = $2 WHERE name = $3 RETURNING *',
                 [finalName, data, oldName]
             );
+            const note = finalName !== oldName ? `Renombrada desde "${oldName}"` : null;
+            await recordTemplateRevision(client, updated.rows[0], sessionUsername(req), note);
 
             await client.query('COMMIT');
 
@@ -351,7 +1557,7 @@ app.put('/api/templates/:oldName', async (req, res) => {
     }
 });
 
-app.delete('/api/templates/:name', async (req, res) => {
+app.delete('/api/templates/:name', requireRole('admin'), async (req, res) => {
     const name = req.params.name;
     try {
         await pool.query('DELETE FROM web_skyling_templates WHERE name = $1', [name]);
@@ -363,81 +1569,3392 @@ app.delete('/api/templates/:name', async (req, res) => {
     }
 });
 
+// --- TEMPLATE REVISIONS ---
 
-// Generate API
-app.post('/api/generate', async (req, res) => {
-    try {
-        console.log("Received generation request (Streaming Mode - OpenRouter).");
-        const { systemPrompt, userMessage, apiKey } = req.body;
-
-        // Use provided key or env key
-        let keyToUse = apiKey || process.env.ANTHROPIC_OPENROUTER_API_KEY;
-
-        if (!keyToUse) {
-            console.error("CRITICAL: No API Key found.");
-            return res.status(400).json({ error: 'Missing API Key' });
-        }
+const findTemplate = async (name) => {
+    const result = await pool.query('SELECT * FROM web_skyling_templates WHERE name = $1', [name]);
+    return result.rows[0] || null;
+};
 
-        keyToUse = keyToUse.trim();
-        const visible = keyToUse.substring(0, 10) + "..." + keyToUse.substring(keyToUse.length - 4);
-        console.log(`Using API Key: ${visible}`);
+const getTemplateRevision = async (templateId, id) => {
+    const result = await pool.query(
+        'SELECT * FROM web_skyling_template_revisions WHERE template_id = $1 AND id = $2',
+        [templateId, parseInt(id, 10) || 0]
+    );
+    return result.rows[0] || null;
+};
 
-        const openai = new OpenAI({
-            baseURL: "https://openrouter.ai/api/v1",
-            apiKey: keyToUse,
-        });
+// Template fields in the order they appear in the editor
+const TEMPLATE_FIELD_ORDER = ['structure', 'output', 'limitations'];
 
-        console.log("Calling OpenRouter API Stream...");
-
-        // Prepare headers for streaming text
-        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-        res.setHeader('Transfer-Encoding', 'chunked');
-
-        const stream = await openai.chat.completions.create({
-            model: "anthropic/claude-sonnet-4.5",
-            messages: [
-                { role: "system", content: systemPrompt },
-                { role: "user", content: userMessage }
-            ],
-            temperature: 0.3,
-            max_tokens: 64000,
-            stream: true,
-        }, {
-            headers: {
-                "HTTP-Referer": "http://localhost:3000",
-                "X-Title": "Web Skyling"
-            }
-        });
+// Non-text values (e.g. nested settings) are compared as pretty-printed JSON
+const templateFieldText = (value) => {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+};
 
-        console.log("Stream started.");
+app.get('/api/templates/:name/revisions', async (req, res) => {
+    try {
+        const template = await findTemplate(req.params.name);
+        if (!template) return res.status(404).json({ error: "Template not found" });
 
-        for await (const chunk of stream) {
-            const content = chunk.choices[0]?.delta?.content || "";
-            if (content) {
-                res.write(content);
-            }
-        }
+        const result = await pool.query(
+            `SELECT id, name, author, note, created_at
+             FROM web_skyling_template_revisions
+             WHERE template_id = $1
+             ORDER BY id DESC`,
+            [template.id]
+        );
+        res.json(result.rows);
+    } catch (e) {
+        console.error("Error fetching template revisions:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
 
-        console.log("Stream finished.");
-        res.end();
+app.get('/api/templates/:name/revisions/:id', async (req, res) => {
+    try {
+        const template = await findTemplate(req.params.name);
+        if (!template) return res.status(404).json({ error: "Template not found" });
 
+        const revision = await getTemplateRevision(template.id, req.params.id);
+        if (!revision) return res.status(404).json({ error: "Revision not found" });
+        res.json(revision);
     } catch (e) {
-        console.error("Generation Error:", e);
-        if (e.status === 401) {
-            console.error("Authentication Error: Double check your API Key.");
-        }
-        // If headers weren't sent yet, send JSON error.
-        if (!res.headersSent) {
-            res.status(500).json({ error: e.message });
-        } else {
-            res.end(); // Terminate stream silently if broken halfway
-        }
+        console.error("Error fetching template revision:", e);
+        res.status(500).json({ error: "Database error" });
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`Server running at http://localhost:${PORT}`);
-    if (!process.env.USER_USERNAME || !process.env.USER_PASSWORD) {
-        console.warn("WARNING: LOGIN CREDENTIALS NOT SET IN .ENV (USER_USERNAME, USER_PASSWORD)");
+// Field by field diff of two revisions: ?from=<id>&to=<id>. "to" defaults to the current template.
+app.get('/api/templates/:name/diff', async (req, res) => {
+    try {
+        const template = await findTemplate(req.params.name);
+        if (!template) return res.status(404).json({ error: "Template not found" });
+
+        const from = await getTemplateRevision(template.id, req.query.from);
+        const to = req.query.to
+            ? await getTemplateRevision(template.id, req.query.to)
+            : { id: null, name: template.name, data: template.data };
+        if (!from || !to) return res.status(404).json({ error: "Revision not found" });
+
+        const keys = [...new Set([...TEMPLATE_FIELD_ORDER, ...Object.keys(from.data || {}), ...Object.keys(to.data || {})])]
+            .filter(key => (from.data || {})[key] !== undefined || (to.data || {})[key] !== undefined);
+        const fields = keys.map(field => ({
+            field,
+            ...diffLines(templateFieldText((from.data || {})[field]), templateFieldText((to.data || {})[field]))
+        }));
+
+        const strip = ({ data, ...meta }) => meta;
+        res.json({ from: strip(from), to: strip(to), fields });
+    } catch (e) {
+        console.error("Error diffing template revisions:", e);
+        res.status(500).json({ error: "Database error" });
     }
 });
+
+// Restores an older revision as the current version (recorded as a new revision)
+app.post('/api/templates/:name/revisions/:id/restore', async (req, res) => {
+    try {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const found = await client.query('SELECT * FROM web_skyling_templates WHERE name = $1 FOR UPDATE', [req.params.name]);
+            const template = found.rows[0];
+            if (!template) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: "Template not found" });
+            }
+
+            const revision = await client.query(
+                'SELECT * FROM web_skyling_template_revisions WHERE template_id = $1 AND id = $2',
+                [template.id, parseInt(req.params.id, 10) || 0]
+            );
+            if (revision.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: "Revision not found" });
+            }
+
+            const updated = await client.query(
+                'UPDATE web_skyling_templates SET data = $1 WHERE id = $2 RETURNING *',
+                [revision.rows[0].data, template.id]
+            );
+            const note = req.body.note || `Restaurada la revisión #${revision.rows[0].id}`;
+            await recordTemplateRevision(client, updated.rows[0], sessionUsername(req), note);
+
+            await client.query('COMMIT');
+
+            const all = await client.query('SELECT * FROM web_skyling_templates ORDER BY created_at DESC');
+            res.json({ success: true, template: updated.rows[0], templates: all.rows });
+        } catch (e) {
+            await client.query('ROLLBACK');
+            throw e;
+        } finally {
+            client.release();
+        }
+    } catch (e) {
+        console.error("Error restoring template revision:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+
+// --- BUNDLES ---
+
+// Portable JSON export of templates and config keys, to move a setup between instances
+const BUNDLE_FORMAT = 'skyling-bundle';
+const BUNDLE_VERSION = 1;
+const BUNDLE_ACTIONS = ['skip', 'overwrite', 'rename'];
+
+app.post('/api/bundles/export', async (req, res) => {
+    const { templates = [], configKeys = [] } = req.body || {};
+    if (!Array.isArray(templates) || !Array.isArray(configKeys)) {
+        return res.status(400).json({ error: "templates y configKeys deben ser listas." });
+    }
+    if (templates.length === 0 && configKeys.length === 0) {
+        return res.status(400).json({ error: "Selecciona al menos una plantilla o clave de configuración." });
+    }
+
+    try {
+        const [templateRows, configRows, docRows] = await Promise.all([
+            pool.query('SELECT name, data FROM web_skyling_templates WHERE name = ANY($1) ORDER BY name', [templates]),
+            pool.query('SELECT key, value FROM web_skyling_config WHERE key = ANY($1) ORDER BY key', [configKeys]),
+            pool.query('SELECT id, name FROM web_skyling_knowledge_docs')
+        ]);
+        const docNames = new Map(docRows.rows.map(doc => [doc.id, doc.name]));
+
+        const bundle = {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            exportedAt: new Date().toISOString(),
+            exportedBy: sessionUsername(req),
+            // Document ids differ between instances, so selections travel by name
+            templates: templateRows.rows.map(t => {
+                const item = { name: t.name, data: t.data };
+                if (t.data && Array.isArray(t.data.knowledgeDocs)) {
+                    item.knowledgeDocNames = t.data.knowledgeDocs.map(id => docNames.get(id)).filter(Boolean);
+                }
+                return item;
+            }),
+            config: configRows.rows.map(row => ({ key: row.key, value: row.value }))
+        };
+
+        const stamp = bundle.exportedAt.slice(0, 10);
+        res.attachment(`skyling_bundle_${stamp}.json`);
+        res.type('application/json');
+        res.send(JSON.stringify(bundle, null, 2));
+    } catch (e) {
+        console.error("Error exporting bundle:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Returns an error message when the bundle can't be imported at all
+const checkBundle = (bundle) => {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) return "El archivo no es un bundle válido.";
+    if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+        return `Versión de bundle no soportada (${bundle.version}). Esta instancia lee hasta la versión ${BUNDLE_VERSION}.`;
+    }
+    if (!Array.isArray(bundle.templates || []) || !Array.isArray(bundle.config || [])) return "El bundle está mal formado.";
+    return null;
+};
+
+const uniqueName = (base, taken) => {
+    let name = `${base} (importada)`;
+    for (let i = 2; taken.has(name); i++) name = `${base} (importada ${i})`;
+    return name;
+};
+
+// Works out what importing each bundle item would do. Conflicts are skipped unless a resolution says otherwise.
+// resolutions: { templates: { [name]: { action, newName } }, config: { [key]: { action } } }
+const planBundleImport = async (client, bundle, resolutions = {}) => {
+    const [templateRows, configRows, docRows] = await Promise.all([
+        client.query('SELECT name, data FROM web_skyling_templates'),
+        client.query('SELECT key, value FROM web_skyling_config'),
+        client.query('SELECT id, name FROM web_skyling_knowledge_docs')
+    ]);
+    const existingTemplates = new Map(templateRows.rows.map(t => [t.name, t.data]));
+    const existingConfig = new Map(configRows.rows.map(row => [row.key, row.value]));
+    const docIds = new Map(docRows.rows.map(doc => [doc.name, doc.id]));
+    const taken = new Set(existingTemplates.keys());
+    const templateResolutions = resolutions.templates || {};
+    const configResolutions = resolutions.config || {};
+
+    const templates = (bundle.templates || []).map(item => {
+        const name = typeof item.name === 'string' ? item.name.trim() : '';
+        const plan = { name, warnings: [] };
+        if (!name || !item.data || typeof item.data !== 'object') {
+            return { ...plan, status: 'invalid', action: 'skip', warnings: ["Plantilla sin nombre o sin datos"] };
+        }
+
+        const data = { ...item.data };
+        if (Array.isArray(item.knowledgeDocNames)) {
+            const missing = item.knowledgeDocNames.filter(docName => !docIds.has(docName));
+            data.knowledgeDocs = item.knowledgeDocNames.filter(docName => docIds.has(docName)).map(docName => docIds.get(docName));
+            if (missing.length > 0) plan.warnings.push(`Documentos de conocimiento no encontrados: ${missing.join(', ')}`);
+        }
+        plan.data = data;
+
+        if (!existingTemplates.has(name)) {
+            taken.add(name);
+            return { ...plan, status: 'new', action: 'create', targetName: name };
+        }
+
+        const status = JSON.stringify(existingTemplates.get(name)) === JSON.stringify(data) ? 'unchanged' : 'conflict';
+        const resolution = templateResolutions[name] || {};
+        const action = BUNDLE_ACTIONS.includes(resolution.action) ? resolution.action : 'skip';
+        plan.suggestedName = uniqueName(name, taken);
+
+        if (action === 'rename') {
+            const newName = typeof resolution.newName === 'string' && resolution.newName.trim()
+                ? resolution.newName.trim()
+                : plan.suggestedName;
+            if (taken.has(newName)) {
+                return { ...plan, status, action: 'skip', warnings: [...plan.warnings, `Ya existe una plantilla llamada "${newName}"`] };
+            }
+            taken.add(newName);
+            return { ...plan, status, action, targetName: newName };
+        }
+        return { ...plan, status, action, targetName: name };
+    });
+
+    // Created and renamed templates start without an override, overwritten ones from the stored data
+    templates.forEach(item => {
+        if (item.action === 'skip') return;
+        item.changesSystemPrompt = changesSystemPromptOverride(item.action === 'overwrite' ? existingTemplates.get(item.targetName) : null, item.data);
+        if (item.changesSystemPrompt) item.warnings.push("Cambia el System Prompt (solo administradores)");
+    });
+
+    const config = (bundle.config || []).map(item => {
+        const key = typeof item.key === 'string' ? item.key.trim() : '';
+        if (!key || typeof item.value !== 'string') {
+            return { key, status: 'invalid', action: 'skip', warnings: ["Clave sin nombre o valor no textual"] };
+        }
+        if (JSON_CONFIG_KEYS.includes(key) && !isJsonObject(item.value)) {
+            return { key, status: 'invalid', action: 'skip', warnings: [`"${key}" debe ser un objeto JSON válido`] };
+        }
+        if (!existingConfig.has(key)) return { key, value: item.value, status: 'new', action: 'create', warnings: [] };
+
+        const status = existingConfig.get(key) === item.value ? 'unchanged' : 'conflict';
+        const resolution = configResolutions[key] || {};
+        // Config keys can't be renamed
+        const action = resolution.action === 'overwrite' ? 'overwrite' : 'skip';
+        return { key, value: item.value, status, action, warnings: [] };
+    });
+
+    return { templates, config };
+};
+
+// Preview (dryRun) or apply a bundle. Writing config keys needs the same admin role as PUT /api/config.
+app.post('/api/bundles/import', async (req, res) => {
+    const { bundle, resolutions, dryRun } = req.body || {};
+    const invalid = checkBundle(bundle);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    try {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const plan = await planBundleImport(client, bundle, resolutions);
+            const summary = {
+                version: bundle.version,
+                exportedAt: bundle.exportedAt || null,
+                exportedBy: bundle.exportedBy || null,
+                // Values stay out of the preview, it only lists what would happen
+                items: {
+                    templates: plan.templates.map(({ data, ...item }) => item),
+                    config: plan.config.map(({ value, ...item }) => item)
+                }
+            };
+
+            const writesConfig = plan.config.some(item => item.action !== 'skip');
+            const isAdmin = isAdminSession(req);
+            if (dryRun) {
+                await client.query('ROLLBACK');
+                return res.json({ dryRun: true, canImportConfig: isAdmin, ...summary });
+            }
+            if (writesConfig && !isAdmin) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ error: "Solo un administrador puede importar claves de configuración." });
+            }
+            if (plan.templates.some(item => item.changesSystemPrompt) && !isAdmin) {
+                await client.query('ROLLBACK');
+                return res.status(403).json({ error: SYSTEM_PROMPT_OVERRIDE_FORBIDDEN });
+            }
+
+            const author = sessionUsername(req);
+            const note = `Importada desde bundle${bundle.exportedAt ? ` (${bundle.exportedAt.slice(0, 10)})` : ''}`;
+
+            for (const item of plan.templates) {
+                if (item.action === 'skip') continue;
+                const saved = item.action === 'overwrite'
+                    ? await client.query('UPDATE web_skyling_templates SET data = $1 WHERE name = $2 RETURNING *', [item.data, item.targetName])
+                    : await client.query('INSERT INTO web_skyling_templates (name, data) VALUES ($1, $2) RETURNING *', [item.targetName, item.data]);
+                await recordTemplateRevision(client, saved.rows[0], author, note);
+            }
+            for (const item of plan.config) {
+                if (item.action === 'skip') continue;
+                await writeConfigValue(client, item.key, item.value, author, note);
+            }
+
+            await client.query('COMMIT');
+
+            const all = await pool.query('SELECT * FROM web_skyling_templates ORDER BY created_at DESC');
+            res.json({ dryRun: false, ...summary, templates: all.rows });
+        } catch (e) {
+            await client.query('ROLLBACK');
+            throw e;
+        } finally {
+            client.release();
+        }
+    } catch (e) {
+        console.error("Error importing bundle:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// --- LLM PROVIDERS ---
+
+const LLM_MAX_TOKENS = 64000;
+const OPENROUTER_HEADERS = {
+    "HTTP-Referer": "http://localhost:3000",
+    "X-Title": "Web Skyling"
+};
+const ANTHROPIC_STOP_REASONS = {
+    end_turn: 'stop',
+    stop_sequence: 'stop',
+    max_tokens: 'length'
+};
+const MOCK_DELAY_MS = parseInt(process.env.MOCK_LLM_DELAY_MS, 10) || 10;
+
+const maskKey = (key) => key.substring(0, 10) + "..." + key.substring(key.length - 4);
+
+// Use provided key or env key. Returns null when no key is configured.
+const resolveApiKey = (apiKey, envName) => {
+    const keyToUse = (apiKey || process.env[envName] || '').trim();
+    if (!keyToUse) {
+        console.error(`CRITICAL: No API Key found (${envName}).`);
+        return null;
+    }
+    console.log(`Using API Key: ${maskKey(keyToUse)}`);
+    return keyToUse;
+};
+
+// Rough token estimate used by the mock provider (about 4 characters per token)
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function* streamOpenAICompatible(client, headers, { system, messages, model, temperature, maxTokens, signal }) {
+    const stream = await client.chat.completions.create({
+        model,
+        messages: [{ role: "system", content: system || '' }, ...messages],
+        temperature,
+        max_tokens: maxTokens,
+        stream: true,
+        stream_options: { include_usage: true },
+    }, {
+        headers,
+        signal
+    });
+
+    for await (const chunk of stream) {
+        const choice = chunk.choices && chunk.choices[0];
+        const content = choice?.delta?.content || "";
+        if (content) yield { type: 'text', text: content };
+        if (choice?.finish_reason) yield { type: 'finish', reason: choice.finish_reason };
+        if (chunk.usage) {
+            yield {
+                type: 'usage',
+                promptTokens: chunk.usage.prompt_tokens || 0,
+                completionTokens: chunk.usage.completion_tokens || 0
+            };
+        }
+    }
+}
+
+async function* streamAnthropic(client, { system, messages, model, temperature, maxTokens, signal }) {
+    const stream = await client.messages.create({
+        model,
+        system: system || undefined,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true,
+    }, {
+        signal
+    });
+
+    let promptTokens = 0;
+    for await (const event of stream) {
+        if (event.type === 'message_start') {
+            promptTokens = event.message.usage?.input_tokens || 0;
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+            yield { type: 'text', text: event.delta.text };
+        } else if (event.type === 'message_delta') {
+            if (event.usage) {
+                yield { type: 'usage', promptTokens, completionTokens: event.usage.output_tokens || 0 };
+            }
+            if (event.delta?.stop_reason) {
+                yield { type: 'finish', reason: ANTHROPIC_STOP_REASONS[event.delta.stop_reason] || event.delta.stop_reason };
+            }
+        }
+    }
+}
+
+// --- Mock provider: deterministic output for offline runs and tests ---
+
+const MOCK_WORDS = [
+    'estrategia', 'clientes', 'resultados', 'crecimiento', 'confianza', 'equipo', 'proceso', 'claro',
+    'medible', 'rapido', 'experiencia', 'soluciones', 'valor', 'marca', 'digital', 'proyecto',
+    'impacto', 'calidad', 'objetivos', 'ventas', 'metodo', 'seguro', 'simple', 'real'
+];
+
+// Small deterministic PRNG so the same prompt always produces the same text
+const seededRandom = (seedText) => {
+    let seed = 0;
+    for (const char of seedText) seed = (seed * 31 + char.charCodeAt(0)) >>> 0;
+    return () => {
+        seed = (seed * 1664525 + 1013904223) >>> 0;
+        return seed / 4294967296;
+    };
+};
+
+const mockFiller = (seedText, length) => {
+    const random = seededRandom(seedText);
+    let text = '';
+    while (text.length < length) {
+        const word = MOCK_WORDS[Math.floor(random() * MOCK_WORDS.length)];
+        text = text ? `${text} ${word}` : word.charAt(0).toUpperCase() + word.slice(1);
+    }
+    return text.slice(0, length).trim();
+};
+
+const mockTargetLength = (rule, tag) => {
+    if (rule && rule.min !== null && rule.max !== null) return Math.round((rule.min + rule.max) / 2);
+    if (rule && rule.max !== null) return rule.max;
+    if (rule && rule.min !== null) return rule.min + 10;
+    return { H1: 40, H2: 90, H3: 50, P: 110, A: 15 }[tag] || 60;
+};
+
+// Answers the auto-fix prompt ("[3] ... debe tener entre 80 y 100 caracteres") with a JSON object
+const buildMockFixResponse = (prompt) => {
+    const fixes = {};
+    const regex = /^\[(\d+)\] .*debe tener (?:entre (\d+) y (\d+)|como máximo (\d+)|como mínimo (\d+)) caracteres/gm;
+    let match;
+    while ((match = regex.exec(prompt)) !== null) {
+        const [, id, min, max, onlyMax, onlyMin] = match;
+        const target = min ? Math.round((Number(min) + Number(max)) / 2) : onlyMax ? Number(onlyMax) : Number(onlyMin) + 10;
+        fixes[id] = mockFiller(`fix-${id}`, target);
+    }
+    return JSON.stringify(fixes);
+};
+
+// Fills every "[placeholder]" field of the output format found in the prompt, using the limitations for lengths
+const buildMockPage = (prompt) => {
+    const keyword = (prompt.match(/^## Palabra clave principal\s*\n(.+)$/m) || [])[1];
+    const parsed = parseCopy(prompt);
+    const limitSections = parseLimitations(prompt)
+        .filter(section => section.rules.some(rule => rule.min !== null || rule.max !== null));
+    const formatSections = parsed.sections
+        .filter(section => section.fields.some(field => /^\[.*\]$/.test(field.text)));
+
+    if (formatSections.length === 0) {
+        return `### Top heroe\nH1: ${mockFiller(prompt, 40)}\nH2: ${mockFiller(prompt + 'h2', 90)}\nP: ${mockFiller(prompt + 'p', 110)}\nA: ${mockFiller(prompt + 'a', 15)}`;
+    }
+
+    return formatSections.map(section => {
+        const limits = findLimitSection(section.title, limitSections);
+        const seen = {};
+        const lines = section.fields.map(field => {
+            if (field.tag === 'SPAN') return `SPAN: ${field.text.replace(/^\[|\]$/g, '')}`;
+            if (field.tag === 'H1' && keyword) return `H1: ${keyword.trim()}`;
+
+            const { tag } = field;
+            const rules = limits ? limits.rules.filter(rule => rule.tag === tag) : [];
+            seen[tag] = (seen[tag] || 0) + 1;
+            const rule = rules.length ? rules[Math.min(seen[tag], rules.length) - 1] : null;
+            return `${tag}: ${mockFiller(`${prompt.length}-${section.title}-${tag}-${seen[tag]}`, mockTargetLength(rule, tag))}`;
+        });
+        return [`### ${section.title}`, ...lines].join('\n');
+    }).join('\n');
+};
+
+// Answers the section prompt with the matching block of a freshly filled page
+const buildMockSection = (prompt) => {
+    const match = prompt.match(/^## Sección a regenerar\s*\n\s*#{1,4}\s+(.+?)\s*$/m);
+    const title = match ? match[1] : '';
+    const page = buildMockPage(prompt.replace(/^## Sección a regenerar[\s\S]*$/m, ''));
+    const blocks = page.split(/\n(?=### )/);
+    return blocks.find(block => titleSimilarity(block.split('\n')[0].replace(/^#+\s*/, ''), title) >= 0.5)
+        || `### ${title}\n${blocks[0].split('\n').slice(1).join('\n')}`;
+};
+
+// Answers the translation prompt: same headings and tags, new filler text of the same length
+const buildMockTranslation = (prompt) => {
+    const keyword = (prompt.match(/^El H1 debe ser exactamente: (.+)$/m) || [])[1];
+    const source = prompt.split(/^## Texto a traducir\s*$/m)[1] || '';
+    return source.trim().split('\n').map((line, index) => {
+        const field = matchFieldLine(line);
+        if (!field || field.tag === 'SPAN') return line;
+        if (field.tag === 'H1' && keyword) return `H1: ${keyword.trim()}`;
+        return `${field.tag}: ${mockFiller(`translation-${index}-${line}`, countChars(field.text))}`;
+    }).join('\n');
+};
+
+async function* streamMock({ messages, maxTokens, signal }) {
+    const prompt = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+    // A trailing assistant turn is a partial answer to continue: the same page is built and only the rest is sent
+    const last = messages[messages.length - 1];
+    const partial = last && last.role === 'assistant' ? last.content : null;
+    const answer = prompt.includes('## Campos a corregir') ? buildMockFixResponse(prompt)
+        : prompt.includes('## Sección a regenerar') ? buildMockSection(prompt)
+            : prompt.includes('## Texto a traducir') ? buildMockTranslation(prompt)
+                : buildMockPage(prompt);
+    const fullText = partial === null ? answer : answer.slice(partial.length);
+    // Cut at max tokens like a real model would, so truncation can be tried offline
+    const truncated = estimateTokens(fullText) > maxTokens;
+    const text = truncated ? fullText.slice(0, maxTokens * 4) : fullText;
+
+    for (let i = 0; i < text.length; i += 24) {
+        if (signal && signal.aborted) throw new Error('Request was aborted.');
+        await sleep(MOCK_DELAY_MS);
+        yield { type: 'text', text: text.slice(i, i + 24) };
+    }
+
+    yield { type: 'usage', promptTokens: estimateTokens(prompt), completionTokens: estimateTokens(text) };
+    yield { type: 'finish', reason: truncated ? 'length' : 'stop' };
+}
+
+// Available providers. createClient returns null when the provider is not configured.
+// prefill(model): whether a trailing assistant message is continued as-is instead of being taken as a finished answer.
+const LLM_PROVIDERS = {
+    openrouter: {
+        label: 'OpenRouter',
+        defaultModel: 'anthropic/claude-sonnet-4.5',
+        models: ['anthropic/claude-sonnet-4.5', 'anthropic/claude-opus-4.1', 'anthropic/claude-haiku-4.5', 'openai/gpt-4o', 'google/gemini-2.5-pro'],
+        prefill: (model) => model.startsWith('anthropic/'),
+        isConfigured: () => !!process.env.ANTHROPIC_OPENROUTER_API_KEY,
+        createClient: (apiKey) => {
+            const key = resolveApiKey(apiKey, 'ANTHROPIC_OPENROUTER_API_KEY');
+            return key ? new OpenAI({ baseURL: "https://openrouter.ai/api/v1", apiKey: key }) : null;
+        },
+        stream: (client, request) => streamOpenAICompatible(client, OPENROUTER_HEADERS, request)
+    },
+    anthropic: {
+        label: 'Anthropic',
+        defaultModel: 'claude-sonnet-4-5',
+        models: ['claude-sonnet-4-5', 'claude-opus-4-1', 'claude-haiku-4-5'],
+        prefill: () => true,
+        isConfigured: () => !!process.env.ANTHROPIC_API_KEY,
+        createClient: (apiKey) => {
+            const key = resolveApiKey(apiKey, 'ANTHROPIC_API_KEY');
+            return key ? new Anthropic({ apiKey: key }) : null;
+        },
+        stream: (client, request) => streamAnthropic(client, request)
+    },
+    openai: {
+        label: 'OpenAI compatible',
+        defaultModel: process.env.OPENAI_COMPAT_MODEL || 'gpt-4o',
+        models: (process.env.OPENAI_COMPAT_MODELS || 'gpt-4o,gpt-4o-mini').split(',').map(m => m.trim()).filter(Boolean),
+        prefill: () => false,
+        isConfigured: () => !!process.env.OPENAI_COMPAT_API_KEY,
+        createClient: (apiKey) => {
+            const key = resolveApiKey(apiKey, 'OPENAI_COMPAT_API_KEY');
+            const baseURL = process.env.OPENAI_COMPAT_BASE_URL || undefined;
+            return key ? new OpenAI({ baseURL, apiKey: key }) : null;
+        },
+        stream: (client, request) => streamOpenAICompatible(client, undefined, request)
+    },
+    mock: {
+        label: 'Mock (offline)',
+        defaultModel: 'mock-landing',
+        models: ['mock-landing'],
+        prefill: () => true,
+        isConfigured: () => true,
+        createClient: () => ({}),
+        stream: (client, request) => streamMock(request)
+    }
+};
+
+const DEFAULT_PROVIDER = LLM_PROVIDERS[process.env.LLM_PROVIDER] ? process.env.LLM_PROVIDER : 'openrouter';
+const LLM_DEFAULTS = {
+    provider: DEFAULT_PROVIDER,
+    model: process.env.LLM_MODEL || LLM_PROVIDERS[DEFAULT_PROVIDER].defaultModel,
+    temperature: 0.3,
+    maxTokens: LLM_MAX_TOKENS
+};
+
+// Merges LLM settings: defaults < template settings < per-run override. Invalid values are ignored.
+const resolveLlmSettings = (...layers) => {
+    const settings = { ...LLM_DEFAULTS };
+
+    layers.forEach(layer => {
+        if (!layer) return;
+        if (layer.provider && LLM_PROVIDERS[layer.provider]) {
+            if (layer.provider !== settings.provider) settings.model = LLM_PROVIDERS[layer.provider].defaultModel;
+            settings.provider = layer.provider;
+        }
+        if (layer.model && String(layer.model).trim()) settings.model = String(layer.model).trim();
+
+        const temperature = parseFloat(layer.temperature);
+        if (!isNaN(temperature)) settings.temperature = Math.min(Math.max(temperature, 0), 1);
+
+        const maxTokens = parseInt(layer.maxTokens, 10);
+        if (maxTokens > 0) settings.maxTokens = Math.min(maxTokens, LLM_MAX_TOKENS);
+    });
+
+    return settings;
+};
+
+// Returns a function streaming chat events with the given settings, or null when the provider has no API key
+const openChat = (settings, apiKey) => {
+    const provider = LLM_PROVIDERS[settings.provider];
+    const client = provider.createClient(apiKey);
+    if (!client) return null;
+
+    return ({ system, messages, signal }) => provider.stream(client, {
+        system,
+        messages,
+        signal,
+        model: settings.model,
+        temperature: settings.temperature,
+        maxTokens: settings.maxTokens
+    });
+};
+
+// Runs a chat to completion and returns the full text with usage and finish reason
+const completeChat = async (chat, request) => {
+    const result = { text: '', usage: null, finishReason: null };
+    for await (const event of chat(request)) {
+        if (event.type === 'text') result.text += event.text;
+        if (event.type === 'usage') result.usage = event;
+        if (event.type === 'finish') result.finishReason = event.reason;
+    }
+    return result;
+};
+
+app.get('/api/llm/providers', (req, res) => {
+    res.json({
+        defaults: LLM_DEFAULTS,
+        providers: Object.entries(LLM_PROVIDERS).map(([id, provider]) => ({
+            id,
+            label: provider.label,
+            defaultModel: provider.defaultModel,
+            models: provider.models,
+            configured: provider.isConfigured()
+        }))
+    });
+});
+
+// --- KNOWLEDGE RETRIEVAL ---
+
+const KNOWLEDGE_HEADING_REGEX = /^\s*(#{1,3})\s+(.+?)\s*$/;
+// Long stretches without headings are split further so one chunk doesn't swallow the prompt
+const KNOWLEDGE_MAX_SECTION_CHARS = 3000;
+const KNOWLEDGE_DEFAULT_TOP_N = 6;
+const KNOWLEDGE_MAX_TOP_N = 30;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SEARCH_STOPWORDS = new Set([
+    'que', 'del', 'los', 'las', 'una', 'unos', 'unas', 'por', 'para', 'con', 'sin', 'sobre', 'entre', 'como',
+    'mas', 'pero', 'sus', 'este', 'esta', 'estos', 'estas', 'ese', 'esa', 'esos', 'esas', 'son', 'ser', 'hay',
+    'muy', 'sin', 'cada', 'todo', 'toda', 'todos', 'todas', 'tu', 'tus', 'nos', 'les', 'donde', 'cuando',
+    'the', 'and', 'for', 'with', 'you', 'your'
+]);
+
+// Lowercase, accent-free word stems ("beneficios" -> "beneficio") without stopwords
+const tokenize = (text) => stripAccents(String(text || '').toLowerCase())
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= 3 && !SEARCH_STOPWORDS.has(word))
+    .map(word => (word.length > 4 ? word.replace(/(es|s)$/, '') : word));
+
+const slugify = (text) => stripAccents(String(text || '').toLowerCase())
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 60);
+
+const firstTextLine = (lines) => (lines.find(line => line.trim()) || '').trim().replace(/^#+\s*/, '').slice(0, 80);
+
+// Short lines without final punctuation ("Sección de grid de beneficios") read as titles in PDF exports
+const isTitleLike = (line) => {
+    const text = line.trim();
+    return text.length > 3 && text.length <= 60 && /^[A-ZÁÉÍÓÚÑ¿]/.test(text) && !/[.,;:]$/.test(text);
+};
+
+// Splits lines into chunks under maxChars, preferring to cut right before a title-like line
+const chunkLines = (lines, maxChars) => {
+    const chunks = [];
+    let current = [];
+    let size = 0;
+
+    lines.forEach(line => {
+        if (size + line.length > maxChars && current.some(l => l.trim())) {
+            let cut = current.length;
+            for (let i = current.length - 1; i > current.length / 2; i--) {
+                if (isTitleLike(current[i])) {
+                    cut = i;
+                    break;
+                }
+            }
+            chunks.push(current.slice(0, cut));
+            current = current.slice(cut);
+            size = current.reduce((sum, l) => sum + l.length + 1, 0);
+        }
+        current.push(line);
+        size += line.length + 1;
+    });
+
+    if (current.some(l => l.trim())) chunks.push(current);
+    return chunks;
+};
+
+// Splits the knowledge text on its #/##/### headings. Each section keeps the parent headings as path.
+const splitKnowledgeSections = (text) => {
+    const rawSections = [];
+    const headingPath = [];
+    let current = { path: [], lines: [] };
+
+    (text || '').split(/\r?\n/).forEach(line => {
+        const heading = line.match(KNOWLEDGE_HEADING_REGEX);
+        if (heading) {
+            rawSections.push(current);
+            const level = heading[1].length;
+            headingPath.length = level - 1;
+            headingPath[level - 1] = heading[2].replace(/\*\*/g, '').trim();
+            current = { path: headingPath.filter(Boolean), lines: [line] };
+            return;
+        }
+        current.lines.push(line);
+    });
+    rawSections.push(current);
+
+    const sections = [];
+    const usedIds = new Set();
+    rawSections.forEach(section => {
+        const body = section.path.length ? section.lines.slice(1) : section.lines;
+        if (!body.some(line => line.trim())) return; // Headings that only group subsections
+
+        chunkLines(section.lines, KNOWLEDGE_MAX_SECTION_CHARS).forEach((chunk, index) => {
+            const heading = section.path[section.path.length - 1];
+            const title = index === 0 && heading ? heading : firstTextLine(chunk);
+
+            const base = slugify(title) || 'seccion';
+            let id = base;
+            for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+            usedIds.add(id);
+
+            // Continuation chunks sit under the heading of the section they were cut from
+            const parents = index === 0 ? section.path.slice(0, -1) : section.path;
+            sections.push({ id, title, path: parents, text: chunk.join('\n').trim() });
+        });
+    });
+
+    return sections;
+};
+
+const buildKnowledgeIndex = (text) => {
+    const sections = splitKnowledgeSections(text);
+    const docs = sections.map(section => {
+        // Titles count twice: they summarise the section
+        const tokens = [...tokenize(section.title), ...tokenize(section.title), ...tokenize(section.text)];
+        const termFrequency = new Map();
+        tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1));
+        return { length: tokens.length, termFrequency };
+    });
+
+    const documentFrequency = new Map();
+    docs.forEach(doc => {
+        doc.termFrequency.forEach((count, token) => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+    });
+    const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+
+    return { sections, docs, documentFrequency, averageLength };
+};
+
+// Indexes are rebuilt only when the knowledge text changes. Templates using different documents
+// produce different texts, so a few recent indexes are kept.
+const KNOWLEDGE_INDEX_CACHE_SIZE = 8;
+const knowledgeIndexCache = new Map();
+
+const getKnowledgeIndex = (text) => {
+    const hash = crypto.createHash('sha1').update(text || '').digest('hex');
+    let index = knowledgeIndexCache.get(hash);
+    if (!index) {
+        index = buildKnowledgeIndex(text);
+        knowledgeIndexCache.set(hash, index);
+        if (knowledgeIndexCache.size > KNOWLEDGE_INDEX_CACHE_SIZE) {
+            knowledgeIndexCache.delete(knowledgeIndexCache.keys().next().value);
+        }
+    }
+    return index;
+};
+
+const scoreBm25 = (index, queryText) => {
+    const queryTokens = [...new Set(tokenize(queryText))];
+    const total = index.docs.length;
+
+    return index.docs.map(doc => queryTokens.reduce((score, token) => {
+        const frequency = doc.termFrequency.get(token);
+        if (!frequency) return score;
+        const df = index.documentFrequency.get(token);
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / index.averageLength);
+        return score + idf * (frequency * (BM25_K1 + 1)) / norm;
+    }, 0));
+};
+
+// Picks pinned sections plus the top-N scored ones (never excluded ones), returned in document order
+const selectKnowledge = (knowledgeText, { query, topN, pinned, excluded }) => {
+    const index = getKnowledgeIndex(knowledgeText);
+    const scores = scoreBm25(index, query);
+    const pinnedSet = new Set(pinned || []);
+    const excludedSet = new Set(excluded || []);
+    // An explicit 0 keeps only the pinned sections
+    const requested = parseInt(topN, 10);
+    const limit = Math.max(0, Math.min(Number.isInteger(requested) ? requested : KNOWLEDGE_DEFAULT_TOP_N, KNOWLEDGE_MAX_TOP_N));
+
+    const ranked = index.sections
+        .map((section, position) => ({ section, position, score: scores[position] }))
+        .filter(item => item.score > 0 && !excludedSet.has(item.section.id) && !pinnedSet.has(item.section.id))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    const selectedIds = new Set([...ranked.map(item => item.section.id), ...[...pinnedSet].filter(id => !excludedSet.has(id))]);
+
+    const sections = index.sections.map((section, position) => ({
+        id: section.id,
+        title: section.title,
+        path: section.path,
+        length: section.text.length,
+        score: Math.round(scores[position] * 100) / 100,
+        pinned: pinnedSet.has(section.id),
+        excluded: excludedSet.has(section.id),
+        selected: selectedIds.has(section.id)
+    }));
+
+    const text = index.sections
+        .filter(section => selectedIds.has(section.id))
+        .map(section => section.text)
+        .join('\n\n');
+
+    return { sections, text, totalLength: knowledgeText.length };
+};
+
+// Query built from the keyword, the brief and the chosen structure blocks
+const buildKnowledgeQuery = ({ keyword, brief, structure }) => [keyword, keyword, brief, structure].filter(Boolean).join('\n');
+
+// A replacing override is indexed like the library. Appended text is always sent: it is template guidance, not a section to rank.
+app.post('/api/knowledge/select', async (req, res) => {
+    const { keyword, brief, structure, topN, pinned, excluded, docs } = req.body;
+
+    try {
+        const override = (await getTemplateOverrides(req.body.templateName)).knowledge;
+        const knowledge = override && override.mode === 'replace' ? override.text : await getKnowledgeText(docs);
+        const selection = selectKnowledge(knowledge, {
+            query: buildKnowledgeQuery({ keyword, brief, structure }),
+            topN,
+            pinned,
+            excluded
+        });
+        if (override && override.mode === 'append') {
+            selection.text = [selection.text, override.text].filter(Boolean).join('\n\n');
+            selection.appendedLength = override.text.length;
+        }
+        res.json({ ...selection, source: overrideSource(override) });
+    } catch (e) {
+        console.error("Error selecting knowledge:", e);
+        res.status(500).json({ error: "Error selecting knowledge sections" });
+    }
+});
+
+// --- KNOWLEDGE LIBRARY ---
+
+const DOCUMENT_TEXT_EXTENSIONS = ['.txt', '.md', '.markdown'];
+
+// Extracts the text of an uploaded file. Returns null for unsupported types.
+const extractDocumentText = async (filename, buffer) => {
+    const ext = path.extname(filename || '').toLowerCase();
+    if (ext === '.pdf' || buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+        const data = await pdf(buffer);
+        return data.text;
+    }
+    if (DOCUMENT_TEXT_EXTENSIONS.includes(ext)) {
+        return buffer.toString('utf-8').replace(/^\uFEFF/, '');
+    }
+    return null;
+};
+
+// Joined text of the enabled documents. docIds (a template's selection) narrows it; null means all.
+const getKnowledgeText = async (docIds) => {
+    const result = Array.isArray(docIds)
+        ? await pool.query(
+            'SELECT content FROM web_skyling_knowledge_docs WHERE enabled AND id = ANY($1::int[]) ORDER BY id',
+            [docIds.map(id => parseInt(id, 10)).filter(Number.isInteger)]
+        )
+        : await pool.query('SELECT content FROM web_skyling_knowledge_docs WHERE enabled ORDER BY id');
+    return result.rows.map(row => row.content).join('\n\n');
+};
+
+const KNOWLEDGE_DOC_COLUMNS = 'id, name, filename, enabled, LENGTH(content) AS length, created_by, created_at, updated_at';
+
+const listKnowledgeDocs = async () => {
+    const result = await pool.query(`SELECT ${KNOWLEDGE_DOC_COLUMNS} FROM web_skyling_knowledge_docs ORDER BY id`);
+    return result.rows;
+};
+
+app.get('/api/knowledge/docs', async (req, res) => {
+    try {
+        res.json(await listKnowledgeDocs());
+    } catch (e) {
+        console.error("Error fetching knowledge documents:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+app.get('/api/knowledge/docs/:id', async (req, res) => {
+    try {
+        const result = await pool.query('SELECT * FROM web_skyling_knowledge_docs WHERE id = $1', [parseInt(req.params.id, 10) || 0]);
+        if (result.rows.length === 0) return res.status(404).json({ error: "Document not found" });
+        res.json(result.rows[0]);
+    } catch (e) {
+        console.error("Error fetching knowledge document:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Creates a document from an uploaded file ({ filename, data: base64 }) or from pasted text ({ content })
+app.post('/api/knowledge/docs', async (req, res) => {
+    const { filename, data } = req.body;
+    let content = req.body.content;
+
+    if (data) {
+        try {
+            content = await extractDocumentText(filename, Buffer.from(data, 'base64'));
+        } catch (e) {
+            console.error("Error extracting document text:", e);
+            return res.status(400).json({ error: "No se pudo extraer el texto del archivo." });
+        }
+        if (content === null) {
+            return res.status(400).json({ error: "Formato no soportado. Usa PDF, TXT o MD." });
+        }
+    }
+
+    const name = (req.body.name || (filename ? path.parse(filename).name : '')).trim();
+    if (!name) return res.status(400).json({ error: "Name is required" });
+    if (!content || !content.trim()) return res.status(400).json({ error: "El documento no contiene texto." });
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO web_skyling_knowledge_docs (name, filename, content, created_by)
+             VALUES ($1, $2, $3, $4)
+             RETURNING ${KNOWLEDGE_DOC_COLUMNS}`,
+            [name, filename || null, content, sessionUsername(req)]
+        );
+        res.json({ success: true, document: result.rows[0], documents: await listKnowledgeDocs() });
+    } catch (e) {
+        if (e.code === '23505') return res.status(400).json({ error: "Ya existe un documento con ese nombre." });
+        console.error("Error saving knowledge document:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Updates name, text and/or enabled flag; omitted fields are left as they are
+app.put('/api/knowledge/docs/:id', async (req, res) => {
+    const { name, content, enabled } = req.body;
+    if (name !== undefined && !String(name).trim()) return res.status(400).json({ error: "Name is required" });
+
+    try {
+        const result = await pool.query(
+            `UPDATE web_skyling_knowledge_docs
+             SET name = COALESCE($1, name),
+                 content = COALESCE($2, content),
+                 enabled = COALESCE($3, enabled),
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $4
+             RETURNING ${KNOWLEDGE_DOC_COLUMNS}`,
+            [
+                name !== undefined ? String(name).trim() : null,
+                content !== undefined ? String(content) : null,
+                typeof enabled === 'boolean' ? enabled : null,
+                parseInt(req.params.id, 10) || 0
+            ]
+        );
+        if (result.rows.length === 0) return res.status(404).json({ error: "Document not found" });
+        res.json({ success: true, document: result.rows[0], documents: await listKnowledgeDocs() });
+    } catch (e) {
+        if (e.code === '23505') return res.status(400).json({ error: "Ya existe un documento con ese nombre." });
+        console.error("Error updating knowledge document:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+app.delete('/api/knowledge/docs/:id', async (req, res) => {
+    try {
+        await pool.query('DELETE FROM web_skyling_knowledge_docs WHERE id = $1', [parseInt(req.params.id, 10) || 0]);
+        res.json({ success: true, documents: await listKnowledgeDocs() });
+    } catch (e) {
+        console.error("Error deleting knowledge document:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// --- CLIENT BRIEFS ---
+
+const BRIEF_MIME_TYPES = {
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain',
+    '.md': 'text/markdown',
+    '.markdown': 'text/markdown'
+};
+
+// "3", "- 3 -", "Página 3", "Page 3 of 10", "3 / 10"
+const PAGE_NUMBER_REGEX = /^[-–—\s]*(?:p[áa]g(?:ina)?\.?|page|p\.)?\s*\d{1,4}\s*(?:(?:de|of|\/)\s*\d{1,4})?[-–—\s]*$/i;
+const REPEATED_LINE_MIN_COUNT = 3;
+const REPEATED_LINE_MAX_LENGTH = 80;
+
+// Removes extraction noise: page numbers, headers/footers repeated on every page, words split
+// across lines and runs of blank lines. Returns the cleaned text and the number of lines dropped.
+const cleanBriefText = (text) => {
+    const lines = String(text || '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/\f/g, '\n')
+        .split('\n')
+        .map(line => line.replace(/[ \t\u00A0]+$/g, ''));
+
+    // Headers and footers usually differ only in the page number, so digits are ignored when counting
+    const lineKey = line => line.trim().toLowerCase().replace(/\d+/g, '#');
+    const counts = new Map();
+    lines.forEach(line => {
+        const key = lineKey(line);
+        if (key && key.length <= REPEATED_LINE_MAX_LENGTH) counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    let removedLines = 0;
+    const kept = lines.filter(line => {
+        const trimmed = line.trim();
+        if (!trimmed) return true;
+        if (PAGE_NUMBER_REGEX.test(trimmed) || counts.get(lineKey(line)) >= REPEATED_LINE_MIN_COUNT) {
+            removedLines++;
+            return false;
+        }
+        return true;
+    });
+
+    const cleaned = kept.join('\n')
+        .replace(/([a-záéíóúñü])-\n([a-záéíóúñü])/gi, '$1$2')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    return { text: cleaned, removedLines };
+};
+
+const BRIEF_FILE_COLUMNS = 'id, filename, mime_type, size, created_by, created_at';
+
+// Links uploaded brief files to a generation. Persistence problems never block generation.
+const attachBriefFiles = async (generationId, fileIds) => {
+    const ids = (Array.isArray(fileIds) ? fileIds : []).map(id => parseInt(id, 10)).filter(Number.isInteger);
+    if (!generationId || ids.length === 0) return;
+    try {
+        await pool.query(
+            `INSERT INTO web_skyling_generation_files (generation_id, file_id)
+             SELECT $1, id FROM web_skyling_brief_files WHERE id = ANY($2::int[])
+             ON CONFLICT DO NOTHING`,
+            [generationId, ids]
+        );
+    } catch (e) {
+        console.error("Error attaching brief files:", e.message);
+    }
+};
+
+// Stores the original file and returns its cleaned text for review; the brief itself is not touched
+app.post('/api/briefs/upload', async (req, res) => {
+    const { filename, data } = req.body || {};
+    if (!filename || !data) return res.status(400).json({ error: "Selecciona un archivo." });
+
+    const buffer = Buffer.from(data, 'base64');
+    let text;
+    try {
+        text = await extractDocumentText(filename, buffer);
+    } catch (e) {
+        console.error("Error extracting brief text:", e);
+        return res.status(400).json({ error: "No se pudo extraer el texto del archivo." });
+    }
+    if (text === null) return res.status(400).json({ error: "Formato no soportado. Usa PDF, TXT o MD." });
+
+    const cleaned = cleanBriefText(text);
+    if (!cleaned.text) return res.status(400).json({ error: "El archivo no contiene texto." });
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO web_skyling_brief_files (filename, mime_type, size, data, text, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING ${BRIEF_FILE_COLUMNS}`,
+            [
+                path.basename(filename),
+                BRIEF_MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream',
+                buffer.length,
+                buffer,
+                cleaned.text,
+                sessionUsername(req)
+            ]
+        );
+        res.json({ file: result.rows[0], text: cleaned.text, removedLines: cleaned.removedLines });
+    } catch (e) {
+        console.error("Error saving brief file:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Downloads the original file
+app.get('/api/briefs/files/:id', async (req, res) => {
+    try {
+        const result = await pool.query('SELECT filename, mime_type, data FROM web_skyling_brief_files WHERE id = $1', [parseInt(req.params.id, 10) || 0]);
+        if (result.rows.length === 0) return res.status(404).json({ error: "File not found" });
+        const file = result.rows[0];
+        res.type(file.mime_type || 'application/octet-stream');
+        res.attachment(file.filename);
+        res.send(file.data);
+    } catch (e) {
+        console.error("Error fetching brief file:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// --- CLIENTS & PROJECTS ---
+
+const PROJECT_COLUMNS = 'id, client_id, name, brief, brand_voice, keywords, template_name, created_by, created_at, updated_at';
+
+// Clients with a summary of their projects, for the project switcher
+const listClients = async () => {
+    const clients = await pool.query('SELECT id, name, notes, created_by, created_at, updated_at FROM web_skyling_clients ORDER BY name');
+    const projects = await pool.query(
+        `SELECT p.id, p.client_id, p.name, p.template_name, p.updated_at,
+                (SELECT COUNT(*)::int FROM web_skyling_generations g WHERE g.project_id = p.id) AS generations
+         FROM web_skyling_projects p
+         ORDER BY p.name`
+    );
+    return clients.rows.map(client => ({
+        ...client,
+        projects: projects.rows.filter(project => project.client_id === client.id)
+    }));
+};
+
+const projectIdParam = (value) => {
+    const id = parseInt(value, 10);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+app.get('/api/clients', async (req, res) => {
+    try {
+        res.json(await listClients());
+    } catch (e) {
+        console.error("Error fetching clients:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+app.post('/api/clients', async (req, res) => {
+    const name = String(req.body.name || '').trim();
+    if (!name) return res.status(400).json({ error: "Name is required" });
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO web_skyling_clients (name, notes, created_by)
+             VALUES ($1, $2, $3)
+             RETURNING id, name, notes, created_by, created_at, updated_at`,
+            [name, String(req.body.notes || ''), sessionUsername(req)]
+        );
+        res.json({ success: true, client: result.rows[0], clients: await listClients() });
+    } catch (e) {
+        if (e.code === '23505') return res.status(400).json({ error: "Ya existe un cliente con ese nombre." });
+        console.error("Error saving client:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+app.put('/api/clients/:id', async (req, res) => {
+    const { name, notes } = req.body;
+    if (name !== undefined && !String(name).trim()) return res.status(400).json({ error: "Name is required" });
+
+    try {
+        const result = await pool.query(
+            `UPDATE web_skyling_clients
+             SET name = COALESCE($1, name), notes = COALESCE($2, notes), updated_at = CURRENT_TIMESTAMP
+             WHERE id = $3
+             RETURNING id, name, notes, created_by, created_at, updated_at`,
+            [
+                name !== undefined ? String(name).trim() : null,
+                notes !== undefined ? String(notes) : null,
+                parseInt(req.params.id, 10) || 0
+            ]
+        );
+        if (result.rows.length === 0) return res.status(404).json({ error: "Client not found" });
+        res.json({ success: true, client: result.rows[0], clients: await listClients() });
+    } catch (e) {
+        if (e.code === '23505') return res.status(400).json({ error: "Ya existe un cliente con ese nombre." });
+        console.error("Error updating client:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Deletes the client and its projects; their generations stay in the history without a project
+app.delete('/api/clients/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query('DELETE FROM web_skyling_clients WHERE id = $1', [parseInt(req.params.id, 10) || 0]);
+        if (result.rowCount === 0) return res.status(404).json({ error: "Client not found" });
+        res.json({ success: true, clients: await listClients() });
+    } catch (e) {
+        console.error("Error deleting client:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+app.get('/api/projects/:id', async (req, res) => {
+    try {
+        const result = await pool.query(`SELECT ${PROJECT_COLUMNS} FROM web_skyling_projects WHERE id = $1`, [parseInt(req.params.id, 10) || 0]);
+        if (result.rows.length === 0) return res.status(404).json({ error: "Project not found" });
+        res.json(result.rows[0]);
+    } catch (e) {
+        console.error("Error fetching project:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+app.post('/api/projects', async (req, res) => {
+    const { clientId, brief, brandVoice, keywords, templateName } = req.body;
+    const name = String(req.body.name || '').trim();
+    if (!name) return res.status(400).json({ error: "Name is required" });
+    if (!projectIdParam(clientId)) return res.status(400).json({ error: "Selecciona un cliente." });
+
+    try {
+        const result = await pool.query(
+            `INSERT INTO web_skyling_projects (client_id, name, brief, brand_voice, keywords, template_name, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING ${PROJECT_COLUMNS}`,
+            [
+                projectIdParam(clientId),
+                name,
+                String(brief || ''),
+                String(brandVoice || ''),
+                parseKeywordList(keywords),
+                templateName || null,
+                sessionUsername(req)
+            ]
+        );
+        res.json({ success: true, project: result.rows[0], clients: await listClients() });
+    } catch (e) {
+        if (e.code === '23505') return res.status(400).json({ error: "Ese cliente ya tiene un proyecto con ese nombre." });
+        if (e.code === '23503') return res.status(404).json({ error: "Client not found" });
+        console.error("Error saving project:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Updates the given fields; omitted fields are left as they are. templateName: null clears the default template.
+app.put('/api/projects/:id', async (req, res) => {
+    const { name, clientId, brief, brandVoice, keywords, templateName } = req.body;
+    if (name !== undefined && !String(name).trim()) return res.status(400).json({ error: "Name is required" });
+
+    try {
+        const result = await pool.query(
+            `UPDATE web_skyling_projects
+             SET name = COALESCE($1, name),
+                 client_id = COALESCE($2, client_id),
+                 brief = COALESCE($3, brief),
+                 brand_voice = COALESCE($4, brand_voice),
+                 keywords = COALESCE($5, keywords),
+                 template_name = CASE WHEN $6 THEN $7 ELSE template_name END,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $8
+             RETURNING ${PROJECT_COLUMNS}`,
+            [
+                name !== undefined ? String(name).trim() : null,
+                projectIdParam(clientId),
+                brief !== undefined ? String(brief) : null,
+                brandVoice !== undefined ? String(brandVoice) : null,
+                keywords !== undefined ? parseKeywordList(keywords) : null,
+                templateName !== undefined,
+                templateName || null,
+                parseInt(req.params.id, 10) || 0
+            ]
+        );
+        if (result.rows.length === 0) return res.status(404).json({ error: "Project not found" });
+        res.json({ success: true, project: result.rows[0], clients: await listClients() });
+    } catch (e) {
+        if (e.code === '23505') return res.status(400).json({ error: "Ese cliente ya tiene un proyecto con ese nombre." });
+        if (e.code === '23503') return res.status(404).json({ error: "Client not found" });
+        console.error("Error updating project:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+app.delete('/api/projects/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await pool.query('DELETE FROM web_skyling_projects WHERE id = $1', [parseInt(req.params.id, 10) || 0]);
+        if (result.rowCount === 0) return res.status(404).json({ error: "Project not found" });
+        res.json({ success: true, clients: await listClients() });
+    } catch (e) {
+        console.error("Error deleting project:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// --- GENERATION HISTORY ---
+
+// Stores the inputs of a generation before streaming starts. Persistence problems never block generation.
+// variant ({ group, index, angle }) marks one of the outputs of a multi-variant run;
+// translationOf links a translation to the original page it was made from.
+const createGeneration = async (inputs, { systemPrompt, userMessage, provider, model, temperature, user, variant, language, translationOf }) => {
+    const data = inputs || {};
+    try {
+        const result = await pool.query(
+            `INSERT INTO web_skyling_generations
+                (keyword, secondary_keywords, brief, structure, output_format, limitations, system_prompt, template_name, provider, model, created_by,
+                 user_message, prompt_variables, project_id, temperature, variant_group, variant_index, variant_angle, language, translation_of)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+             RETURNING id`,
+            [
+                data.keyword || '',
+                parseKeywordList(data.secondaryKeywords).join('\n'),
+                data.brief || '',
+                data.structure || '',
+                data.output || '',
+                data.limitations || '',
+                systemPrompt || '',
+                data.templateName || null,
+                provider,
+                model,
+                user ? user.username : null,
+                userMessage || '',
+                data.variables ? JSON.stringify(data.variables) : null,
+                projectIdParam(data.projectId),
+                temperature === undefined ? null : temperature,
+                variant ? variant.group : null,
+                variant ? variant.index : null,
+                variant ? variant.angle || null : null,
+                resolveLanguage(language),
+                translationOf || null
+            ]
+        );
+        await attachBriefFiles(result.rows[0].id, data.briefFileIds);
+        return result.rows[0].id;
+    } catch (e) {
+        console.error("Error saving generation:", e.message);
+        return null;
+    }
+};
+
+const finishGeneration = async (id, output, status, finishReason) => {
+    if (!id) return;
+    try {
+        await pool.query(
+            `UPDATE web_skyling_generations
+             SET output = $1, status = $2, finish_reason = $3, updated_at = CURRENT_TIMESTAMP, completed_at = CURRENT_TIMESTAMP
+             WHERE id = $4`,
+            [output, status, finishReason || null, id]
+        );
+    } catch (e) {
+        console.error("Error updating generation:", e.message);
+    }
+};
+
+const updateGenerationOutput = async (id, output) => {
+    if (!id) return;
+    try {
+        await pool.query(
+            'UPDATE web_skyling_generations SET output = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [output, id]
+        );
+    } catch (e) {
+        console.error("Error updating generation:", e.message);
+    }
+};
+
+app.get('/api/generations', async (req, res) => {
+    const search = (req.query.q || '').trim();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const projectId = projectIdParam(req.query.projectId);
+
+    try {
+        const params = [limit, offset];
+        const conditions = [];
+        if (search) {
+            params.push(`%${search}%`);
+            conditions.push(`(g.keyword ILIKE $${params.length} OR g.brief ILIKE $${params.length} OR g.template_name ILIKE $${params.length} OR g.output ILIKE $${params.length})`);
+        }
+        if (projectId) {
+            params.push(projectId);
+            conditions.push(`g.project_id = $${params.length}`);
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const result = await pool.query(
+            `SELECT g.id, g.keyword, g.template_name, g.provider, g.model, g.status, g.created_by, g.created_at, g.completed_at,
+                    LEFT(g.brief, 200) AS brief_preview, LENGTH(g.output) AS output_length,
+                    (SELECT SUM(u.cost)::float FROM web_skyling_usage u WHERE u.generation_id = g.id) AS cost,
+                    g.project_id, p.name AS project_name, g.variant_group, g.variant_index, g.language, g.translation_of
+             FROM web_skyling_generations g
+             LEFT JOIN web_skyling_projects p ON p.id = g.project_id
+             ${where}
+             ORDER BY g.created_at DESC
+             LIMIT $1 OFFSET $2`,
+            params
+        );
+        res.json(result.rows);
+    } catch (e) {
+        console.error("Error fetching generations:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+app.get('/api/generations/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id, 10) || 0;
+        const result = await pool.query('SELECT * FROM web_skyling_generations WHERE id = $1', [id]);
+        if (result.rows.length === 0) return res.status(404).json({ error: "Generation not found" });
+        const files = await pool.query(
+            `SELECT f.id, f.filename, f.mime_type, f.size, f.created_by, f.created_at
+             FROM web_skyling_brief_files f
+             JOIN web_skyling_generation_files gf ON gf.file_id = f.id
+             WHERE gf.generation_id = $1
+             ORDER BY f.id`,
+            [id]
+        );
+        res.json({ ...result.rows[0], files: files.rows });
+    } catch (e) {
+        console.error("Error fetching generation:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+app.delete('/api/generations/:id', async (req, res) => {
+    try {
+        const result = await pool.query('DELETE FROM web_skyling_generations WHERE id = $1', [parseInt(req.params.id, 10) || 0]);
+        if (result.rowCount === 0) return res.status(404).json({ error: "Generation not found" });
+        res.json({ success: true });
+    } catch (e) {
+        console.error("Error deleting generation:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// --- USER MESSAGE TEMPLATE ---
+
+// {{name}} inserts a variable; {{#if name}}...{{/if}} keeps its block only when the variable has a value
+const PROMPT_PLACEHOLDER_REGEX = /\{\{\s*([A-Za-z][\w-]*)\s*\}\}/g;
+const PROMPT_CONDITIONAL_REGEX = /\{\{#if\s+([A-Za-z][\w-]*)\s*\}\}([\s\S]*?)\{\{\/if\}\}/g;
+const PROMPT_VARIABLE_NAME_REGEX = /^[A-Za-z][\w-]*$/;
+
+// Filled from the editor on every run; templates add their own variables on top
+const BUILTIN_PROMPT_VARIABLES = [
+    { name: 'knowledge', label: 'Conocimiento' },
+    { name: 'structure', label: 'Estructura' },
+    { name: 'brief', label: 'Brief del cliente', required: true },
+    { name: 'brandVoice', label: 'Voz de marca' },
+    { name: 'keyword', label: 'Palabra clave principal' },
+    { name: 'secondaryKeywords', label: 'Palabras clave secundarias' },
+    { name: 'output', label: 'Output' },
+    { name: 'limitations', label: 'Limitaciones' }
+];
+
+const DEFAULT_USER_MESSAGE_TEMPLATE = `## PDF con explicacion de estructuras
+{{knowledge}}
+
+## Estructura/layout/Sitemap del wireframe
+{{structure}}
+
+## Brief del servicio
+{{brief}}{{#if brandVoice}}
+
+## Voz de marca
+{{brandVoice}}{{/if}}{{#if keyword}}
+
+## Palabra clave principal
+{{keyword}}
+El H1 debe ser una copia textual de la palabra clave principal. Úsala también de forma natural en algún H2, en el primer párrafo y en los CTAs, sin repetirla en exceso.{{/if}}{{#if secondaryKeywords}}
+
+## Palabras clave secundarias
+{{secondaryKeywords}}{{/if}}
+
+## Output y wireframes
+{{output}}
+
+## Limitaciones de caracteres
+{{limitations}}`;
+
+const promptValueText = (value) => {
+    if (Array.isArray(value)) return value.join('\n');
+    return value === undefined || value === null ? '' : String(value);
+};
+
+// Template-defined variables: valid, unique names that don't shadow the built-in ones
+const normalizePromptVariables = (variables) => {
+    const seen = new Set(BUILTIN_PROMPT_VARIABLES.map(v => v.name));
+    return (Array.isArray(variables) ? variables : [])
+        .filter(v => v && PROMPT_VARIABLE_NAME_REGEX.test(v.name) && !seen.has(v.name) && seen.add(v.name))
+        .map(v => ({ name: v.name, label: (v.label || '').trim() || v.name, required: !!v.required }));
+};
+
+const promptTemplateNames = (template) => {
+    const names = new Set();
+    for (const match of template.matchAll(PROMPT_CONDITIONAL_REGEX)) names.add(match[1]);
+    for (const match of template.matchAll(PROMPT_PLACEHOLDER_REGEX)) names.add(match[1]);
+    return names;
+};
+
+const renderPromptTemplate = (template, values) => template
+    .replace(PROMPT_CONDITIONAL_REGEX, (match, name, body) => (promptValueText(values[name]).trim() ? body : ''))
+    .replace(PROMPT_PLACEHOLDER_REGEX, (match, name) => promptValueText(values[name]));
+
+const getUserMessageTemplate = async () => {
+    const result = await pool.query("SELECT value FROM web_skyling_config WHERE key = 'userMessageTemplate'");
+    return result.rows.length && result.rows[0].value ? result.rows[0].value : DEFAULT_USER_MESSAGE_TEMPLATE;
+};
+
+// Renders the configured user message from { values, variables }. Only variables the template uses can be missing.
+const buildUserMessage = async ({ values, variables } = {}) => {
+    const template = await getUserMessageTemplate();
+    const inputs = values || {};
+    const definitions = [...BUILTIN_PROMPT_VARIABLES, ...normalizePromptVariables(variables)];
+    const used = promptTemplateNames(template);
+    const known = new Set(definitions.map(v => v.name));
+
+    return {
+        text: renderPromptTemplate(template, inputs),
+        missing: definitions.filter(v => v.required && used.has(v.name) && !promptValueText(inputs[v.name]).trim()),
+        unknown: [...used].filter(name => !known.has(name)),
+        variables: definitions
+    };
+};
+
+const missingVariablesMessage = (missing) =>
+    `Faltan variables obligatorias: ${missing.map(v => v.label).join(', ')}.`;
+
+// Preview of the system prompt and user message exactly as /api/generate will build them
+app.post('/api/prompt/render', async (req, res) => {
+    try {
+        const [rendered, system] = await Promise.all([buildUserMessage(req.body), resolveSystemPrompt(req.body.templateName)]);
+        res.json({
+            systemPrompt: system.text,
+            systemPromptSource: system.source,
+            userMessage: rendered.text,
+            missing: rendered.missing,
+            unknown: rendered.unknown,
+            variables: rendered.variables
+        });
+    } catch (e) {
+        console.error("Error rendering prompt:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+app.get('/api/prompt/variables', async (req, res) => {
+    try {
+        const template = await getUserMessageTemplate();
+        res.json({ builtin: BUILTIN_PROMPT_VARIABLES, used: [...promptTemplateNames(template)] });
+    } catch (e) {
+        console.error("Error fetching prompt variables:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// --- USAGE & BUDGETS ---
+
+// USD per million tokens. Overridden by the "pricing" config key; "*" prices unknown models.
+const DEFAULT_PRICING = {
+    'anthropic/claude-sonnet-4.5': { input: 3, output: 15 },
+    'anthropic/claude-opus-4.1': { input: 15, output: 75 },
+    'anthropic/claude-haiku-4.5': { input: 1, output: 5 },
+    'claude-sonnet-4-5': { input: 3, output: 15 },
+    'claude-opus-4-1': { input: 15, output: 75 },
+    'claude-haiku-4-5': { input: 1, output: 5 },
+    'openai/gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'google/gemini-2.5-pro': { input: 1.25, output: 10 },
+    'mock-landing': { input: 0, output: 0 }
+};
+const USAGE_GROUPS = {
+    day: "TO_CHAR(DATE_TRUNC('day', created_at), 'YYYY-MM-DD')",
+    user: "COALESCE(username, '(sin usuario)')",
+    template: "COALESCE(template_name, '(sin plantilla)')",
+    model: "COALESCE(model, '(desconocido)')"
+};
+
+const getPricing = () => getJsonConfig('pricing', DEFAULT_PRICING);
+
+const priceFor = (pricing, model) => pricing[model] || pricing['*'] || null;
+
+const calculateCost = (price, promptTokens, completionTokens) => {
+    if (!price) return 0;
+    return ((Number(price.input) || 0) * promptTokens + (Number(price.output) || 0) * completionTokens) / 1000000;
+};
+
+// Providers that don't report usage get an estimate from the text length
+const usageOrEstimate = (usage, messages, outputText) => {
+    if (usage) return { promptTokens: usage.promptTokens, completionTokens: usage.completionTokens, estimated: false };
+    return {
+        promptTokens: estimateTokens(messages.map(m => m.content).join('\n')),
+        completionTokens: estimateTokens(outputText),
+        estimated: true
+    };
+};
+
+// Stores the usage of one LLM call and returns it with its cost. Ledger problems never block generation.
+const recordUsage = async ({ kind, generationId, settings, usage, username, templateName }) => {
+    try {
+        const cost = calculateCost(priceFor(await getPricing(), settings.model), usage.promptTokens, usage.completionTokens);
+        await pool.query(
+            `INSERT INTO web_skyling_usage
+                (generation_id, kind, provider, model, prompt_tokens, completion_tokens, estimated, cost, username, template_name)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+            [
+                generationId || null,
+                kind,
+                settings.provider,
+                settings.model,
+                usage.promptTokens,
+                usage.completionTokens,
+                usage.estimated,
+                cost,
+                username,
+                templateName || null
+            ]
+        );
+        return { ...usage, cost };
+    } catch (e) {
+        console.error("Error recording usage:", e.message);
+        return { ...usage, cost: null };
+    }
+};
+
+// Spend of the current calendar month for the team and for one user, against the "budgets" config
+// ({ "monthlyTotal": 200, "monthlyPerUser": 50, "users": { "ana": 80 } }, in USD)
+const getBudgetStatus = async (username) => {
+    const budgets = await getJsonConfig('budgets', {});
+    const result = await pool.query(
+        `SELECT COALESCE(SUM(cost), 0)::float AS total,
+                COALESCE(SUM(cost) FILTER (WHERE username = $1), 0)::float AS user_total
+         FROM web_skyling_usage
+         WHERE created_at >= DATE_TRUNC('month', CURRENT_TIMESTAMP)`,
+        [username]
+    );
+
+    const userLimits = budgets.users || {};
+    const userLimit = userLimits[username] !== undefined ? userLimits[username] : budgets.monthlyPerUser;
+    return {
+        username,
+        spent: { total: result.rows[0].total, user: result.rows[0].user_total },
+        limits: {
+            total: Number(budgets.monthlyTotal) || null,
+            user: Number(userLimit) || null
+        }
+    };
+};
+
+const formatUsd = (value) => `${value.toFixed(2)} USD`;
+
+// Blocks LLM routes once the monthly team or user budget is spent
+const requireBudget = async (req, res, next) => {
+    try {
+        const { spent, limits } = await getBudgetStatus(sessionUsername(req));
+        if (limits.total && spent.total >= limits.total) {
+            return res.status(402).json({
+                error: `Se ha agotado el presupuesto mensual del equipo (${formatUsd(spent.total)} de ${formatUsd(limits.total)}).`
+            });
+        }
+        if (limits.user && spent.user >= limits.user) {
+            return res.status(402).json({
+                error: `Has agotado tu presupuesto mensual (${formatUsd(spent.user)} de ${formatUsd(limits.user)}).`
+            });
+        }
+    } catch (e) {
+        // Without the spend totals the limits can't be enforced, so nothing is generated
+        console.error("Error checking budget:", e);
+        return res.status(503).json({ error: "No se pudo comprobar el presupuesto. Inténtalo de nuevo en unos minutos." });
+    }
+    next();
+};
+
+// Usage grouped by day, user, template or model: ?groupBy=day&from=YYYY-MM-DD&to=YYYY-MM-DD (both inclusive)
+app.get('/api/usage', async (req, res) => {
+    const groupBy = USAGE_GROUPS[req.query.groupBy] ? req.query.groupBy : 'day';
+    const conditions = [];
+    const params = [];
+    if (req.query.from) {
+        params.push(req.query.from);
+        conditions.push(`created_at >= $${params.length}::date`);
+    }
+    if (req.query.to) {
+        params.push(req.query.to);
+        conditions.push(`created_at < $${params.length}::date + 1`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+        const result = await pool.query(
+            `SELECT ${USAGE_GROUPS[groupBy]} AS key,
+                    COUNT(*)::int AS requests,
+                    COALESCE(SUM(prompt_tokens), 0)::int AS prompt_tokens,
+                    COALESCE(SUM(completion_tokens), 0)::int AS completion_tokens,
+                    COALESCE(SUM(cost), 0)::float AS cost,
+                    BOOL_OR(estimated) AS estimated
+             FROM web_skyling_usage
+             ${where}
+             GROUP BY 1
+             ORDER BY ${groupBy === 'day' ? '1 DESC' : 'cost DESC'}`,
+            params
+        );
+
+        const totals = result.rows.reduce((sum, row) => ({
+            requests: sum.requests + row.requests,
+            prompt_tokens: sum.prompt_tokens + row.prompt_tokens,
+            completion_tokens: sum.completion_tokens + row.completion_tokens,
+            cost: sum.cost + row.cost
+        }), { requests: 0, prompt_tokens: 0, completion_tokens: 0, cost: 0 });
+
+        res.json({ groupBy, rows: result.rows, totals });
+    } catch (e) {
+        console.error("Error fetching usage:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+app.get('/api/usage/budget', async (req, res) => {
+    try {
+        res.json(await getBudgetStatus(sessionUsername(req)));
+    } catch (e) {
+        console.error("Error fetching budget:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Effective pricing and budgets, for the settings editor
+app.get('/api/usage/settings', async (req, res) => {
+    try {
+        res.json({ pricing: await getPricing(), budgets: await getJsonConfig('budgets', {}) });
+    } catch (e) {
+        console.error("Error fetching usage settings:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// --- STREAMING ---
+
+// Opens a Server-Sent Events response. Each event is sent as "event: <type>" with the JSON payload as data.
+const startEventStream = (res) => {
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Keep proxies from buffering the stream
+    res.flushHeaders();
+};
+
+const writeEvent = (res, event) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+// Aborts the upstream LLM request when the browser goes away (Stop button, closed tab, network drop)
+const abortOnDisconnect = (res) => {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+    return controller.signal;
+};
+
+// Streams a chat into an open event stream: a delta per text chunk, finish when the model stops, then usage.
+// Usage is recorded once, also for failed and cancelled streams that produced text. `fields` go on every event
+// (the variant index) and `errorFields(text)` on the error event. Never throws: resolves with the text, the
+// finish reason and a status (completed, truncated, cancelled or failed, with the error).
+const pipeChatToStream = async (res, chat, { system, messages, signal, usage: usageContext, fields = {}, errorFields = () => ({}) }) => {
+    const result = { text: '', finishReason: null, status: null, error: null };
+    let usage = null;
+    let usageRecorded = false;
+
+    const saveUsage = () => {
+        usageRecorded = true;
+        return recordUsage({
+            ...usageContext,
+            usage: usageOrEstimate(usage, [{ content: system || '' }, ...messages], result.text)
+        });
+    };
+
+    try {
+        for await (const event of chat({ system: system || '', messages, signal })) {
+            if (event.type === 'text') {
+                result.text += event.text;
+                writeEvent(res, { type: 'delta', ...fields, text: event.text });
+            } else if (event.type === 'usage') {
+                usage = event;
+            } else if (event.type === 'finish') {
+                result.finishReason = event.reason;
+                writeEvent(res, { type: 'finish', ...fields, reason: event.reason, truncated: event.reason === 'length' });
+            }
+        }
+
+        writeEvent(res, { type: 'usage', ...fields, ...await saveUsage() });
+        result.status = result.finishReason === 'length' ? 'truncated' : 'completed';
+    } catch (e) {
+        if (!usageRecorded && (usage || result.text)) await saveUsage();
+        result.error = e;
+        result.status = signal && signal.aborted ? 'cancelled' : 'failed';
+        if (result.status === 'failed') writeEvent(res, { type: 'error', ...fields, message: e.message, ...errorFields(result.text) });
+    }
+    return result;
+};
+
+// Generate API
+// Events: start, delta, usage, finish (truncated when the model hit max tokens), error and done
+app.post('/api/generate', generateRateLimit, requireBudget, async (req, res) => {
+    let generationId = null;
+    const { prompt, apiKey, generation, llm, modelOverride } = req.body;
+    const settings = resolveLlmSettings(llm, modelOverride);
+    const language = resolveLanguage(req.body.targetLanguage);
+
+    try {
+        console.log(`Received generation request (Streaming Mode - ${settings.provider} ${settings.model}).`);
+
+        const chat = openChat(settings, apiKey);
+        if (!chat) {
+            return res.status(400).json({ error: 'Missing API Key' });
+        }
+
+        const userMessage = await buildUserMessage(prompt);
+        if (userMessage.missing.length) {
+            return res.status(400).json({ error: missingVariablesMessage(userMessage.missing), missing: userMessage.missing });
+        }
+
+        const userText = withTargetLanguage(userMessage.text, language);
+        const systemPrompt = await getSystemPrompt(generation && generation.templateName);
+        generationId = await createGeneration(generation, {
+            systemPrompt,
+            userMessage: userText,
+            provider: settings.provider,
+            model: settings.model,
+            temperature: settings.temperature,
+            user: req.session.user,
+            language
+        });
+
+        console.log(`Calling ${LLM_PROVIDERS[settings.provider].label} API Stream...`);
+
+        const signal = abortOnDisconnect(res);
+        startEventStream(res);
+        writeEvent(res, { type: 'start', generationId, provider: settings.provider, model: settings.model, language });
+
+        console.log("Stream started.");
+        const result = await pipeChatToStream(res, chat, {
+            system: systemPrompt,
+            messages: [{ role: "user", content: userText }],
+            signal,
+            usage: {
+                kind: 'generate',
+                generationId,
+                settings,
+                username: sessionUsername(req),
+                templateName: generation && generation.templateName
+            }
+        });
+        const { text, finishReason, status } = result;
+
+        if (status === 'cancelled') {
+            console.log("Generation cancelled by the client.");
+        } else if (status === 'failed') {
+            console.error("Generation Error:", result.error);
+            if (result.error.status === 401) {
+                console.error("Authentication Error: Double check your API Key.");
+            }
+            writeEvent(res, { type: 'done', generationId, status, finishReason, length: text.length });
+        } else {
+            console.log(`Stream finished (${finishReason || 'no finish reason'}).`);
+            writeEvent(res, {
+                type: 'done',
+                generationId,
+                status,
+                finishReason,
+                length: text.length,
+                completeness: checkCompleteness(text, generation && generation.output)
+            });
+        }
+        res.end();
+        await finishGeneration(generationId, text, status, finishReason);
+
+    } catch (e) {
+        // Only the setup can fail here, the stream reports its own errors
+        console.error("Generation Error:", e);
+        await finishGeneration(generationId, '', 'failed', null);
+        if (!res.headersSent) {
+            res.status(500).json({ error: e.message });
+        } else {
+            writeEvent(res, { type: 'error', message: e.message });
+            writeEvent(res, { type: 'done', generationId, status: 'failed', finishReason: null, length: 0 });
+            res.end();
+        }
+    }
+});
+
+// Validate generated copy against the character limitations
+app.post('/api/validate', (req, res) => {
+    const { output, limitations } = req.body;
+    if (typeof output !== 'string') return res.status(400).json({ error: "Output is required" });
+
+    try {
+        res.json(validateCopy(output, limitations || ''));
+    } catch (e) {
+        console.error("Validation Error:", e);
+        res.status(500).json({ error: "Error validating output" });
+    }
+});
+
+// --- SECTION BUILDER ---
+
+// Section types a page layout is composed from. Limits are characters; "exact" means a verbatim copy of the keyword.
+// Repeatable sections have a group of fields ("items") written once per item; "numbered" adds a SPAN counter.
+const SECTION_CATALOGUE = [
+    {
+        type: 'hero',
+        title: 'Top heroe',
+        structure: ['Top hero'],
+        fields: [
+            { tag: 'H1', placeholder: 'Palabra clave principal', exact: true },
+            { tag: 'H2', placeholder: 'Headline', min: 80, max: 100 },
+            { tag: 'P', placeholder: 'Sub-headline', min: 100, max: 120 },
+            { tag: 'A', placeholder: 'CTA', max: 15 }
+        ]
+    },
+    {
+        type: 'benefits',
+        title: 'Grid de beneficios',
+        structure: ['Beneficios del servicio'],
+        fields: [
+            { tag: 'H2', placeholder: 'Headline introduciendo a la sección de beneficios', min: 80, max: 100 }
+        ],
+        items: {
+            count: 6, min: 1, max: 12,
+            fields: [
+                { tag: 'H3', placeholder: 'Título corto', min: 40, max: 60 },
+                { tag: 'P', placeholder: 'párrafo corto', min: 100, max: 120 }
+            ]
+        }
+    },
+    {
+        type: 'problem',
+        title: 'Sección de planteamiento de problemas/Sección de solución',
+        structure: ['Problema/Situación del cliente', 'Solución que ofrece al servicio'],
+        fields: [
+            { tag: 'H2', placeholder: 'Headline', min: 80, max: 100 },
+            { tag: 'P', placeholder: 'Párrafo', min: 250, max: 300 },
+            { tag: 'P', placeholder: 'Párrafo', min: 250, max: 300 },
+            { tag: 'A', placeholder: 'CTA', max: 15 }
+        ]
+    },
+    {
+        type: 'cta',
+        title: 'Sección de CTA',
+        structure: ['Call to action para captar el lead'],
+        fields: [
+            { tag: 'H2', placeholder: 'Headline', min: 80, max: 100 },
+            { tag: 'P', placeholder: 'Párrafo', min: 60, max: 70 },
+            { tag: 'A', placeholder: 'CTA', max: 15 }
+        ]
+    },
+    {
+        type: 'process',
+        title: 'Sección de procesos/metodología',
+        structure: ['Proceso/Metodología del servicio'],
+        fields: [
+            { tag: 'H2', placeholder: 'Headline', min: 80, max: 100 }
+        ],
+        items: {
+            count: 5, min: 2, max: 10, numbered: true,
+            fields: [
+                { tag: 'H3', placeholder: 'Título corto', min: 80, max: 100 },
+                { tag: 'P', placeholder: 'Párrafo', min: 200, max: 250 }
+            ]
+        }
+    },
+    {
+        type: 'about',
+        title: 'Sección “acerca de”',
+        structure: ['Quienes Somos/¿Por qué te podemos ayudar?'],
+        fields: [
+            { tag: 'H2', placeholder: 'Headline', min: 80, max: 100 },
+            { tag: 'P', placeholder: 'Párrafo', min: 250, max: 300 },
+            { tag: 'P', placeholder: 'Párrafo', min: 250, max: 300 },
+            { tag: 'A', placeholder: 'CTA', max: 15 }
+        ]
+    },
+    {
+        type: 'portfolio',
+        title: 'Sección de portafolio',
+        structure: ['Marcas trabajadas/Portafolio/Casos de éxito'],
+        fields: [
+            { tag: 'H2', placeholder: 'Headline', min: 80, max: 100 }
+        ]
+    },
+    {
+        type: 'testimonials',
+        title: 'Sección de testimonios',
+        structure: ['Testimonios/Estadísticas'],
+        fields: [
+            { tag: 'H2', placeholder: 'Headline', min: 80, max: 100 }
+        ]
+    },
+    {
+        type: 'faq',
+        title: 'Sección de preguntas frecuentes',
+        structure: ['Preguntas frecuentes'],
+        fields: [
+            { tag: 'H2', placeholder: 'Headline', min: 80, max: 100 }
+        ],
+        items: {
+            count: 0, min: 0, max: 12,
+            fields: [
+                { tag: 'H3', placeholder: 'Pregunta', min: 40, max: 90 },
+                { tag: 'P', placeholder: 'Respuesta', min: 150, max: 250 }
+            ]
+        }
+    },
+    {
+        type: 'finalCta',
+        title: 'Sección de CTA FINAL',
+        structure: ['Call to action final y potente para captar el lead'],
+        fields: [
+            { tag: 'H2', placeholder: 'Headline', min: 80, max: 100 },
+            { tag: 'P', placeholder: 'Párrafo', min: 60, max: 70 },
+            { tag: 'A', placeholder: 'CTA', max: 15 }
+        ]
+    }
+];
+
+const OUTPUT_FORMAT_NOTE = 'NOTA: en el output final no debes devolver ningún análisis ni nada por el estilo, solo los textos en función del wireframe que te solicita el usuario.';
+
+const findSectionType = (type) => SECTION_CATALOGUE.find(section => section.type === type);
+
+// Layout entries are { type, title?, items? }; unknown types are dropped with a warning
+const normalizeLayout = (layout) => {
+    const warnings = [];
+    const blocks = (Array.isArray(layout) ? layout : []).map(entry => {
+        const definition = entry && findSectionType(entry.type);
+        if (!definition) {
+            warnings.push(`Tipo de sección desconocido: ${entry && entry.type}`);
+            return null;
+        }
+
+        const block = { type: definition.type, title: (entry.title || '').trim() || definition.title };
+        if (definition.items) {
+            const count = parseInt(entry.items, 10);
+            block.items = Math.min(Math.max(Number.isNaN(count) ? definition.items.count : count, definition.items.min), definition.items.max);
+        }
+        return block;
+    }).filter(Boolean);
+
+    return { blocks, warnings };
+};
+
+// Fields of one section instance in page order, with item groups expanded
+const expandBlockFields = (block) => {
+    const definition = findSectionType(block.type);
+    const fields = [...definition.fields];
+    for (let i = 1; i <= (block.items || 0); i++) {
+        if (definition.items.numbered) fields.push({ tag: 'SPAN', placeholder: String(i).padStart(2, '0') });
+        fields.push(...definition.items.fields);
+    }
+    return fields;
+};
+
+// Same wording as rags/limitaciones.txt so parseRange reads it back
+const describeLimit = (field) => {
+    if (field.exact) return 'copia textual, sin alteraciones';
+    if (field.min && field.max) return `${field.min} caracteres como mínimo - ${field.max} caracteres como máximo`;
+    if (field.max) return `${field.max} caracteres`;
+    if (field.min) return `${field.min} caracteres como mínimo`;
+    return null;
+};
+
+// Builds the structure, output format and limitations texts of a layout. Every output field gets its own
+// limitation line, so the n-th field of a tag always meets the n-th rule in validateCopy.
+const composeLayout = (layout) => {
+    const { blocks, warnings } = normalizeLayout(layout);
+    const structure = [];
+    const output = ['Estructura:'];
+    const limitations = [];
+
+    blocks.forEach(block => {
+        const definition = findSectionType(block.type);
+        const fields = expandBlockFields(block);
+        definition.structure.forEach(label => structure.push(`[${label}]`));
+
+        output.push(`### ${block.title}`);
+        fields.forEach(field => output.push(`${field.tag}: [${field.placeholder}]`));
+
+        const rules = fields
+            .map(field => ({ field, limit: describeLimit(field) }))
+            .filter(rule => rule.limit)
+            .map(({ field, limit }) => `${field.tag === 'A' ? 'CTA' : field.tag}: ${limit}`);
+        if (rules.length) limitations.push([`### ${block.title}`, ...rules].join('\n'));
+    });
+
+    output.push(OUTPUT_FORMAT_NOTE);
+    return {
+        layout: blocks,
+        structure: structure.join('\n'),
+        output: blocks.length ? output.join('\n') : '',
+        limitations: limitations.join('\n\n'),
+        warnings
+    };
+};
+
+// Best-effort layout from an existing output format: each "###" section is matched to a catalogue title
+const detectLayout = (outputText) => {
+    const layout = [];
+    const unmatched = [];
+
+    parseCopy(outputText).sections.forEach(section => {
+        if (!section.title) return;
+        let best = null;
+        let bestScore = 0;
+        SECTION_CATALOGUE.forEach(definition => {
+            const score = titleSimilarity(section.title, definition.title);
+            if (score > bestScore) {
+                best = definition;
+                bestScore = score;
+            }
+        });
+
+        if (!best || bestScore < 0.5) return unmatched.push(section.title);
+
+        const block = { type: best.type, title: section.title };
+        if (best.items) {
+            const itemTag = best.items.fields[0].tag;
+            const fixed = best.fields.filter(field => field.tag === itemTag).length;
+            block.items = Math.max(section.fields.filter(field => field.tag === itemTag).length - fixed, 0);
+        }
+        layout.push(block);
+    });
+
+    return { layout: normalizeLayout(layout).blocks, unmatched };
+};
+
+app.get('/api/sections/catalogue', (req, res) => {
+    res.json(SECTION_CATALOGUE);
+});
+
+app.post('/api/sections/compose', (req, res) => {
+    try {
+        res.json(composeLayout(req.body.layout));
+    } catch (e) {
+        console.error("Error composing layout:", e);
+        res.status(500).json({ error: "Error composing layout" });
+    }
+});
+
+app.post('/api/sections/detect', (req, res) => {
+    if (typeof req.body.output !== 'string') return res.status(400).json({ error: "Output is required" });
+    res.json(detectLayout(req.body.output));
+});
+
+// --- SEO REPORT ---
+
+// Keyword density (in % of words) considered natural; above the max it reads as stuffing
+const SEO_DENSITY_MIN = 0.5;
+const SEO_DENSITY_MAX = 2.5;
+
+// Accepts an array or a comma/newline separated string
+const parseKeywordList = (value) => (Array.isArray(value) ? value : String(value || '').split(/[,\n]/))
+    .map(keyword => String(keyword).trim())
+    .filter(Boolean);
+
+const normalizeForMatch = (text) => stripAccents(String(text || '').toLowerCase())
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// Occurrences of the keyword as a whole phrase, ignoring case, accents and punctuation
+const countPhrase = (text, keyword) => {
+    const haystack = ` ${normalizeForMatch(text)} `;
+    const needle = ` ${normalizeForMatch(keyword)} `;
+    if (needle.trim() === '') return 0;
+
+    let count = 0;
+    let index = haystack.indexOf(needle);
+    while (index !== -1) {
+        count++;
+        index = haystack.indexOf(needle, index + needle.length - 1);
+    }
+    return count;
+};
+
+const countWords = (text) => normalizeForMatch(text).split(' ').filter(Boolean).length;
+
+// Share of the copy taken by the keyword: occurrences × words in the keyword / total words
+const keywordDensity = (fields, keyword) => {
+    const words = fields.reduce((sum, field) => sum + countWords(field.text), 0);
+    const occurrences = fields.reduce((sum, field) => sum + countPhrase(field.text, keyword), 0);
+    const percent = words ? Math.round(occurrences * countWords(keyword) / words * 10000) / 100 : 0;
+    return { occurrences, words, percent };
+};
+
+const densityStatus = (percent) => {
+    if (percent > SEO_DENSITY_MAX) return 'fail';
+    if (percent < SEO_DENSITY_MIN) return 'warn';
+    return 'pass';
+};
+
+const buildSeoReport = (output, keyword, secondaryKeywords) => {
+    const fields = parseCopy(output).sections.flatMap(section =>
+        section.fields.map(field => ({ ...field, section: section.title })));
+    const byTag = (tag) => fields.filter(field => field.tag === tag);
+    const linesWith = (list) => list.filter(field => countPhrase(field.text, keyword) > 0).map(field => field.line);
+    const checks = [];
+
+    // H1 must be a verbatim copy of the main keyword
+    const h1s = byTag('H1');
+    const h1 = h1s[0];
+    let h1Status = 'fail';
+    let h1Detail = 'No hay H1 en el texto';
+    if (h1) {
+        if (h1.text === keyword) {
+            h1Status = 'pass';
+            h1Detail = 'El H1 es una copia textual de la palabra clave';
+        } else if (normalizeForMatch(h1.text) === normalizeForMatch(keyword)) {
+            h1Status = 'warn';
+            h1Detail = 'El H1 coincide salvo mayúsculas, acentos o puntuación';
+        } else {
+            h1Detail = countPhrase(h1.text, keyword)
+                ? 'El H1 contiene la palabra clave pero no es una copia textual'
+                : 'El H1 no contiene la palabra clave';
+        }
+        if (h1s.length > 1 && h1Status === 'pass') {
+            h1Status = 'warn';
+            h1Detail += ` (hay ${h1s.length} H1)`;
+        }
+    }
+    checks.push({ id: 'h1', label: 'H1 exacto', status: h1Status, detail: h1Detail, lines: h1s.map(field => field.line) });
+
+    const presenceCheck = (id, label, list, missingStatus) => {
+        const lines = linesWith(list);
+        checks.push({
+            id,
+            label,
+            status: list.length === 0 ? 'warn' : lines.length ? 'pass' : missingStatus,
+            detail: list.length === 0 ? 'No hay campos de este tipo' : `En ${lines.length} de ${list.length}`,
+            lines
+        });
+    };
+    presenceCheck('h2', 'Palabra clave en H2', byTag('H2'), 'fail');
+    presenceCheck('cta', 'Palabra clave en CTAs', byTag('A'), 'warn');
+    presenceCheck('first-paragraph', 'Palabra clave en el primer párrafo', byTag('P').slice(0, 1), 'fail');
+
+    const density = keywordDensity(fields, keyword);
+    checks.push({
+        id: 'density',
+        label: 'Densidad de la palabra clave',
+        status: densityStatus(density.percent),
+        detail: `${density.percent}% (${density.occurrences} apariciones en ${density.words} palabras, recomendado ${SEO_DENSITY_MIN}–${SEO_DENSITY_MAX}%)`,
+        lines: linesWith(fields)
+    });
+
+    // Stuffing: the same field repeating a keyword
+    const allKeywords = [keyword, ...secondaryKeywords];
+    const warnings = [];
+    fields.forEach(field => {
+        allKeywords.forEach(term => {
+            const count = countPhrase(field.text, term);
+            if (count > 1) warnings.push({ line: field.line, section: field.section, tag: field.tag, keyword: term, count });
+        });
+    });
+
+    const secondary = secondaryKeywords.map(term => {
+        const stats = keywordDensity(fields, term);
+        return {
+            keyword: term,
+            ...stats,
+            status: stats.occurrences === 0 ? 'warn' : stats.percent > SEO_DENSITY_MAX ? 'fail' : 'pass',
+            lines: fields.filter(field => countPhrase(field.text, term) > 0).map(field => field.line)
+        };
+    });
+
+    const statuses = [...checks, ...secondary].map(item => item.status);
+    return {
+        keyword,
+        checks,
+        density,
+        secondary,
+        warnings,
+        summary: {
+            passed: statuses.filter(status => status === 'pass').length,
+            warnings: statuses.filter(status => status === 'warn').length + warnings.length,
+            failed: statuses.filter(status => status === 'fail').length
+        }
+    };
+};
+
+app.post('/api/seo-report', (req, res) => {
+    const { output, keyword, secondaryKeywords } = req.body;
+    if (typeof output !== 'string') return res.status(400).json({ error: "Output is required" });
+    if (!keyword || !String(keyword).trim()) return res.status(400).json({ error: "Keyword is required" });
+
+    try {
+        res.json(buildSeoReport(output, String(keyword).trim(), parseKeywordList(secondaryKeywords)));
+    } catch (e) {
+        console.error("SEO Report Error:", e);
+        res.status(500).json({ error: "Error building SEO report" });
+    }
+});
+
+// --- AUTO-FIX ---
+
+const AUTOFIX_MAX_ROUNDS = 5;
+const AUTOFIX_DEFAULT_ROUNDS = Math.min(parseInt(process.env.AUTOFIX_MAX_ROUNDS, 10) || 2, AUTOFIX_MAX_ROUNDS);
+
+const describeRange = (field) => {
+    if (field.min !== null && field.max !== null) return `entre ${field.min} y ${field.max} caracteres`;
+    if (field.max !== null) return `como máximo ${field.max} caracteres`;
+    return `como mínimo ${field.min} caracteres`;
+};
+
+const buildFixPrompt = (output, failing) => {
+    const fieldList = failing.map(field =>
+        `[${field.id}] Sección "${field.section}" · ${field.tag} · ahora tiene ${field.length} caracteres, debe tener ${describeRange(field)}\n` +
+        `Texto actual: ${field.text}`
+    ).join('\n\n');
+
+    return `Reescribe SOLO los campos listados de la landing page para que cumplan exactamente el rango de caracteres indicado (contando espacios y signos de puntuación).
+Mantén el idioma, el tono, la intención y la información de cada campo, y que sigan encajando con el resto de la página.
+Devuelve únicamente un objeto JSON cuyas claves sean los ids de los campos y cuyos valores sean el nuevo texto, por ejemplo {"3": "nuevo texto"}. Sin markdown ni comentarios.
+
+## Página completa (contexto)
+${output}
+
+## Campos a corregir
+${fieldList}`;
+};
+
+// Extracts the {"id": "text"} object from the model answer, tolerating code fences around it
+const parseFixResponse = (text) => {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return {};
+    try {
+        const parsed = JSON.parse(text.slice(start, end + 1));
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (e) {
+        console.error("Auto-fix: could not parse model answer:", e.message);
+        return {};
+    }
+};
+
+// Replaces the text of the given fields in place, keeping each line's tag prefix
+const applyFieldFixes = (output, failing, fixes) => {
+    const { lines } = parseCopy(output);
+    const changes = [];
+
+    failing.forEach(field => {
+        const replacement = fixes[field.id];
+        if (typeof replacement !== 'string' || !replacement.trim()) return;
+
+        const text = replacement.replace(/\s+/g, ' ').trim();
+        const parsed = matchFieldLine(lines[field.line] || '');
+        if (!parsed) return;
+
+        lines[field.line] = parsed.prefix + text;
+        changes.push({ field, text });
+    });
+
+    return { output: lines.join('\n'), changes };
+};
+
+// Rewrites only the fields that break the character limits, up to maxRounds follow-up requests
+app.post('/api/autofix', generateRateLimit, requireBudget, async (req, res) => {
+    const { output, limitations, apiKey, generationId, llm, modelOverride, templateName } = req.body;
+    if (typeof output !== 'string' || !output.trim()) {
+        return res.status(400).json({ error: "Output is required" });
+    }
+
+    const language = resolveLanguage(req.body.targetLanguage);
+    const requestedRounds = parseInt(req.body.maxRounds, 10) || AUTOFIX_DEFAULT_ROUNDS;
+    const maxRounds = Math.max(1, Math.min(requestedRounds, AUTOFIX_MAX_ROUNDS));
+
+    // Fixes only need a few fields back, not a whole page
+    const settings = resolveLlmSettings(llm, modelOverride, { maxTokens: 4000 });
+    const chat = openChat(settings, apiKey);
+    if (!chat) {
+        return res.status(400).json({ error: 'Missing API Key' });
+    }
+
+    const signal = abortOnDisconnect(res);
+    startEventStream(res);
+
+    let current = output;
+    let round = 0;
+
+    try {
+        const systemPrompt = await getSystemPrompt(templateName);
+        let report = validateCopy(current, limitations || '');
+
+        while (round < maxRounds) {
+            const failing = report.fields.filter(field => field.status === 'fail');
+            if (failing.length === 0) break;
+
+            round++;
+            writeEvent(res, { type: 'round', round, maxRounds, failing: failing.length });
+            console.log(`Auto-fix round ${round}/${maxRounds}: ${failing.length} fields out of range.`);
+
+            const messages = [{ role: "user", content: withTargetLanguage(buildFixPrompt(current, failing), language) }];
+            const completion = await completeChat(chat, { system: systemPrompt || '', messages, signal });
+            const usage = await recordUsage({
+                kind: 'autofix',
+                generationId,
+                settings,
+                usage: usageOrEstimate(completion.usage, [{ content: systemPrompt || '' }, ...messages], completion.text),
+                username: sessionUsername(req),
+                templateName
+            });
+            writeEvent(res, { type: 'usage', round, ...usage });
+
+            const { output: fixed, changes } = applyFieldFixes(current, failing, parseFixResponse(completion.text));
+            current = fixed;
+            report = validateCopy(current, limitations || '');
+
+            changes.forEach(({ field, text }) => {
+                const after = report.fields.find(f => f.line === field.line);
+                writeEvent(res, {
+                    type: 'fix',
+                    round,
+                    section: field.section,
+                    tag: field.tag,
+                    line: field.line,
+                    before: field.text,
+                    after: text,
+                    beforeLength: field.length,
+                    afterLength: after ? after.length : countChars(text),
+                    min: field.min,
+                    max: field.max,
+                    status: after ? after.status : 'unchecked'
+                });
+            });
+            writeEvent(res, { type: 'output', text: current });
+
+            if (changes.length === 0) break; // Model returned nothing usable, don't loop on it
+        }
+
+        writeEvent(res, { type: 'done', rounds: round, remaining: report.summary.failed, output: current });
+        res.end();
+        if (round > 0) await updateGenerationOutput(generationId, current);
+    } catch (e) {
+        if (signal.aborted) console.log("Auto-fix cancelled by the client.");
+        else console.error("Auto-fix Error:", e);
+        writeEvent(res, { type: 'error', message: e.message, output: current });
+        res.end();
+        if (round > 0) await updateGenerationOutput(generationId, current);
+    }
+});
+
+// --- SECTION REGENERATION ---
+
+// Line range of the "###" section starting at headingLine; trailing blank lines stay outside the block
+const findSectionBlock = (output, headingLine) => {
+    const { lines, sections } = parseCopy(output);
+    const index = sections.findIndex(section => section.title && section.line === headingLine);
+    if (index === -1) return null;
+
+    const next = sections[index + 1];
+    let end = next ? next.line : lines.length;
+    while (end > headingLine + 1 && !lines[end - 1].trim()) end--;
+
+    return { title: sections[index].title, start: headingLine, end, lines };
+};
+
+const buildSectionPrompt = (block, instruction) => `Reescribe SOLO la sección indicada de la landing page que acabas de escribir.
+Mantén el formato (encabezado ### y líneas H1/H2/H3/P/A/SPAN), las limitaciones de caracteres de esa sección y el tono del resto de la página, sin repetir ideas de otras secciones.
+Devuelve únicamente la sección completa empezando por su encabezado, sin comentarios ni markdown adicional.
+
+## Sección a regenerar
+${block.lines.slice(block.start, block.end).join('\n')}
+${instruction ? `\n## Instrucciones adicionales\n${instruction}\n` : ''}`;
+
+// Keeps only the section body from the model answer and puts the original heading back on top
+const cleanSectionResponse = (text, headingLine) => {
+    const lines = text.replace(/^\s*```[a-z]*\s*$/gim, '').split(/\r?\n/);
+    const headingIndex = lines.findIndex(line => SECTION_LINE_REGEX.test(line));
+    const body = headingIndex === -1 ? lines : lines.slice(headingIndex + 1);
+    return [headingLine, ...body].join('\n').replace(/\s+$/, '');
+};
+
+const replaceSectionBlock = (block, sectionText) => [
+    ...block.lines.slice(0, block.start),
+    sectionText,
+    ...block.lines.slice(block.end)
+].join('\n');
+
+// Regenerates one section with the original request and the current page as context. Streams SSE events.
+app.post('/api/generate/section', generateRateLimit, requireBudget, async (req, res) => {
+    const { prompt, apiKey, llm, modelOverride, output, line, instruction, generationId, templateName } = req.body;
+    if (typeof output !== 'string' || !output.trim()) {
+        return res.status(400).json({ error: "Output is required" });
+    }
+
+    const block = findSectionBlock(output, parseInt(line, 10));
+    if (!block) return res.status(400).json({ error: "Section not found in the current output" });
+
+    const settings = resolveLlmSettings(llm, modelOverride);
+    const chat = openChat(settings, apiKey);
+    if (!chat) {
+        return res.status(400).json({ error: 'Missing API Key' });
+    }
+
+    let userMessage;
+    let systemPrompt;
+    try {
+        userMessage = await buildUserMessage(prompt);
+        systemPrompt = await getSystemPrompt(templateName);
+    } catch (e) {
+        console.error("Error rendering prompt:", e);
+        return res.status(500).json({ error: "Database error" });
+    }
+    if (userMessage.missing.length) {
+        return res.status(400).json({ error: missingVariablesMessage(userMessage.missing), missing: userMessage.missing });
+    }
+
+    const signal = abortOnDisconnect(res);
+    startEventStream(res);
+    writeEvent(res, { type: 'start', title: block.title, start: block.start, end: block.end });
+    console.log(`Regenerating section "${block.title}".`);
+
+    const messages = [
+        { role: "user", content: withTargetLanguage(userMessage.text, resolveLanguage(req.body.targetLanguage)) },
+        { role: "assistant", content: output },
+        { role: "user", content: buildSectionPrompt(block, (instruction || '').trim()) }
+    ];
+    const result = await pipeChatToStream(res, chat, {
+        system: systemPrompt,
+        messages,
+        signal,
+        usage: { kind: 'section', generationId, settings, username: sessionUsername(req), templateName },
+        errorFields: () => ({ output })
+    });
+
+    if (result.status === 'cancelled') return console.log("Section regeneration cancelled by the client.");
+    if (result.status === 'failed') {
+        console.error("Section Regeneration Error:", result.error);
+        return res.end();
+    }
+    // A cut-off section would silently drop fields, so the page is left untouched
+    if (result.status === 'truncated') {
+        writeEvent(res, { type: 'error', message: 'La sección se cortó al alcanzar el límite de tokens', output });
+        return res.end();
+    }
+
+    const section = cleanSectionResponse(result.text, block.lines[block.start]);
+    const merged = replaceSectionBlock(block, section);
+    writeEvent(res, { type: 'done', section, output: merged });
+    res.end();
+    await updateGenerationOutput(generationId, merged);
+});
+
+// --- VARIANTS ---
+
+const MAX_VARIANTS = 4;
+const VARIANT_LABELS = ['A', 'B', 'C', 'D'];
+
+// Every variant is its own LLM call, so each one counts against the generation rate limit
+const variantsRateLimit = generateRateLimit.weighted(req => {
+    const count = Array.isArray(req.body && req.body.variants) ? req.body.variants.length : 0;
+    return Math.min(Math.max(count, 1), MAX_VARIANTS);
+});
+
+// The angle instruction goes after the rendered user message so every variant shares the same base prompt
+const withVariantAngle = (userMessage, angle) => (angle
+    ? `${userMessage}\n\n## Enfoque de esta variante\n${angle}`
+    : userMessage);
+
+// Streams one variant. Events carry the variant index; failures end only that variant.
+const streamVariant = async (res, signal, variant, { systemPrompt, username, templateName }) => {
+    const { text, finishReason, status, error } = await pipeChatToStream(res, variant.chat, {
+        system: systemPrompt,
+        messages: [{ role: "user", content: variant.userMessage }],
+        signal,
+        usage: { kind: 'variant', generationId: variant.generationId, settings: variant.settings, username, templateName },
+        fields: { variant: variant.index }
+    });
+
+    if (status === 'failed') console.error(`Variant ${VARIANT_LABELS[variant.index]} Error:`, error);
+    if (status !== 'cancelled') {
+        writeEvent(res, { type: 'done', variant: variant.index, generationId: variant.generationId, status, finishReason, length: text.length });
+    }
+    await finishGeneration(variant.generationId, text, status, finishReason);
+};
+
+// Generates 2-4 variants of the page concurrently, each with an optional temperature and angle instruction.
+// Every variant is stored as its own generation sharing a variant group id.
+app.post('/api/generate/variants', variantsRateLimit, requireBudget, async (req, res) => {
+    const body = req.body || {};
+    const { prompt, apiKey, generation, llm, modelOverride } = body;
+    const requested = Array.isArray(body.variants) ? body.variants.slice(0, MAX_VARIANTS) : [];
+    const language = resolveLanguage(body.targetLanguage);
+    if (requested.length < 2) return res.status(400).json({ error: `Pide entre 2 y ${MAX_VARIANTS} variantes.` });
+
+    const variants = requested.map((options, index) => {
+        const settings = resolveLlmSettings(llm, modelOverride, { temperature: options && options.temperature });
+        return {
+            index,
+            settings,
+            angle: String((options && options.angle) || '').trim(),
+            chat: openChat(settings, apiKey)
+        };
+    });
+
+    try {
+        console.log(`Received variants request (${variants.length} variants - ${variants[0].settings.provider} ${variants[0].settings.model}).`);
+        if (variants.some(variant => !variant.chat)) {
+            return res.status(400).json({ error: 'Missing API Key' });
+        }
+
+        const userMessage = await buildUserMessage(prompt);
+        if (userMessage.missing.length) {
+            return res.status(400).json({ error: missingVariablesMessage(userMessage.missing), missing: userMessage.missing });
+        }
+
+        const systemPrompt = await getSystemPrompt(generation && generation.templateName);
+        const group = crypto.randomUUID();
+        for (const variant of variants) {
+            variant.userMessage = withVariantAngle(withTargetLanguage(userMessage.text, language), variant.angle);
+            variant.generationId = await createGeneration(generation, {
+                systemPrompt,
+                userMessage: variant.userMessage,
+                provider: variant.settings.provider,
+                model: variant.settings.model,
+                temperature: variant.settings.temperature,
+                user: req.session.user,
+                variant: { group, index: variant.index, angle: variant.angle },
+                language
+            });
+        }
+
+        const signal = abortOnDisconnect(res);
+        startEventStream(res);
+        writeEvent(res, {
+            type: 'start',
+            group,
+            provider: variants[0].settings.provider,
+            model: variants[0].settings.model,
+            variants: variants.map(variant => ({
+                index: variant.index,
+                label: VARIANT_LABELS[variant.index],
+                generationId: variant.generationId,
+                temperature: variant.settings.temperature,
+                angle: variant.angle
+            }))
+        });
+
+        const context = { systemPrompt, username: sessionUsername(req), templateName: generation && generation.templateName };
+        await Promise.all(variants.map(variant => streamVariant(res, signal, variant, context)));
+        if (signal.aborted) console.log("Variants cancelled by the client.");
+        res.end();
+    } catch (e) {
+        console.error("Variants Error:", e);
+        if (!res.headersSent) {
+            res.status(500).json({ error: e.message });
+        } else {
+            writeEvent(res, { type: 'error', message: e.message });
+            res.end();
+        }
+    }
+});
+
+// Splits a page into its "###" blocks ({ title, text }); trailing blank lines stay outside each block
+const splitSectionBlocks = (output) => parseCopy(output).sections
+    .filter(section => section.title)
+    .map(section => findSectionBlock(output, section.line))
+    .map(block => ({ title: block.title, text: block.lines.slice(block.start, block.end).join('\n') }));
+
+// Lines the variants up section by section, in the order of the output format. Sections the format doesn't
+// list are added at the end. Each row holds one block per variant, or null when that variant lacks the section.
+const alignVariants = (outputs, outputFormat) => {
+    const rows = parseCopy(outputFormat).sections
+        .filter(section => section.title)
+        .map(section => ({ title: section.title, blocks: outputs.map(() => null) }));
+
+    outputs.forEach((output, index) => {
+        splitSectionBlocks(output).forEach(block => {
+            let best = null;
+            let bestScore = 0;
+            rows.forEach(row => {
+                if (row.blocks[index] !== null) return;
+                const score = row.title === block.title ? 1 : titleSimilarity(row.title, block.title);
+                if (score > bestScore) {
+                    best = row;
+                    bestScore = score;
+                }
+            });
+
+            if (!best || bestScore < 0.5) {
+                best = { title: block.title, blocks: outputs.map(() => null) };
+                rows.push(best);
+            }
+            best.blocks[index] = block.text;
+        });
+    });
+
+    return rows.filter(row => row.blocks.some(block => block !== null));
+};
+
+const getVariantGroup = async (group) => {
+    const result = await pool.query(
+        `SELECT id, variant_index, variant_angle, temperature, model, status, output, output_format, created_at
+         FROM web_skyling_generations
+         WHERE variant_group = $1
+         ORDER BY variant_index NULLS LAST, id`,
+        [group]
+    );
+    const variants = result.rows.filter(row => row.variant_index !== null);
+    return {
+        variants,
+        combined: result.rows.filter(row => row.variant_index === null).map(row => row.id)
+    };
+};
+
+app.get('/api/variants/:group', async (req, res) => {
+    try {
+        const { variants, combined } = await getVariantGroup(req.params.group);
+        if (variants.length === 0) return res.status(404).json({ error: "Variants not found" });
+
+        res.json({
+            group: req.params.group,
+            variants: variants.map(row => ({
+                index: row.variant_index,
+                label: VARIANT_LABELS[row.variant_index] || String(row.variant_index + 1),
+                generationId: row.id,
+                angle: row.variant_angle,
+                temperature: row.temperature,
+                model: row.model,
+                status: row.status,
+                length: row.output.length
+            })),
+            sections: alignVariants(variants.map(row => row.output), variants[0].output_format || ''),
+            combined
+        });
+    } catch (e) {
+        console.error("Error fetching variants:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Builds the final page from one variant per section ({ picks: [variant index per aligned section, null skips it] })
+// and stores it as a new generation of the group
+app.post('/api/variants/:group/combine', async (req, res) => {
+    const picks = Array.isArray(req.body.picks) ? req.body.picks : [];
+
+    try {
+        const { variants } = await getVariantGroup(req.params.group);
+        if (variants.length === 0) return res.status(404).json({ error: "Variants not found" });
+
+        const sections = alignVariants(variants.map(row => row.output), variants[0].output_format || '');
+        const output = sections
+            .map((row, i) => (Number.isInteger(picks[i]) ? row.blocks[picks[i]] : null))
+            .filter(Boolean)
+            .join('\n\n');
+        if (!output) return res.status(400).json({ error: "Elige al menos una sección." });
+
+        const result = await pool.query(
+            `INSERT INTO web_skyling_generations
+                (keyword, secondary_keywords, brief, structure, output_format, limitations, system_prompt, template_name, provider, model,
+                 created_by, user_message, prompt_variables, project_id, variant_group, language, output, status, completed_at)
+             SELECT keyword, secondary_keywords, brief, structure, output_format, limitations, system_prompt, template_name, provider, model,
+                    $1, user_message, prompt_variables, project_id, variant_group, language, $2, 'completed', CURRENT_TIMESTAMP
+             FROM web_skyling_generations
+             WHERE id = $3
+             RETURNING id`,
+            [sessionUsername(req), output, variants[0].id]
+        );
+        res.json({ success: true, generationId: result.rows[0].id, output });
+    } catch (e) {
+        console.error("Error combining variants:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// --- LANGUAGES & TRANSLATION ---
+
+// Rags and prompts are written in Spanish; other languages are requested with an extra instruction
+const LANGUAGES = {
+    es: { label: 'Español', name: 'español' },
+    en: { label: 'English', name: 'inglés' },
+    pt: { label: 'Português', name: 'portugués' }
+};
+const DEFAULT_LANGUAGE = 'es';
+
+const resolveLanguage = (code) => (LANGUAGES[code] ? code : DEFAULT_LANGUAGE);
+
+const withTargetLanguage = (userMessage, language) => (language === DEFAULT_LANGUAGE ? userMessage : `${userMessage}
+
+## Idioma de salida
+Escribe todos los textos de la página en ${LANGUAGES[language].name}, de forma natural y no como una traducción literal. Los encabezados ### y las etiquetas (H1, H2, H3, P, A, SPAN) se mantienen exactamente como en el output indicado y los límites de caracteres son los mismos.`);
+
+// Section headings are wireframe labels, not page copy: they stay untouched so limits, validation and
+// section regeneration keep matching the translated page
+const buildTranslationPrompt = ({ output, language, limitations, keyword }) => `Traduce al ${LANGUAGES[language].name} los textos de esta landing page.
+Copia sin cambios las líneas de encabezado ### y conserva en cada línea su etiqueta (H1, H2, H3, P, A, SPAN), en el mismo orden y sin añadir ni quitar líneas.
+Traduce solo el texto que va después de cada etiqueta, adaptándolo de forma natural al idioma, y respeta los límites de caracteres de cada campo, que son los mismos en el idioma de destino.
+${keyword ? `El H1 debe ser exactamente: ${keyword}` : 'El H1 debe ser la traducción natural de la palabra clave principal.'}
+Devuelve únicamente la página traducida, sin comentarios ni markdown adicional.
+
+## Limitaciones de caracteres
+${limitations || '(sin limitaciones)'}
+
+## Texto a traducir
+${output}`;
+
+// Sections or fields the translation lost, added or reordered compared with the source page
+const compareStructure = (source, translated) => {
+    const describe = (text) => parseCopy(text).sections
+        .filter(section => section.title)
+        .map(section => ({ title: section.title, tags: section.fields.map(field => field.tag).join(', ') }));
+    const before = describe(source);
+    const after = describe(translated);
+    const warnings = [];
+
+    before.forEach(section => {
+        const match = after.find(other => other.title === section.title);
+        if (!match) {
+            warnings.push(`Falta la sección "${section.title}".`);
+        } else if (match.tags !== section.tags) {
+            warnings.push(`La sección "${section.title}" cambió sus campos (${section.tags} → ${match.tags || 'ninguno'}).`);
+        }
+    });
+    after.forEach(section => {
+        if (!before.some(other => other.title === section.title)) warnings.push(`Sección nueva "${section.title}".`);
+    });
+    return warnings;
+};
+
+app.get('/api/languages', (req, res) => {
+    res.json({
+        default: DEFAULT_LANGUAGE,
+        languages: Object.entries(LANGUAGES).map(([code, language]) => ({ code, label: language.label }))
+    });
+});
+
+// All language versions of a page: the original and its translations
+app.get('/api/generations/:id/languages', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT v.id, v.language, v.status, v.created_by, v.created_at, v.translation_of
+             FROM web_skyling_generations g
+             JOIN web_skyling_generations v ON v.id = COALESCE(g.translation_of, g.id) OR v.translation_of = COALESCE(g.translation_of, g.id)
+             WHERE g.id = $1
+             ORDER BY v.translation_of NULLS FIRST, v.id`,
+            [parseInt(req.params.id, 10) || 0]
+        );
+        if (result.rows.length === 0) return res.status(404).json({ error: "Generation not found" });
+        res.json(result.rows);
+    } catch (e) {
+        console.error("Error fetching language versions:", e);
+        res.status(500).json({ error: "Database error" });
+    }
+});
+
+// Translates a page keeping its headings and tags, then re-checks the structure and the character limits.
+// The translation is stored next to the original generation. Streams SSE events.
+app.post('/api/translate', generateRateLimit, requireBudget, async (req, res) => {
+    const { apiKey, llm, modelOverride, output, limitations, keyword, generationId, generation } = req.body;
+    if (typeof output !== 'string' || !output.trim()) {
+        return res.status(400).json({ error: "Output is required" });
+    }
+    if (!LANGUAGES[req.body.targetLanguage]) {
+        return res.status(400).json({ error: "Idioma no soportado." });
+    }
+
+    const language = req.body.targetLanguage;
+    const settings = resolveLlmSettings(llm, modelOverride);
+    const prompt = buildTranslationPrompt({ output, language, limitations, keyword: String(keyword || '').trim() });
+    let translationId = null;
+
+    const chat = openChat(settings, apiKey);
+    if (!chat) return res.status(400).json({ error: 'Missing API Key' });
+
+    try {
+        const systemPrompt = await getSystemPrompt(generation && generation.templateName);
+        let original = null;
+        if (generationId) {
+            const source = await pool.query('SELECT id, translation_of FROM web_skyling_generations WHERE id = $1', [parseInt(generationId, 10) || 0]);
+            if (source.rows.length) original = source.rows[0].translation_of || source.rows[0].id;
+        }
+
+        translationId = await createGeneration({ ...generation, keyword: String(keyword || '').trim() || (generation && generation.keyword) }, {
+            systemPrompt,
+            userMessage: prompt,
+            provider: settings.provider,
+            model: settings.model,
+            temperature: settings.temperature,
+            user: req.session.user,
+            language,
+            translationOf: original
+        });
+
+        const signal = abortOnDisconnect(res);
+        startEventStream(res);
+        writeEvent(res, { type: 'start', generationId: translationId, language, provider: settings.provider, model: settings.model });
+
+        const result = await pipeChatToStream(res, chat, {
+            system: systemPrompt,
+            messages: [{ role: "user", content: prompt }],
+            signal,
+            usage: {
+                kind: 'translate',
+                generationId: translationId,
+                settings,
+                username: sessionUsername(req),
+                templateName: generation && generation.templateName
+            }
+        });
+        const { status, finishReason } = result;
+        const translated = result.text.replace(/^\s*```[a-z]*\s*$/gim, '').trim();
+
+        if (status === 'cancelled') {
+            console.log("Translation cancelled by the client.");
+        } else if (status === 'failed') {
+            console.error("Translation Error:", result.error);
+        } else {
+            writeEvent(res, {
+                type: 'done',
+                generationId: translationId,
+                translationOf: original,
+                language,
+                status,
+                output: translated,
+                structureWarnings: compareStructure(output, translated),
+                validation: validateCopy(translated, limitations || '').summary
+            });
+        }
+        res.end();
+        await finishGeneration(translationId, translated, status, finishReason);
+    } catch (e) {
+        // Only the setup can fail here, the stream reports its own errors
+        console.error("Translation Error:", e);
+        await finishGeneration(translationId, '', 'failed', null);
+        if (!res.headersSent) {
+            res.status(500).json({ error: e.message });
+        } else {
+            writeEvent(res, { type: 'error', message: e.message });
+            res.end();
+        }
+    }
+});
+
+// --- CONTINUATION ---
+
+const CONTINUE_INSTRUCTION = `Tu respuesta anterior se cortó. Continúa exactamente donde se detuvo, empezando por el carácter siguiente.
+No repitas nada de lo ya escrito ni añadas comentarios: devuelve solo el resto de la página.`;
+
+// Providers with prefill keep writing the partial assistant turn. The rest would answer it again from the top,
+// so they get an explicit instruction to send only the remainder.
+const continuationMessages = (settings, userText, partial) => [
+    { role: "user", content: userText },
+    { role: "assistant", content: partial },
+    ...(LLM_PROVIDERS[settings.provider].prefill(settings.model) ? [] : [{ role: "user", content: CONTINUE_INSTRUCTION }])
+];
+
+// Compares the "###" sections of a page with the ones its output format asks for. The page is incomplete when
+// sections are missing or when the last one has fewer fields than its block in the format (cut mid-section).
+const checkCompleteness = (output, outputFormat) => {
+    const expected = parseCopy(outputFormat || '').sections.filter(section => section.title);
+    const present = parseCopy(output || '').sections.filter(section => section.title);
+    const matchesTitle = (a, b) => a === b || titleSimilarity(a, b) >= 0.5;
+
+    const used = new Set();
+    const missing = expected.filter(section => {
+        const index = present.findIndex((other, i) => !used.has(i) && matchesTitle(other.title, section.title));
+        if (index === -1) return true;
+        used.add(index);
+        return false;
+    }).map(section => section.title);
+
+    const last = present[present.length - 1];
+    const lastFormat = last ? expected.find(section => matchesTitle(last.title, section.title)) : null;
+    const partial = lastFormat && last.fields.length < lastFormat.fields.length ? last.title : null;
+
+    return {
+        complete: missing.length === 0 && !partial,
+        expected: expected.length,
+        found: expected.length - missing.length,
+        missing,
+        partial
+    };
+};
+
+app.post('/api/generate/completeness', (req, res) => {
+    const { output, format } = req.body;
+    if (typeof output !== 'string') return res.status(400).json({ error: "Output is required" });
+    res.json(checkCompleteness(output, format));
+});
+
+// Continues a page that stopped early (token limit, network drop, provider error). The partial output is sent
+// back as an assistant turn so the model writes only the remainder, which is appended. Streams SSE events.
+app.post('/api/generate/continue', generateRateLimit, requireBudget, async (req, res) => {
+    const { prompt, apiKey, llm, modelOverride, output, format, generationId, templateName } = req.body;
+    if (typeof output !== 'string' || !output.trim()) {
+        return res.status(400).json({ error: "Output is required" });
+    }
+
+    // Assistant turns can't end in whitespace with some providers
+    const partial = output.replace(/\s+$/, '');
+    const settings = resolveLlmSettings(llm, modelOverride);
+
+    try {
+        const chat = openChat(settings, apiKey);
+        if (!chat) return res.status(400).json({ error: 'Missing API Key' });
+
+        // The stored request is reused when there is one, so the model continues exactly what it was answering
+        let system = null;
+        let userText = null;
+        let outputFormat = format;
+        if (generationId) {
+            const stored = await pool.query(
+                'SELECT system_prompt, user_message, output_format FROM web_skyling_generations WHERE id = $1',
+                [parseInt(generationId, 10) || 0]
+            );
+            if (stored.rows.length && stored.rows[0].user_message) {
+                system = stored.rows[0].system_prompt;
+                userText = stored.rows[0].user_message;
+                outputFormat = outputFormat || stored.rows[0].output_format;
+            }
+        }
+        if (!userText) {
+            const userMessage = await buildUserMessage(prompt);
+            if (userMessage.missing.length) {
+                return res.status(400).json({ error: missingVariablesMessage(userMessage.missing), missing: userMessage.missing });
+            }
+            userText = withTargetLanguage(userMessage.text, resolveLanguage(req.body.targetLanguage));
+            system = await getSystemPrompt(templateName);
+        }
+
+        const signal = abortOnDisconnect(res);
+        startEventStream(res);
+        writeEvent(res, { type: 'start', generationId, provider: settings.provider, model: settings.model, length: partial.length });
+
+        const { text, finishReason, status, error } = await pipeChatToStream(res, chat, {
+            system,
+            messages: continuationMessages(settings, userText, partial),
+            signal,
+            usage: { kind: 'continue', generationId, settings, username: sessionUsername(req), templateName },
+            errorFields: (remainder) => ({ output: partial + remainder })
+        });
+        const merged = partial + text;
+
+        if (status === 'cancelled') {
+            console.log("Continuation cancelled by the client.");
+        } else if (status === 'failed') {
+            console.error("Continuation Error:", error);
+        } else {
+            writeEvent(res, {
+                type: 'done',
+                generationId,
+                status,
+                finishReason,
+                output: merged,
+                length: text.length,
+                completeness: checkCompleteness(merged, outputFormat)
+            });
+        }
+        res.end();
+        await finishGeneration(generationId, merged, status, finishReason);
+    } catch (e) {
+        // Only the setup can fail here, the stream reports its own errors
+        console.error("Continuation Error:", e);
+        if (!res.headersSent) {
+            res.status(500).json({ error: e.message });
+        } else {
+            writeEvent(res, { type: 'error', message: e.message, output: partial });
+            res.end();
+        }
+    }
+});
+
+// --- EXPORT ---
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Sections and fields of a page, ready for every export format. Section ids are unique slugs of their titles.
+const buildExportPage = (output, { keyword, language }) => {
+    const used = new Set();
+    const sections = parseCopy(output).sections.map(section => {
+        let slug = slugify(section.title) || 'seccion';
+        for (let i = 2; used.has(slug); i++) slug = `${slugify(section.title) || 'seccion'}-${i}`;
+        used.add(slug);
+        return {
+            title: section.title,
+            slug,
+            fields: section.fields.filter(field => field.text).map(field => ({ tag: field.tag, text: field.text }))
+        };
+    });
+    const h1 = sections.flatMap(section => section.fields).find(field => field.tag === 'H1');
+
+    return {
+        title: (h1 && h1.text) || keyword || 'Landing page',
+        keyword: keyword || '',
+        language: resolveLanguage(language),
+        sections
+    };
+};
+
+const htmlField = ({ tag, text }) => {
+    if (/^H[1-6]$/.test(tag)) return `<${tag.toLowerCase()}>${escapeHtml(text)}</${tag.toLowerCase()}>`;
+    if (tag === 'A') return `<a class="cta" href="#">${escapeHtml(text)}</a>`;
+    if (tag === 'SPAN') return `<span>${escapeHtml(text)}</span>`;
+    return `<p>${escapeHtml(text)}</p>`;
+};
+
+const exportHtml = (page) => {
+    const sections = page.sections.map(section => [
+        `    <section id="${section.slug}" data-section="${escapeHtml(section.title)}">`,
+        ...section.fields.map(field => `        ${htmlField(field)}`),
+        '    </section>'
+    ].join('\n'));
+
+    return `<!DOCTYPE html>
+<html lang="${page.language}">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(page.title)}</title>
+</head>
+<body>
+<main>
+${sections.join('\n\n')}
+</main>
+</body>
+</html>
+`;
+};
+
+// Field text always renders as plain text: inline markup is backslash-escaped, line-start block markers
+// (headings, lists, quotes) are neutralized and HTML becomes entities
+const escapeMarkdown = (text) => String(text)
+    .replace(/[\\`*_{}[\]()!|~]/g, '\\$&')
+    .replace(/^(\s*)([#+=-])/gm, '$1\\$2')
+    .replace(/^(\s*\d+)\./gm, '$1\\.')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+const markdownField = ({ tag, text }) => {
+    const safe = escapeMarkdown(text);
+    if (/^H[1-6]$/.test(tag)) return `${'#'.repeat(Number(tag[1]))} ${safe}`;
+    if (tag === 'A') return `[${safe}](#)`;
+    if (tag === 'SPAN') return `*${safe}*`;
+    return safe;
+};
+
+// Section titles are wireframe labels, so they go in comments instead of headings.
+// Dash runs are collapsed so a title can't close the comment early.
+const markdownComment = (text) => `<!-- ${String(text).replace(/-{2,}/g, '-')} -->`;
+
+const exportMarkdown = (page) => page.sections
+    .map(section => [markdownComment(section.title || 'Sin sección'), ...section.fields.map(markdownField)].join('\n\n'))
+    .join('\n\n') + '\n';
+
+const exportJson = (page) => JSON.stringify(page, null, 2);
+
+// --- DOCX (Office Open XML in a hand-built ZIP) ---
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const crc32 = (buffer) => {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Minimal ZIP archive: deflated entries, UTF-8 names, fixed 1980-01-01 timestamps, no ZIP64
+const buildZip = (files) => {
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(({ name, content }) => {
+        const data = Buffer.from(content, 'utf-8');
+        const compressed = zlib.deflateRawSync(data);
+        const nameBuffer = Buffer.from(name, 'utf-8');
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // Version needed to extract
+        local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+        local.writeUInt16LE(8, 8); // Deflate
+        local.writeUInt16LE(0, 10); // Time
+        local.writeUInt16LE(0x21, 12); // Date: 1980-01-01
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4); // Version made by
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(0x0800, 8);
+        header.writeUInt16LE(8, 10);
+        header.writeUInt16LE(0, 12);
+        header.writeUInt16LE(0x21, 14);
+        header.writeUInt32LE(crc, 16);
+        header.writeUInt32LE(compressed.length, 20);
+        header.writeUInt32LE(data.length, 24);
+        header.writeUInt16LE(nameBuffer.length, 28);
+        header.writeUInt32LE(offset, 42);
+
+        chunks.push(local, nameBuffer, compressed);
+        central.push(header, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    });
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...chunks, ...central, end]);
+};
+
+const escapeXml = (text) => escapeHtml(text).replace(/'/g, '&apos;');
+
+const DOCX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+    <w:docDefaults>
+        <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+        <w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+    </w:docDefaults>
+    <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+    <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="40"/></w:rPr></w:style>
+    <w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="30"/></w:rPr></w:style>
+    <w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:outlineLvl w:val="2"/></w:pPr><w:rPr><w:b/><w:sz w:val="24"/></w:rPr></w:style>
+    <w:style w:type="paragraph" w:customStyle="1" w:styleId="SectionLabel"><w:name w:val="Section Label"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360"/><w:pBdr><w:bottom w:val="single" w:sz="4" w:space="1" w:color="BFBFBF"/></w:pBdr></w:pPr><w:rPr><w:caps/><w:color w:val="7F7F7F"/><w:sz w:val="18"/></w:rPr></w:style>
+    <w:style w:type="paragraph" w:customStyle="1" w:styleId="Cta"><w:name w:val="CTA"/><w:basedOn w:val="Normal"/><w:rPr><w:b/><w:color w:val="0E3EDA"/></w:rPr></w:style>
+    <w:style w:type="paragraph" w:customStyle="1" w:styleId="Span"><w:name w:val="Span"/><w:basedOn w:val="Normal"/><w:rPr><w:i/><w:color w:val="595959"/></w:rPr></w:style>
+</w:styles>`;
+
+const DOCX_FIELD_STYLES = { H1: 'Heading1', H2: 'Heading2', H3: 'Heading3', H4: 'Heading3', H5: 'Heading3', H6: 'Heading3', A: 'Cta', SPAN: 'Span' };
+
+const docxParagraph = (text, style) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+
+const exportDocx = (page) => {
+    const paragraphs = page.sections.flatMap(section => [
+        docxParagraph(section.title || 'Sin sección', 'SectionLabel'),
+        ...section.fields.map(field => docxParagraph(field.text, DOCX_FIELD_STYLES[field.tag]))
+    ]);
+
+    return buildZip([
+        {
+            name: '[Content_Types].xml',
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+    <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+    <Default Extension="xml" ContentType="application/xml"/>
+    <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+    <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+</Types>`
+        },
+        {
+            name: '_rels/.rels',
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+    <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`
+        },
+        {
+            name: 'word/_rels/document.xml.rels',
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+    <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+        },
+        { name: 'word/styles.xml', content: DOCX_STYLES },
+        {
+            name: 'word/document.xml',
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+    <w:body>
+        ${paragraphs.join('\n        ')}
+        <w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>
+    </w:body>
+</w:document>`
+        }
+    ]);
+};
+
+const EXPORT_FORMATS = {
+    txt: { extension: 'txt', type: 'text/plain; charset=utf-8', build: (page, output) => output },
+    html: { extension: 'html', type: 'text/html; charset=utf-8', build: exportHtml },
+    md: { extension: 'md', type: 'text/markdown; charset=utf-8', build: exportMarkdown },
+    json: { extension: 'json', type: 'application/json; charset=utf-8', build: exportJson },
+    docx: { extension: 'docx', type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', build: exportDocx }
+};
+
+// Returns the page as a download in the requested format, named after the keyword
+app.post('/api/export', (req, res) => {
+    const { output, keyword, language } = req.body;
+    const format = EXPORT_FORMATS[req.body.format];
+    if (typeof output !== 'string' || !output.trim()) return res.status(400).json({ error: "No hay texto para exportar." });
+    if (!format) return res.status(400).json({ error: "Formato no soportado." });
+
+    try {
+        const page = buildExportPage(output, { keyword: String(keyword || '').trim(), language });
+        const basename = (slugify(keyword) || 'landing-page').replace(/-/g, '_');
+        res.type(format.type);
+        res.attachment(`${basename}.${format.extension}`);
+        res.send(format.build(page, output));
+    } catch (e) {
+        console.error("Export Error:", e);
+        res.status(500).json({ error: "Error exporting output" });
+    }
+});
+
+// Started directly (npm start). The tests require the module and run initDB themselves.
+if (require.main === module) {
+    initDB();
+    app.listen(PORT, () => {
+        console.log(`Server running at http://localhost:${PORT}`);
+    });
+}
+
+module.exports = {
+    app,
+    pool,
+    initDB,
+    streamMock,
+    parseCopy,
+    validateCopy,
+    diffLines,
+    selectKnowledge,
+    cleanBriefText,
+    composeLayout,
+    buildSeoReport,
+    checkCompleteness,
+    continuationMessages,
+    escapeMarkdown,
+    buildZip,
+    planBundleImport,
+    changesSystemPromptOverride
+};
@@ -0,0 +1,346 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const zlib = require('node:zlib');
+
+const {
+    parseCopy,
+    validateCopy,
+    diffLines,
+    selectKnowledge,
+    cleanBriefText,
+    composeLayout,
+    buildSeoReport,
+    checkCompleteness,
+    continuationMessages,
+    escapeMarkdown,
+    buildZip,
+    planBundleImport,
+    changesSystemPromptOverride
+} = require('../server');
+
+describe('parseCopy', () => {
+    test('groups tagged fields under their section with their line numbers', () => {
+        const { lines, sections } = parseCopy('### Top heroe\nH1: Diseño web\n**H2:** "Webs que venden"\n- P: Texto\nLínea suelta');
+
+        assert.equal(lines.length, 5);
+        assert.equal(sections.length, 1);
+        assert.equal(sections[0].title, 'Top heroe');
+        assert.deepEqual(sections[0].fields.map(({ tag, text, line }) => ({ tag, text, line })), [
+            { tag: 'H1', text: 'Diseño web', line: 1 },
+            { tag: 'H2', text: 'Webs que venden', line: 2 },
+            { tag: 'P', text: 'Texto', line: 3 }
+        ]);
+    });
+
+    test('keeps fields before the first heading in an untitled section and reads CTA as A', () => {
+        const { sections } = parseCopy('CTA: Llámanos\n### Final\nP: Fin');
+        assert.deepEqual(sections.map(section => section.title), ['', 'Final']);
+        assert.equal(sections[0].fields[0].tag, 'A');
+    });
+});
+
+describe('validateCopy', () => {
+    const LIMITS = '### Top heroe\nH2: 10 caracteres como mínimo - 20 caracteres como máximo\nP: 5 caracteres';
+
+    test('checks each field against the rule of its tag in the matching section', () => {
+        const { fields, summary } = validateCopy(`### Top heroe\nH2: Corto\nH2: ${'x'.repeat(12)}\nP: Demasiado largo`, LIMITS);
+
+        assert.deepEqual(fields.map(field => [field.tag, field.length, field.status]), [
+            ['H2', 5, 'fail'],
+            ['H2', 12, 'pass'],
+            ['P', 15, 'fail']
+        ]);
+        assert.deepEqual(summary, { sections: 1, total: 3, passed: 1, failed: 2, unchecked: 0 });
+    });
+
+    test('leaves fields unchecked when their section or tag has no rule', () => {
+        const { fields } = validateCopy('### Testimonios\nH2: Opiniones\n### Top heroe\nA: Contacto', LIMITS);
+        assert.deepEqual(fields.map(field => field.status), ['unchecked', 'unchecked']);
+        assert.equal(fields[0].limitSection, null);
+    });
+
+    test('counts emoji and accented letters as one character', () => {
+        const { fields } = validateCopy('### Top heroe\nP: Olé🎉', LIMITS);
+        assert.equal(fields[0].length, 4);
+    });
+});
+
+describe('diffLines', () => {
+    test('marks changed lines as removed and added between the unchanged ones', () => {
+        const { lines, stats } = diffLines('a\nb\nc', 'a\nx\nc\nd');
+
+        assert.deepEqual(lines.map(line => [line.type, line.text, line.oldLine, line.newLine]), [
+            ['same', 'a', 1, 1],
+            ['removed', 'b', 2, null],
+            ['added', 'x', null, 2],
+            ['same', 'c', 3, 3],
+            ['added', 'd', null, 4]
+        ]);
+        assert.deepEqual(stats, { added: 2, removed: 1 });
+    });
+
+    test('reports no changes for the same text', () => {
+        const { lines, stats } = diffLines('uno\ndos', 'uno\ndos');
+        assert.ok(lines.every(line => line.type === 'same'));
+        assert.deepEqual(stats, { added: 0, removed: 0 });
+    });
+});
+
+describe('selectKnowledge', () => {
+    const KNOWLEDGE = '# Servicios\n## Diseño web\nHacemos diseño web corporativo a medida.\n## SEO\nPosicionamiento orgánico y auditorías.\n## Precios\nTarifas cerradas por proyecto.';
+    const selectedIds = (selection) => selection.sections.filter(section => section.selected).map(section => section.id);
+
+    test('selects the best scored sections plus the pinned ones, in document order', () => {
+        const selection = selectKnowledge(KNOWLEDGE, { query: 'diseño web', topN: 1, pinned: ['precios'] });
+
+        assert.deepEqual(selectedIds(selection), ['diseno-web', 'precios']);
+        assert.deepEqual(selection.sections[0].path, ['Servicios']);
+        assert.equal(selection.text, '## Diseño web\nHacemos diseño web corporativo a medida.\n\n## Precios\nTarifas cerradas por proyecto.');
+    });
+
+    test('never selects excluded sections, even pinned ones', () => {
+        const selection = selectKnowledge(KNOWLEDGE, { query: 'diseño web', topN: 3, pinned: ['seo'], excluded: ['diseno-web', 'seo'] });
+        assert.deepEqual(selectedIds(selection), []);
+        assert.equal(selection.text, '');
+    });
+
+    test('keeps only the pinned sections with a topN of 0', () => {
+        const selection = selectKnowledge(KNOWLEDGE, { query: 'diseño web', topN: 0, pinned: ['seo'] });
+        assert.deepEqual(selectedIds(selection), ['seo']);
+    });
+});
+
+describe('cleanBriefText', () => {
+    test('drops page numbers and repeated headers, and joins words split across lines', () => {
+        const text = 'Informe anual\nPágina 1\nEmpresa de diseño inte-\nractivo\n\n\n\nInforme anual\nPágina 2\nTexto\nInforme anual\n3 / 10';
+        assert.deepEqual(cleanBriefText(text), { text: 'Empresa de diseño interactivo\n\nTexto', removedLines: 6 });
+    });
+
+    test('accepts empty input', () => {
+        assert.deepEqual(cleanBriefText(null), { text: '', removedLines: 0 });
+    });
+});
+
+describe('composeLayout', () => {
+    test('builds the output format and one limitation per field, in the format validateCopy reads', () => {
+        const composed = composeLayout([{ type: 'hero' }, { type: 'benefits', title: 'Ventajas', items: 2 }]);
+        const output = composed.output.split('\n');
+
+        assert.deepEqual(composed.layout, [{ type: 'hero', title: 'Top heroe' }, { type: 'benefits', title: 'Ventajas', items: 2 }]);
+        assert.deepEqual(output.filter(line => line.startsWith('### ')), ['### Top heroe', '### Ventajas']);
+        assert.equal(output.filter(line => line.startsWith('H3: ')).length, 2);
+        assert.match(composed.limitations, /^### Top heroe\nH1: copia textual, sin alteraciones\n/);
+        assert.match(composed.limitations, /\nCTA: 15 caracteres\n/);
+
+        const { fields } = validateCopy(composed.output.replace(/\[[^\]]*\]/g, 'x'), composed.limitations);
+        assert.ok(fields.filter(field => field.tag !== 'H1').every(field => field.max !== null));
+    });
+
+    test('skips unknown section types with a warning and clamps the item count', () => {
+        const composed = composeLayout([{ type: 'carrusel' }, { type: 'benefits', items: 99 }]);
+        assert.deepEqual(composed.warnings, ['Tipo de sección desconocido: carrusel']);
+        assert.equal(composed.layout[0].items, 12);
+    });
+
+    test('returns an empty output format for an empty layout', () => {
+        assert.equal(composeLayout([]).output, '');
+    });
+});
+
+describe('buildSeoReport', () => {
+    const PAGE = '### Top heroe\nH1: Diseño web\nH2: Diseño web para empresas que quieren crecer\nP: Creamos webs rápidas y claras para tu negocio.\nA: Diseño web diseño web';
+    const statusOf = (report, id) => report.checks.find(check => check.id === id).status;
+
+    test('checks the H1, the headings, the first paragraph and the keyword density', () => {
+        const report = buildSeoReport(PAGE, 'Diseño web', []);
+
+        assert.equal(statusOf(report, 'h1'), 'pass');
+        assert.equal(statusOf(report, 'h2'), 'pass');
+        assert.equal(statusOf(report, 'first-paragraph'), 'fail');
+        assert.equal(statusOf(report, 'density'), 'fail');
+        assert.deepEqual(report.density, { occurrences: 4, words: 21, percent: 38.1 });
+    });
+
+    test('warns when the H1 only matches ignoring case and accents', () => {
+        assert.equal(statusOf(buildSeoReport(PAGE, 'diseno web', []), 'h1'), 'warn');
+    });
+
+    test('reports keyword stuffing and the secondary keywords', () => {
+        const report = buildSeoReport(PAGE, 'Diseño web', ['webs rápidas', 'tienda online']);
+
+        assert.deepEqual(report.warnings, [{ line: 4, section: 'Top heroe', tag: 'A', keyword: 'Diseño web', count: 2 }]);
+        assert.deepEqual(report.secondary.map(item => [item.keyword, item.occurrences, item.lines]), [
+            ['webs rápidas', 1, [3]],
+            ['tienda online', 0, []]
+        ]);
+    });
+});
+
+describe('checkCompleteness', () => {
+    const FORMAT = '### Top heroe\nH1: [Palabra clave]\nH2: [Headline]\n### Preguntas frecuentes\nH2: [Headline]';
+
+    test('lists the sections of the format that are missing from the page', () => {
+        assert.deepEqual(checkCompleteness('### Top heroe\nH1: a\nH2: b', FORMAT),
+            { complete: false, expected: 2, found: 1, missing: ['Preguntas frecuentes'], partial: null });
+    });
+
+    test('flags a last section cut before all its fields', () => {
+        const result = checkCompleteness('### Top heroe\nH1: a\nH2: b\n### Preguntas frecuentes', FORMAT);
+        assert.equal(result.complete, false);
+        assert.deepEqual(result.missing, []);
+        assert.equal(result.partial, 'Preguntas frecuentes');
+    });
+
+    test('accepts a page with every section of the format', () => {
+        assert.equal(checkCompleteness('### Top heroe\nH1: a\nH2: b\n### Preguntas frecuentes\nH2: c', FORMAT).complete, true);
+    });
+});
+
+describe('escapeMarkdown', () => {
+    test('escapes inline markup and HTML', () => {
+        assert.equal(escapeMarkdown('Título *raro* [enlace](x) <b>&</b>'), 'Título \\*raro\\* \\[enlace\\]\\(x\\) &lt;b&gt;&amp;&lt;/b&gt;');
+    });
+
+    test('neutralizes headings, lists and numbered lists at the start of a line', () => {
+        assert.equal(escapeMarkdown('# Título\n- punto\n1. uno'), '\\# Título\n\\- punto\n1\\. uno');
+    });
+});
+
+describe('buildZip', () => {
+    // Reads the entries back through the central directory
+    const readZip = (zip) => {
+        const end = zip.length - 22;
+        assert.equal(zip.readUInt32LE(end), 0x06054b50);
+        const entries = [];
+        let position = zip.readUInt32LE(end + 16);
+        for (let i = 0; i < zip.readUInt16LE(end + 10); i++) {
+            const nameLength = zip.readUInt16LE(position + 28);
+            const offset = zip.readUInt32LE(position + 42);
+            const compressedSize = zip.readUInt32LE(position + 20);
+            const localNameLength = zip.readUInt16LE(offset + 26);
+            const start = offset + 30 + localNameLength + zip.readUInt16LE(offset + 28);
+            entries.push({
+                name: zip.toString('utf-8', position + 46, position + 46 + nameLength),
+                content: zlib.inflateRawSync(zip.subarray(start, start + compressedSize)).toString('utf-8')
+            });
+            position += 46 + nameLength;
+        }
+        return entries;
+    };
+
+    test('stores every file with its name and content', () => {
+        const files = [{ name: 'word/document.xml', content: '<w:document>Diseño</w:document>' }, { name: 'página.txt', content: '' }];
+        const zip = buildZip(files);
+
+        assert.equal(zip.readUInt32LE(0), 0x04034b50);
+        assert.deepEqual(readZip(zip), files);
+    });
+});
+
+describe('planBundleImport', () => {
+    // Answers the three lookups planBundleImport runs with fixed rows
+    const fakeClient = ({ templates = [], config = [], docs = [] }) => ({
+        query: async (sql) => {
+            if (sql.includes('web_skyling_templates')) return { rows: templates };
+            if (sql.includes('web_skyling_config')) return { rows: config };
+            return { rows: docs };
+        }
+    });
+    const bundleOf = (templates, config = []) => ({ format: 'skyling-bundle', version: 1, templates, config });
+
+    test('creates new items and skips conflicts unless a resolution says otherwise', async () => {
+        const client = fakeClient({
+            templates: [{ name: 'Landing', data: { structure: 'A' } }],
+            config: [{ key: 'SYSTEM_PROMPT', value: 'Antiguo' }]
+        });
+        const bundle = bundleOf(
+            [{ name: 'Landing', data: { structure: 'B' } }, { name: 'Nueva', data: { structure: 'C' } }],
+            [{ key: 'SYSTEM_PROMPT', value: 'Nuevo' }]
+        );
+
+        const plan = await planBundleImport(client, bundle);
+        assert.deepEqual(plan.templates.map(item => [item.name, item.status, item.action]), [
+            ['Landing', 'conflict', 'skip'],
+            ['Nueva', 'new', 'create']
+        ]);
+        assert.equal(plan.templates[0].suggestedName, 'Landing (importada)');
+        assert.deepEqual(plan.config.map(item => [item.key, item.status, item.action]), [['SYSTEM_PROMPT', 'conflict', 'skip']]);
+
+        const resolved = await planBundleImport(client, bundle, {
+            templates: { Landing: { action: 'rename' } },
+            config: { SYSTEM_PROMPT: { action: 'overwrite' } }
+        });
+        assert.equal(resolved.templates[0].action, 'rename');
+        assert.equal(resolved.templates[0].targetName, 'Landing (importada)');
+        assert.equal(resolved.config[0].action, 'overwrite');
+    });
+
+    test('maps knowledge documents by name and warns about the missing ones', async () => {
+        const client = fakeClient({ docs: [{ id: 7, name: 'Servicios' }] });
+        const plan = await planBundleImport(client, bundleOf([{ name: 'Nueva', data: { knowledgeDocs: [1, 2] }, knowledgeDocNames: ['Servicios', 'Precios'] }]));
+
+        assert.deepEqual(plan.templates[0].data.knowledgeDocs, [7]);
+        assert.deepEqual(plan.templates[0].warnings, ['Documentos de conocimiento no encontrados: Precios']);
+    });
+
+    test('skips invalid items and flags templates that change the system prompt', async () => {
+        const override = { overrides: { systemPrompt: { mode: 'replace', text: 'Otro prompt' } } };
+        const plan = await planBundleImport(fakeClient({}), bundleOf(
+            [{ name: '', data: {} }, { name: 'Con prompt', data: override }],
+            [{ key: 'TONE', value: 3 }]
+        ));
+
+        assert.deepEqual(plan.templates.map(item => [item.status, item.action]), [['invalid', 'skip'], ['new', 'create']]);
+        assert.equal(plan.templates[1].changesSystemPrompt, true);
+        assert.equal(plan.config[0].status, 'invalid');
+    });
+});
+
+describe('changesSystemPromptOverride', () => {
+    const withOverride = (mode, text, extra = {}) => ({ ...extra, overrides: { systemPrompt: { mode, text } } });
+
+    test('flags a new template that brings a system prompt override', () => {
+        assert.equal(changesSystemPromptOverride(null, withOverride('replace', 'Otro prompt')), true);
+        assert.equal(changesSystemPromptOverride(null, withOverride('append', 'Más reglas')), true);
+    });
+
+    test('flags adding, changing or removing the override of a stored template', () => {
+        assert.equal(changesSystemPromptOverride({ name: 'x' }, withOverride('replace', 'Otro prompt')), true);
+        assert.equal(changesSystemPromptOverride(withOverride('append', 'Texto'), withOverride('replace', 'Texto')), true);
+        assert.equal(changesSystemPromptOverride(withOverride('replace', 'Texto'), withOverride('replace', 'Texto nuevo')), true);
+        assert.equal(changesSystemPromptOverride(withOverride('replace', 'Texto'), {}), true);
+    });
+
+    test('lets other fields change when the override stays the same', () => {
+        assert.equal(changesSystemPromptOverride(withOverride('replace', 'Texto', { a: 1 }), withOverride('replace', 'Texto', { a: 2 })), false);
+        assert.equal(changesSystemPromptOverride({ a: 1 }, { a: 2 }), false);
+        assert.equal(changesSystemPromptOverride(null, { a: 1 }), false);
+    });
+
+    test('compares the override that takes effect, ignoring whitespace and empty or invalid ones', () => {
+        assert.equal(changesSystemPromptOverride(withOverride('replace', 'Texto'), withOverride('replace', '  Texto\n')), false);
+        assert.equal(changesSystemPromptOverride(null, withOverride('replace', '   ')), false);
+        assert.equal(changesSystemPromptOverride(null, withOverride('prepend', 'Texto')), false);
+    });
+});
+
+describe('continuationMessages', () => {
+    const roles = (messages) => messages.map(message => message.role);
+
+    test('ends with the partial answer for providers that continue an assistant turn', () => {
+        const messages = continuationMessages({ provider: 'anthropic', model: 'claude-sonnet-4-5' }, 'Prompt', 'Texto a medias');
+        assert.deepEqual(roles(messages), ['user', 'assistant']);
+        assert.equal(messages[1].content, 'Texto a medias');
+        assert.deepEqual(roles(continuationMessages({ provider: 'openrouter', model: 'anthropic/claude-haiku-4.5' }, 'Prompt', 'Texto')), ['user', 'assistant']);
+    });
+
+    test('asks the other providers to go on from where the partial answer stops', () => {
+        [{ provider: 'openai', model: 'gpt-4o' }, { provider: 'openrouter', model: 'openai/gpt-4o' }].forEach(settings => {
+            const messages = continuationMessages(settings, 'Prompt', 'Texto a medias');
+            assert.deepEqual(roles(messages), ['user', 'assistant', 'user']);
+            assert.equal(messages[1].content, 'Texto a medias');
+            assert.match(messages[2].content, /Continúa exactamente donde se detuvo/);
+        });
+    });
+});
@@ -0,0 +1,136 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.MOCK_LLM_DELAY_MS = '1';
+const { streamMock } = require('../server');
+
+const PAGE_PROMPT = `## Palabra clave principal
+Diseño web corporativo
+
+## Output y wireframes
+### Top heroe
+H1: [Palabra clave principal]
+H2: [Headline]
+P: [Sub-headline]
+A: [CTA]
+### Preguntas frecuentes
+H2: [Headline]
+H3: [Pregunta]
+P: [Respuesta]
+
+## Limitaciones de caracteres
+### Top heroe
+H2: 60 caracteres como mínimo - 80 caracteres como máximo`;
+
+const collect = async (request) => {
+    const events = [];
+    for await (const event of streamMock(request)) events.push(event);
+    return events;
+};
+
+const textOf = (events) => events.filter(event => event.type === 'text').map(event => event.text).join('');
+
+const userMessages = (content) => [{ role: 'user', content }];
+
+test('streams the text first, then usage, then finish', async () => {
+    const events = await collect({ messages: userMessages(PAGE_PROMPT) });
+    const types = events.map(event => event.type);
+
+    assert.ok(types.length > 2);
+    assert.ok(types.slice(0, -2).every(type => type === 'text'));
+    assert.deepEqual(types.slice(-2), ['usage', 'finish']);
+    assert.equal(events.at(-1).reason, 'stop');
+    assert.ok(events.at(-2).promptTokens > 0);
+    assert.ok(events.at(-2).completionTokens > 0);
+});
+
+test('fills every section of the output format, with the keyword as H1 and the limits as lengths', async () => {
+    const text = textOf(await collect({ messages: userMessages(PAGE_PROMPT) }));
+    const lines = text.split('\n');
+
+    assert.deepEqual(lines.filter(line => line.startsWith('### ')), ['### Top heroe', '### Preguntas frecuentes']);
+    assert.equal(lines[1], 'H1: Diseño web corporativo');
+    const headline = lines[2].replace(/^H2: /, '');
+    assert.ok(headline.length >= 60 && headline.length <= 80, `H2 has ${headline.length} characters`);
+    assert.ok(!text.includes('['), 'no placeholder is left');
+});
+
+test('returns the same text for the same prompt', async () => {
+    const first = textOf(await collect({ messages: userMessages(PAGE_PROMPT) }));
+    const second = textOf(await collect({ messages: userMessages(PAGE_PROMPT) }));
+    assert.equal(first, second);
+});
+
+test('cuts the answer at max tokens and finishes with length', async () => {
+    const events = await collect({ messages: userMessages(PAGE_PROMPT), maxTokens: 10 });
+    assert.equal(textOf(events).length, 40);
+    assert.equal(events.at(-1).reason, 'length');
+});
+
+test('answers the auto-fix prompt with a JSON object of fixed fields', async () => {
+    const prompt = '## Campos a corregir\n[3] H2 "Corto" debe tener entre 20 y 30 caracteres (tiene 5).';
+    const fixes = JSON.parse(textOf(await collect({ messages: userMessages(prompt) })));
+
+    assert.deepEqual(Object.keys(fixes), ['3']);
+    assert.ok(fixes['3'].length >= 20 && fixes['3'].length <= 30);
+});
+
+test('answers the section prompt with only the requested section', async () => {
+    const output = textOf(await collect({ messages: userMessages(PAGE_PROMPT) }));
+    const sectionPrompt = `Reescribe SOLO la sección indicada.\n\n## Sección a regenerar\n${output.slice(output.indexOf('### Preguntas frecuentes'))}`;
+    const messages = [
+        { role: 'user', content: PAGE_PROMPT },
+        { role: 'assistant', content: output },
+        { role: 'user', content: sectionPrompt }
+    ];
+    const lines = textOf(await collect({ messages })).split('\n');
+
+    assert.equal(lines[0], '### Preguntas frecuentes');
+    assert.deepEqual(lines.slice(1).map(line => line.split(':')[0]), ['H2', 'H3', 'P']);
+});
+
+test('falls back to the first section body under the requested heading when no section matches', async () => {
+    const prompt = `${PAGE_PROMPT}\n\n## Sección a regenerar\n### Testimonios\nP: Texto`;
+    const lines = textOf(await collect({ messages: userMessages(prompt) })).split('\n');
+
+    assert.equal(lines[0], '### Testimonios');
+    assert.deepEqual(lines.slice(1).map(line => line.split(':')[0]), ['H1', 'H2', 'P', 'A']);
+});
+
+test('answers the translation prompt keeping headings, tags and lengths', async () => {
+    const source = '### Top heroe\nH1: Diseño web corporativo\nH2: Páginas que convierten visitas en clientes\nSPAN: 01\nA: Pide presupuesto';
+    const prompt = `Traduce al inglés los textos de esta landing page.\nEl H1 debe ser exactamente: Corporate web design\n\n## Texto a traducir\n${source}`;
+    const lines = textOf(await collect({ messages: userMessages(prompt) })).split('\n');
+    const sourceLines = source.split('\n');
+
+    assert.equal(lines.length, sourceLines.length);
+    assert.equal(lines[0], '### Top heroe');
+    assert.equal(lines[1], 'H1: Corporate web design');
+    assert.equal(lines[3], 'SPAN: 01');
+    [2, 4].forEach(index => {
+        assert.equal(lines[index].split(':')[0], sourceLines[index].split(':')[0]);
+        assert.equal(lines[index].length, sourceLines[index].length);
+        assert.notEqual(lines[index], sourceLines[index]);
+    });
+});
+
+test('continues a partial answer sent as a trailing assistant turn with only the rest', async () => {
+    const full = textOf(await collect({ messages: userMessages(PAGE_PROMPT) }));
+    const partial = full.slice(0, 120);
+    const messages = [...userMessages(PAGE_PROMPT), { role: 'assistant', content: partial }];
+
+    assert.equal(textOf(await collect({ messages })), full.slice(120));
+});
+
+test('stops with an error when the request is aborted', async () => {
+    const controller = new AbortController();
+    const received = [];
+
+    await assert.rejects(async () => {
+        for await (const event of streamMock({ messages: userMessages(PAGE_PROMPT), signal: controller.signal })) {
+            received.push(event);
+            controller.abort();
+        }
+    }, /aborted/);
+    assert.equal(received.length, 1);
+});